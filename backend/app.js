@@ -1,7 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
 require('dotenv').config();
 
 const app = express();
@@ -14,18 +13,40 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serve static files (uploaded and signed PDFs)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-app.use('/signed', express.static(path.join(__dirname, 'signed')));
-
 // Routes
 const documentsRouter = require('./routes/documents');
 const fieldsRouter = require('./routes/fields');
 const signPdfRouter = require('./routes/signPdf');
+const prepareFormRouter = require('./routes/prepareForm');
+const verifyRouter = require('./routes/verify');
+const recipientsRouter = require('./routes/recipients');
+const signRouter = require('./routes/sign');
+const authRouter = require('./routes/auth');
+const templatesRouter = require('./routes/templates');
+const bulkSendRouter = require('./routes/bulkSend');
+const webhooksRouter = require('./routes/webhooks');
+const downloadsRouter = require('./routes/downloads');
+const { requireAuth } = require('./middleware/auth');
+const { startWebhookWorker } = require('./utils/webhooks');
+const { startBulkSendWatchdog } = require('./utils/bulkSend');
+
+// Public: accounts, verification, signing links (the token is the credential)
+// and signed download URLs (the signature is)
+app.use('/api/auth', authRouter);
+app.use('/api/verify', verifyRouter);
+app.use('/api/sign', signRouter);
+app.use('/api/downloads', downloadsRouter);
 
-app.use('/api/documents', documentsRouter);
-app.use('/api/fields', fieldsRouter);
-app.use('/api/sign-pdf', signPdfRouter);
+// Owner only (PDFs are downloaded through /api/documents/:id/file/:version
+// or a signed URL from POST /api/documents/:id/file/:version/url)
+app.use('/api/documents/:documentId/recipients', requireAuth, recipientsRouter);
+app.use('/api/documents', requireAuth, documentsRouter);
+app.use('/api/fields', fieldsRouter); // Per route: signers set values with a link
+app.use('/api/sign-pdf', requireAuth, signPdfRouter);
+app.use('/api/prepare-form', requireAuth, prepareFormRouter);
+app.use('/api/templates', requireAuth, templatesRouter);
+app.use('/api/bulk-send', requireAuth, bulkSendRouter);
+app.use('/api/webhooks', requireAuth, webhooksRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -58,6 +79,10 @@ const startServer = () => {
 mongoose.connect(MONGODB_URI)
     .then(() => {
         console.log('✅ Connected to MongoDB');
+        // Pending webhook deliveries are kept in MongoDB
+        startWebhookWorker();
+        // Bulk sends interrupted by a restart are marked failed
+        startBulkSendWatchdog();
         startServer();
     })
     .catch((err) => {
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const { verifySessionToken, hashApiKey, isApiKey } = require('../utils/auth');
+
+/**
+ * Resolve the request's credentials to a user
+ *
+ * Accepts `Authorization: Bearer <session token or API key>` or
+ * `X-API-Key: <API key>`.
+ *
+ * @returns {Promise<Object|null|undefined>} - User; null for bad
+ *   credentials; undefined when none were sent
+ */
+async function authenticate(req) {
+    const header = req.get('Authorization') || '';
+    const credential = req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+    if (!credential) return undefined;
+
+    if (isApiKey(credential)) {
+        const keyHash = hashApiKey(credential);
+        const user = await User.findOne({ apiKeys: { $elemMatch: { keyHash, revokedAt: null } } });
+        if (!user) return null;
+
+        await User.updateOne(
+            { _id: user._id, 'apiKeys.keyHash': keyHash },
+            { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+        );
+        return user;
+    }
+
+    const userId = verifySessionToken(credential);
+    return userId ? User.findById(userId) : null;
+}
+
+/**
+ * Reject requests without valid credentials; sets req.user
+ */
+async function requireAuth(req, res, next) {
+    try {
+        const user = await authenticate(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Set req.user when valid credentials are sent; reject invalid ones
+ * (for routes that also accept other proof, like a signing link)
+ */
+async function optionalAuth(req, res, next) {
+    try {
+        const user = await authenticate(req);
+        if (user === null) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { requireAuth, optionalAuth };
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { computeEntryHash, GENESIS_HASH } = require('../utils/auditChain');
+const { enqueueAuditEvent } = require('../utils/webhooks');
 
 const AuditLogSchema = new mongoose.Schema({
     documentId: {
@@ -10,7 +12,13 @@ const AuditLogSchema = new mongoose.Schema({
     // Action tracking
     action: {
         type: String,
-        enum: ['uploaded', 'field_added', 'field_modified', 'field_deleted', 'signed', 'downloaded'],
+        enum: [
+            'uploaded', 'field_added', 'field_modified', 'field_deleted', 'field_filled',
+            'signed', 'form_prepared', 'downloaded',
+            'recipient_added', 'recipient_modified', 'recipient_removed',
+            'signing_link_created', 'signing_link_opened', 'signing_link_used',
+            'sent', 'declined', 'email_sent', 'email_failed', 'email_skipped'
+        ],
         required: true
     },
 
@@ -22,14 +30,103 @@ const AuditLogSchema = new mongoose.Schema({
     performedBy: {
         ip: { type: String },
         userAgent: { type: String },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Authenticated account, if any
+        email: { type: String },
         timestamp: { type: Date, default: Date.now }
     },
 
     // Metadata
-    details: { type: mongoose.Schema.Types.Mixed }
+    details: { type: mongoose.Schema.Types.Mixed },
+
+    // Linked entry chain (see utils/auditChain.js), set on save
+    sequence: { type: Number },     // 0-based position in the document's chain
+    previousHash: { type: String }, // entryHash of the previous entry
+    entryHash: { type: String }     // hash of this entry's canonical content
 });
 
 // Index for efficient document history lookup
 AuditLogSchema.index({ documentId: 1, 'performedBy.timestamp': -1 });
+// One entry per chain position: a concurrent writer fails instead of forking the chain
+AuditLogSchema.index({ documentId: 1, sequence: 1 }, {
+    unique: true,
+    partialFilterExpression: { sequence: { $exists: true } }
+});
+
+// Saves are serialized per document within this process, so each new
+// entry links to the one saved just before it
+const chainLocks = new Map();
+
+function lockChain(key) {
+    const previous = chainLocks.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    chainLocks.set(key, tail);
+
+    return previous.then(() => () => {
+        release();
+        if (chainLocks.get(key) === tail) chainLocks.delete(key);
+    });
+}
+
+// Link new entries to the chain; existing entries are immutable
+AuditLogSchema.pre('save', async function () {
+    if (!this.isNew) {
+        throw new Error('Audit log entries cannot be modified');
+    }
+
+    const release = await lockChain(String(this.documentId));
+    this.$locals.releaseChain = release;
+    try {
+        const last = await this.constructor.findOne({
+            documentId: this.documentId,
+            entryHash: { $exists: true }
+        }).sort({ sequence: -1 });
+
+        this.sequence = last ? last.sequence + 1 : 0;
+        this.previousHash = last ? last.entryHash : GENESIS_HASH;
+        this.entryHash = computeEntryHash(this);
+    } catch (error) {
+        release();
+        throw error;
+    }
+});
+
+AuditLogSchema.post('save', function (doc) {
+    doc.$locals.releaseChain?.();
+});
+
+AuditLogSchema.post('save', function (error, doc, next) {
+    doc.$locals.releaseChain?.();
+    next(error);
+});
+
+// Every stored entry is an event for webhook subscribers; delivery never
+// holds up or fails the action that was audited
+AuditLogSchema.post('save', function (doc) {
+    enqueueAuditEvent(doc).catch(error => {
+        console.error('Webhook enqueue error:', error);
+    });
+});
+
+// Block every other write path
+const immutable = () => {
+    throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+AuditLogSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], { document: true, query: true }, immutable);
+
+// insertMany and bulkWrite skip save middleware, so they cannot link entries
+AuditLogSchema.pre('insertMany', immutable);
+AuditLogSchema.pre('bulkWrite', immutable);
 
 module.exports = mongoose.model('AuditLog', AuditLogSchema);
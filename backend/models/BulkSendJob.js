@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One CSV bulk send (see utils/bulkSend.js): a document per row, created
+// in the background after the upload request returns
+const BulkSendJobSchema = new mongoose.Schema({
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // What each document is created from
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Template' },
+    sourceDocumentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
+    fileName: { type: String }, // Uploaded CSV
+
+    status: {
+        type: String,
+        enum: ['processing', 'completed', 'failed'], // failed: interrupted, e.g. by a restart
+        default: 'processing'
+    },
+
+    rows: [{
+        _id: false,
+        row: { type: Number, required: true }, // Line in the CSV, header = 1
+        name: { type: String },
+        email: { type: String },
+        status: {
+            type: String,
+            enum: ['pending', 'succeeded', 'failed'],
+            default: 'pending'
+        },
+        documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
+        error: { type: String } // Why the row failed
+    }],
+
+    createdAt: { type: Date, default: Date.now },
+    progressAt: { type: Date, default: Date.now }, // Last row finished
+    completedAt: { type: Date }
+});
+
+BulkSendJobSchema.index({ ownerId: 1, createdAt: -1 });
+BulkSendJobSchema.index({ status: 1, progressAt: 1 });
+
+module.exports = mongoose.model('BulkSendJob', BulkSendJobSchema);
@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 
 const DocumentSchema = new mongoose.Schema({
+    // Account that uploaded the document; only it can read or change it
+    // (documents created before accounts existed have none and stay hidden)
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
     // Original PDF info
     originalFileName: { type: String, required: true },
     originalFileUrl: { type: String, required: true },
@@ -13,6 +20,10 @@ const DocumentSchema = new mongoose.Schema({
             pageNumber: Number,
             widthPoints: Number,  // PDF width in points (595.28 for A4)
             heightPoints: Number, // PDF height in points (841.89 for A4)
+            rotation: { type: Number, default: 0 }, // /Rotate: 0, 90, 180 or 270
+            // Visible area (CropBox clipped to MediaBox) and full MediaBox, in points
+            cropBox: { x: Number, y: Number, width: Number, height: Number },
+            mediaBox: { x: Number, y: Number, width: Number, height: Number },
         }]
     },
 
@@ -20,10 +31,72 @@ const DocumentSchema = new mongoose.Schema({
     signedFileUrl: { type: String },
     signedHash: { type: String },
 
+    // Incremental signing rounds (/api/sign-pdf with incremental: true).
+    // Bytes [0, byteOffset) of a round's output are the previous file
+    // (the original for round 0) and [0, length) hash to `hash`.
+    signedRevisions: [{
+        _id: false,
+        byteOffset: { type: Number, required: true },
+        length: { type: Number, required: true },
+        hash: { type: String, required: true },
+        signedAt: { type: Date, default: Date.now }
+    }],
+
+    // Fillable AcroForm export (/api/prepare-form)
+    formFileUrl: { type: String },
+
+    // Data key for this document's stored files and field values, wrapped by
+    // the master key `keyId` (see utils/encryption.js; unset = stored as is)
+    encryption: {
+        keyId: { type: String },
+        wrappedKey: { type: String }
+    },
+
+    // Signer metadata written into the PAdES signature dictionary
+    signatureInfo: {
+        signerName: { type: String },
+        reason: { type: String },
+        location: { type: String },
+        contactInfo: { type: String }
+    },
+
+    // Default font for text/date fields (see utils/fontRegistry.js)
+    fontFamily: { type: String },
+
+    // Who fills the document in. Fields are assigned to a recipient through
+    // Field.recipientId; 'cc' recipients get no fields.
+    recipients: [{
+        name: { type: String, required: true, trim: true },
+        email: { type: String, required: true, trim: true, lowercase: true },
+        role: { type: String, enum: ['signer', 'cc'], default: 'signer' },
+        routingOrder: { type: Number, min: 1, default: 1 }, // Equal orders sign in parallel
+        color: { type: String, match: /^#[0-9a-fA-F]{6}$/ }, // Editor color-coding
+        notifiedAt: { type: Date } // Last "please sign" or reminder email
+    }],
+
+    // parallel: every recipient can fill in at once
+    // sequential: by routingOrder, once all earlier recipients are complete
+    signingOrder: {
+        type: String,
+        enum: ['parallel', 'sequential'],
+        default: 'parallel'
+    },
+
+    // Emailed to its signers (POST /api/documents/:id/send); signing then
+    // emails the signed PDF to everyone (see utils/notifications.js)
+    sentAt: { type: Date },
+
+    // A signer refused to sign (POST /api/sign/:token/decline)
+    declined: {
+        recipientId: { type: mongoose.Schema.Types.ObjectId },
+        reason: { type: String },
+        declinedAt: { type: Date }
+    },
+
     // Status
     status: {
         type: String,
-        enum: ['draft', 'pending_signature', 'signed', 'completed'],
+        enum: ['draft', 'pending_signature', 'signed', 'completed', 'declined'],
         default: 'draft'
     },
 
@@ -31,4 +104,6 @@ const DocumentSchema = new mongoose.Schema({
     updatedAt: { type: Date, default: Date.now },
 });
 
+DocumentSchema.index({ ownerId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Document', DocumentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isEncryptionEnabled, getDocumentKey, sealValue, openValue, isSealedValue } = require('../utils/encryption');
 
 const FieldSchema = new mongoose.Schema({
     documentId: {
@@ -7,16 +8,36 @@ const FieldSchema = new mongoose.Schema({
         required: true
     },
 
-    // Field type
+    // Field type; the auto-filled ones get their text at signing (see utils/autoFields.js)
     fieldType: {
         type: String,
-        enum: ['signature', 'text', 'date', 'checkbox', 'radio', 'image'],
+        enum: [
+            'signature', 'text', 'date', 'checkbox', 'radio', 'image',
+            'initials', 'dropdown', 'name', 'email', 'number', 'stamp',
+            'signer_name', 'signer_email', 'date_signed', 'document_id', 'page_number'
+        ],
         required: true
     },
 
     // Field label/placeholder
     label: { type: String, default: '' },
 
+    // Radio options sharing a group name within the document answer one
+    // question: selecting one deselects the rest (see utils/radioGroups.js)
+    radioGroup: { type: String, trim: true },
+    optionValue: { type: String }, // The group's value while this option is selected
+
+    // Choices of a dropdown field; its value is one of them
+    options: { type: [{ type: String, trim: true }], default: undefined },
+
+    // How a number field's value is drawn (see utils/numberFormat.js)
+    numberFormat: {
+        decimals: { type: Number, min: 0, max: 10 }, // Fixed decimal places (unset = as entered)
+        thousands: { type: Boolean },                // Group thousands (default true)
+        prefix: { type: String },                    // e.g. '$'
+        suffix: { type: String }                     // e.g. ' kg'
+    },
+
     // Position stored as PERCENTAGES (0-1 range) - THE KEY!
     // This makes coordinates resolution-independent
     position: {
@@ -27,19 +48,138 @@ const FieldSchema = new mongoose.Schema({
         heightPercent: { type: Number, required: true, min: 0, max: 1 },
     },
 
+    // Font for text/date rendering (falls back to the document font)
+    fontFamily: { type: String },
+
+    // Text/date styling, shared by the FieldOverlay preview and the PDF output
+    // (see utils/textLayout.js for defaults)
+    textStyle: {
+        fontSize: { type: Number, min: 1, max: 144 }, // Points; unset = auto-fit to the box
+        multiline: { type: Boolean },
+        align: { type: String, enum: ['left', 'center', 'right'] },
+        verticalAlign: { type: String, enum: ['top', 'middle', 'bottom'] },
+        color: { type: String, match: /^#[0-9a-fA-F]{6}$/ },
+        letterSpacing: { type: Number, min: 0 }, // Extra points between characters
+        comb: { type: Number, min: 0, max: 100 } // Cells for comb fields (0 = off)
+    },
+
+    // Rules a value must pass, checked when it is set and again at signing
+    // (see utils/fieldValidation.js; rules that do not apply to the type are ignored)
+    validation: {
+        // text
+        pattern: { type: String, maxlength: 200 }, // Regular expression the whole value must match
+        patternMessage: { type: String },           // Shown instead of the generic mismatch error
+        minLength: { type: Number, min: 0 },
+        maxLength: { type: Number, min: 0 },
+        format: { type: String, enum: ['numeric', 'email'] },
+        min: { type: Number }, // numeric format / number field bounds
+        max: { type: Number },
+        // date: 'YYYY-MM-DD', inclusive
+        minDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+        maxDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+        // signature / initials / image / stamp
+        maxImageBytes: { type: Number, min: 1 },
+        imageTypes: [{ type: String, enum: ['image/png', 'image/jpeg'] }]
+    },
+
+    // Show or require this field depending on another field of the document
+    // (see utils/fieldConditions.js)
+    condition: {
+        fieldId: { type: mongoose.Schema.Types.ObjectId },
+        operator: { type: String, enum: ['checked', 'unchecked', 'equals', 'not_equals'] },
+        value: { type: String }, // For equals / not_equals
+        action: { type: String, enum: ['show', 'require'] }
+    },
+
     // Field-specific data
-    value: { type: mongoose.Schema.Types.Mixed }, // Signature base64, text, etc.
+    // Signature base64, text, etc.; encrypted with the document's data key
+    // while stored (see the hooks below)
+    value: { type: mongoose.Schema.Types.Mixed },
 
     // Required flag
     required: { type: Boolean, default: true },
 
+    // Document.recipients entry that fills this field in (unset = anyone)
+    recipientId: { type: mongoose.Schema.Types.ObjectId },
+
+    // Name of the AcroForm field this was imported from on upload, if any
+    acroFieldName: { type: String },
+
     // Audit
     createdAt: { type: Date, default: Date.now },
     signedAt: { type: Date },
     signedByIP: { type: String },
+    signedRevision: { type: Number }, // Document.signedRevisions index the value was drawn into
 });
 
 // Index for quick lookup by document
 FieldSchema.index({ documentId: 1 });
 
+// Values are sealed on the way into MongoDB and opened on the way out, so
+// routes only ever see plaintext (see utils/encryption.js)
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+FieldSchema.pre('save', async function () {
+    if (!isEncryptionEnabled() || !this.isModified('value') || !hasValue(this.value)) return;
+
+    this.$locals.plainValue = this.value;
+    this.value = sealValue(this.value, await getDocumentKey(this.documentId, { create: true }));
+});
+
+function restorePlainValue(field) {
+    if (!('plainValue' in field.$locals)) return;
+
+    field.value = field.$locals.plainValue;
+    delete field.$locals.plainValue;
+}
+
+FieldSchema.post('save', function () {
+    if (!('plainValue' in this.$locals)) return;
+
+    restorePlainValue(this);
+    this.unmarkModified('value');
+});
+
+// A failed save leaves the value modified, so the next save seals it again
+FieldSchema.post('save', function (error, field, next) {
+    restorePlainValue(field);
+    next(error);
+});
+
+// Sealed copies are inserted: the caller's objects keep their plaintext
+FieldSchema.pre('insertMany', async function (docs) {
+    if (!isEncryptionEnabled()) return;
+
+    const sealed = [];
+    for (const doc of [].concat(docs)) {
+        if (!hasValue(doc.value)) {
+            sealed.push(doc);
+            continue;
+        }
+        const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+        const key = await getDocumentKey(doc.documentId, { create: true });
+        sealed.push({ ...plain, value: sealValue(doc.value, key) });
+    }
+    return mongoose.overwriteMiddlewareArguments(sealed);
+});
+
+async function openValues(fields) {
+    for (const field of [].concat(fields || [])) {
+        if (!isSealedValue(field.value)) continue;
+
+        field.value = openValue(field.value, await getDocumentKey(field.documentId));
+        if (typeof field.unmarkModified === 'function') field.unmarkModified('value');
+    }
+}
+
+FieldSchema.post('find', openValues);
+FieldSchema.post('findOne', openValues);
+// Gets the inserted documents insertMany resolves with
+FieldSchema.post('insertMany', async function (fields) {
+    await openValues(fields);
+    return mongoose.overwriteMiddlewareResult(fields);
+});
+
 module.exports = mongoose.model('Field', FieldSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Per-recipient signing link (see utils/signingLinks.js).
+// Only a hash of the token is stored; the token itself is in the URL.
+const SigningLinkSchema = new mongoose.Schema({
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true
+    },
+    recipientId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Document.recipients entry
+
+    tokenHash: { type: String, required: true }, // SHA-256 of the token
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },    // Set when a newer link replaces this one
+
+    firstOpenedAt: { type: Date },
+    lastUsedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+SigningLinkSchema.index({ tokenHash: 1 }, { unique: true });
+SigningLinkSchema.index({ documentId: 1, recipientId: 1 });
+
+module.exports = mongoose.model('SigningLink', SigningLinkSchema);
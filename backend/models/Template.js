@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Reusable PDF + field layout (see utils/templates.js). Recipients are
+// stored as roles ("Employee", "Manager") and filled in per document.
+const TemplateSchema = new mongoose.Schema({
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: { type: String, required: true, trim: true },
+
+    // Own copy of the PDF, so deleting the source document keeps the template
+    fileName: { type: String, required: true },
+    fileUrl: { type: String, required: true },
+    fileHash: { type: String, required: true },
+    encryption: { keyId: String, wrappedKey: String }, // As on Document, for fileUrl only
+    pdfMetadata: { type: mongoose.Schema.Types.Mixed, required: true }, // As on Document
+
+    roles: [{
+        name: { type: String, required: true, trim: true },
+        role: { type: String, enum: ['signer', 'cc'], default: 'signer' },
+        routingOrder: { type: Number, min: 1, default: 1 },
+        color: { type: String }
+    }],
+    signingOrder: { type: String, enum: ['parallel', 'sequential'], default: 'parallel' },
+
+    // Field layout without values; roleId points into roles
+    fields: [{
+        _id: false,
+        fieldType: { type: String, required: true },
+        label: { type: String },
+        position: {
+            pageNumber: Number,
+            xPercent: Number,
+            yPercent: Number,
+            widthPercent: Number,
+            heightPercent: Number
+        },
+        required: { type: Boolean },
+        fontFamily: { type: String },
+        textStyle: { type: mongoose.Schema.Types.Mixed },
+        validation: { type: mongoose.Schema.Types.Mixed },
+        condition: { type: mongoose.Schema.Types.Mixed }, // Field.condition, pointing at fieldIndex instead of fieldId
+        radioGroup: { type: String },
+        optionValue: { type: String },
+        options: { type: [String], default: undefined },
+        numberFormat: { type: mongoose.Schema.Types.Mixed },
+        acroFieldName: { type: String },
+        roleId: { type: mongoose.Schema.Types.ObjectId }
+    }],
+
+    fontFamily: { type: String },
+    signatureInfo: { type: mongoose.Schema.Types.Mixed },
+
+    createdAt: { type: Date, default: Date.now }
+});
+
+TemplateSchema.index({ ownerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Template', TemplateSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const UserSchema = new mongoose.Schema({
+    email: { type: String, required: true, trim: true, lowercase: true },
+    name: { type: String, trim: true },
+    passwordHash: { type: String, required: true }, // scrypt, see utils/auth.js
+
+    // Server-to-server credentials; only a SHA-256 of each key is stored
+    apiKeys: [{
+        name: { type: String, required: true, trim: true },
+        prefix: { type: String, required: true }, // First characters, to tell keys apart
+        keyHash: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now },
+        lastUsedAt: { type: Date },
+        revokedAt: { type: Date }
+    }],
+
+    createdAt: { type: Date, default: Date.now }
+});
+
+UserSchema.index({ email: 1 }, { unique: true });
+UserSchema.index({ 'apiKeys.keyHash': 1 });
+
+module.exports = mongoose.model('User', UserSchema);
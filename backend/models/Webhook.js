@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Outbound webhook subscription (see utils/webhooks.js): audit log events
+// on the owner's documents are POSTed to `url`, signed with `secret`
+const WebhookSchema = new mongoose.Schema({
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    url: { type: String, required: true, trim: true },
+    events: [{ type: String, required: true }], // AuditLog actions
+    secret: { type: String, required: true },   // HMAC-SHA256 key, shown once on creation
+    description: { type: String, trim: true },
+    active: { type: Boolean, default: true },
+
+    createdAt: { type: Date, default: Date.now }
+});
+
+WebhookSchema.index({ ownerId: 1, active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One event for one webhook: the persistent delivery queue and its history.
+// Pending deliveries are sent once nextAttemptAt has passed, with
+// exponential backoff between attempts (see utils/webhooks.js).
+const WebhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    event: { type: String, required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
+    auditLogId: { type: mongoose.Schema.Types.ObjectId, ref: 'AuditLog' },
+    redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // JSON body, fixed at enqueue time
+
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    nextAttemptAt: { type: Date, default: Date.now },
+
+    attempts: [{
+        _id: false,
+        at: { type: Date, required: true },
+        responseStatus: { type: Number }, // Unset when no response came back
+        error: { type: String },
+        durationMs: { type: Number }
+    }],
+
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,154 @@
+const express = require('express');
+const User = require('../models/User');
+const { requireAuth } = require('../middleware/auth');
+const { hashPassword, verifyPassword, createSessionToken, generateApiKey } = require('../utils/auth');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * POST /api/auth/register
+ * Create an account and start a session
+ *
+ * Body: { email: string, password: string, name: string (optional) }
+ */
+router.post('/register', async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
+
+        if (!email || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                error: `Email and a password of at least ${MIN_PASSWORD_LENGTH} characters are required`
+            });
+        }
+
+        const user = await User.create({
+            email,
+            name,
+            passwordHash: await hashPassword(password)
+        });
+
+        res.status(201).json({ token: createSessionToken(user), user: formatUser(user) });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Register error:', error);
+        res.status(500).json({ error: 'Failed to register' });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for a session token
+ *
+ * Body: { email: string, password: string }
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = typeof email === 'string'
+            ? await User.findOne({ email: email.trim().toLowerCase() })
+            : null;
+
+        // Same answer for unknown emails and wrong passwords
+        if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        res.json({ token: createSessionToken(user), user: formatUser(user) });
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * The authenticated user
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: formatUser(req.user) });
+});
+
+/**
+ * GET /api/auth/api-keys
+ * List the user's API keys (never the keys themselves)
+ */
+router.get('/api-keys', requireAuth, (req, res) => {
+    res.json({ apiKeys: req.user.apiKeys.map(formatApiKey) });
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key for server-to-server use
+ *
+ * Body: { name: string }
+ *
+ * The key is only returned here. Send it as `X-API-Key: <key>` or
+ * `Authorization: Bearer <key>`.
+ */
+router.post('/api-keys', requireAuth, async (req, res) => {
+    try {
+        const { key, prefix, keyHash } = generateApiKey();
+
+        req.user.apiKeys.push({ name: req.body.name || 'API key', prefix, keyHash });
+        await req.user.save();
+
+        const apiKey = req.user.apiKeys[req.user.apiKeys.length - 1];
+        res.status(201).json({ key, apiKey: formatApiKey(apiKey) });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:keyId
+ * Revoke an API key
+ */
+router.delete('/api-keys/:keyId', requireAuth, async (req, res) => {
+    try {
+        const apiKey = req.user.apiKeys.id(req.params.keyId);
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        apiKey.revokedAt = new Date();
+        await req.user.save();
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+function formatUser(user) {
+    return { id: user._id, email: user.email, name: user.name };
+}
+
+function formatApiKey(apiKey) {
+    return {
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        createdAt: apiKey.createdAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        revokedAt: apiKey.revokedAt
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const multer = require('multer');
+const Template = require('../models/Template');
+const Document = require('../models/Document');
+const Field = require('../models/Field');
+const BulkSendJob = require('../models/BulkSendJob');
+const { buildTemplate } = require('../utils/templates');
+const { parseBulkCsv, findUnknownColumns, runBulkSend } = require('../utils/bulkSend');
+const { nextRecipientColor } = require('../utils/recipients');
+const { getActor } = require('../utils/auth');
+
+const router = express.Router();
+
+// The CSV is only read once: keep it in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files are allowed'), false);
+        }
+    },
+    limits: { fileSize: 1 * 1024 * 1024 } // 1MB limit
+});
+
+/**
+ * POST /api/bulk-send
+ * Create one document per CSV row from a template or a document
+ *
+ * Multipart body:
+ *   csv: file     // header row: name, email, then field labels to prefill
+ *   templateId    // or
+ *   documentId    // an existing document, used as a template
+ *
+ * The source needs at most one recipient role: each row's person fills it
+ * (a source without recipients gets a signer). Documents are created after
+ * the response; poll GET /api/bulk-send/:id for per-row results.
+ */
+router.post('/', upload.single('csv'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No CSV file uploaded' });
+        }
+
+        const { templateId, documentId } = req.body;
+
+        // 1. Load the source as a template
+        let template;
+        if (templateId) {
+            template = await Template.findOne({ _id: templateId, ownerId: req.user._id });
+            if (!template) {
+                return res.status(404).json({ error: 'Template not found' });
+            }
+        } else if (documentId) {
+            const document = await Document.findOne({ _id: documentId, ownerId: req.user._id });
+            if (!document) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            const fields = await Field.find({ documentId: document._id });
+            template = buildTemplate(document, fields, { name: document.originalFileName, ownerId: req.user._id });
+        } else {
+            return res.status(400).json({ error: 'templateId or documentId is required' });
+        }
+
+        if (template.roles.length > 1) {
+            return res.status(400).json({ error: 'Bulk send needs a source with at most one recipient' });
+        }
+        if (template.roles.length === 0) {
+            // Not saved: only used for the documents of this job
+            template.roles.push({ name: 'Signer', role: 'signer', routingOrder: 1, color: nextRecipientColor([]) });
+        }
+
+        // 2. Parse the CSV and match its columns to field labels
+        let parsed;
+        try {
+            parsed = parseBulkCsv(req.file.buffer.toString('utf8'));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const unknownColumns = findUnknownColumns(template, parsed.labels);
+        if (unknownColumns.length > 0) {
+            return res.status(400).json({
+                error: 'Some columns match no field label',
+                unknownColumns
+            });
+        }
+
+        // 3. Record the job and create the documents in the background
+        const job = await BulkSendJob.create({
+            ownerId: req.user._id,
+            templateId: templateId || undefined,
+            sourceDocumentId: documentId || undefined,
+            fileName: req.file.originalname,
+            rows: parsed.rows.map(({ row, name, email }) => ({ row, name, email }))
+        });
+
+        runBulkSend(job, template, parsed.rows, getActor(req))
+            .catch(error => console.error('Bulk send error:', error));
+
+        res.status(202).json({ success: true, job: formatJob(job) });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Bulk send error:', error);
+        res.status(500).json({ error: 'Failed to start bulk send' });
+    }
+});
+
+/**
+ * GET /api/bulk-send
+ * List the user's bulk send jobs, newest first (without rows)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const jobs = await BulkSendJob.find({ ownerId: req.user._id }).sort({ createdAt: -1 });
+        res.json({ jobs: jobs.map(job => ({ ...formatJob(job), rows: undefined })) });
+
+    } catch (error) {
+        console.error('List bulk send jobs error:', error);
+        res.status(500).json({ error: 'Failed to list bulk send jobs' });
+    }
+});
+
+/**
+ * GET /api/bulk-send/:id
+ * Job status with the outcome of every row
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await BulkSendJob.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!job) {
+            return res.status(404).json({ error: 'Bulk send job not found' });
+        }
+
+        res.json({ job: formatJob(job) });
+
+    } catch (error) {
+        console.error('Get bulk send job error:', error);
+        res.status(500).json({ error: 'Failed to get bulk send job' });
+    }
+});
+
+function formatJob(job) {
+    const count = (status) => job.rows.filter(row => row.status === status).length;
+    return {
+        id: job._id,
+        status: job.status,
+        templateId: job.templateId,
+        sourceDocumentId: job.sourceDocumentId,
+        fileName: job.fileName,
+        total: job.rows.length,
+        pending: count('pending'),
+        succeeded: count('succeeded'),
+        failed: count('failed'),
+        rows: job.rows,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt
+    };
+}
+
+module.exports = router;
@@ -1,28 +1,24 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { PDFDocument } = require('pdf-lib');
-const { v4: uuidv4 } = require('uuid');
 const Document = require('../models/Document');
+const Field = require('../models/Field');
 const AuditLog = require('../models/AuditLog');
-const { calculateHash } = require('../utils/hashUtils');
+const { getPageGeometry } = require('../utils/pdfUtils');
+const { extractFormFields } = require('../utils/formImport');
+const { verifyChain } = require('../utils/auditChain');
+const { getAvailableFonts, isAvailableFont } = require('../utils/fontRegistry');
+const { sendSigningRequests } = require('../utils/notifications');
+const { createUploadStorage, readFile, removeFile } = require('../utils/storage');
+const { openEnvelope } = require('../utils/encryption');
+const { FILE_VERSIONS, createDownloadUrl, sendDocumentFile } = require('../utils/downloads');
+const { getActor } = require('../utils/auth');
 
 const router = express.Router();
 
-// Configure multer for PDF uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, path.join(__dirname, '../uploads'));
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `${uuidv4()}-${file.originalname}`;
-        cb(null, uniqueName);
-    }
-});
-
+// Configure multer for PDF uploads, streamed into file storage
 const upload = multer({
-    storage,
+    storage: createUploadStorage('uploads'),
     fileFilter: (req, file, cb) => {
         if (file.mimetype === 'application/pdf') {
             cb(null, true);
@@ -38,17 +34,16 @@ const upload = multer({
  * Upload a PDF document
  */
 router.post('/upload', upload.single('pdf'), async (req, res) => {
+    let document;
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No PDF file provided' });
         }
 
-        // Read the uploaded file
-        const filePath = path.join(__dirname, '../uploads', req.file.filename);
-        const pdfBuffer = fs.readFileSync(filePath);
-
-        // Calculate SHA-256 hash of original document
-        const originalHash = calculateHash(pdfBuffer);
+        // The uploaded file, already stored (encrypted if enabled) and read
+        // back for parsing, and its SHA-256 (hashed while streaming)
+        const pdfBuffer = await readFile(req.file.fileUrl, openEnvelope(req.file.encryption));
+        const originalHash = req.file.hash;
 
         // Extract PDF metadata
         const pdfDoc = await PDFDocument.load(pdfBuffer);
@@ -58,36 +53,47 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
         for (let i = 0; i < pageCount; i++) {
             const page = pdfDoc.getPage(i);
             const { width, height } = page.getSize();
+            const { rotation, cropBox, mediaBox } = getPageGeometry(page);
             pages.push({
                 pageNumber: i + 1,
                 widthPoints: width,
-                heightPoints: height
+                heightPoints: height,
+                rotation,
+                cropBox,
+                mediaBox
             });
         }
 
+        // Existing form widgets become fields, so the editor opens with them placed
+        const importedFields = extractFormFields(pdfDoc);
+
         // Create document record
-        const document = await Document.create({
+        document = await Document.create({
+            ownerId: req.user._id,
             originalFileName: req.file.originalname,
-            originalFileUrl: `/uploads/${req.file.filename}`,
+            originalFileUrl: req.file.fileUrl,
             originalHash,
+            encryption: req.file.encryption,
             pdfMetadata: { pageCount, pages },
-            status: 'draft'
+            status: importedFields.length > 0 ? 'pending_signature' : 'draft'
         });
 
+        const fields = await Field.insertMany(importedFields.map(descriptor => ({
+            documentId: document._id,
+            ...descriptor
+        })));
+
         // Create audit log entry
         await AuditLog.create({
             documentId: document._id,
             action: 'uploaded',
             documentHashAfter: originalHash,
-            performedBy: {
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                timestamp: new Date()
-            },
+            performedBy: getActor(req),
             details: {
                 fileName: req.file.originalname,
                 fileSize: req.file.size,
-                pageCount
+                pageCount,
+                importedFields: fields.length
             }
         });
 
@@ -100,28 +106,38 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
                 hash: originalHash,
                 metadata: document.pdfMetadata,
                 status: document.status
-            }
+            },
+            fields
         });
 
     } catch (error) {
+        // Not a usable PDF: drop the stored file
+        if (req.file && !document) removeFile(req.file.fileUrl).catch(() => {});
         console.error('Upload error:', error);
         res.status(500).json({ error: 'Failed to upload document' });
     }
 });
 
+/**
+ * GET /api/documents/fonts
+ * List fonts available for text and date fields
+ */
+router.get('/fonts', (req, res) => {
+    res.json({ fonts: getAvailableFonts() });
+});
+
 /**
  * GET /api/documents/:id
  * Get document by ID with its fields
  */
 router.get('/:id', async (req, res) => {
     try {
-        const document = await Document.findById(req.params.id);
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
 
         if (!document) {
             return res.status(404).json({ error: 'Document not found' });
         }
 
-        const Field = require('../models/Field');
         const fields = await Field.find({ documentId: document._id });
 
         res.json({
@@ -132,7 +148,14 @@ router.get('/:id', async (req, res) => {
                 signedFileUrl: document.signedFileUrl,
                 hash: document.originalHash,
                 signedHash: document.signedHash,
+                formFileUrl: document.formFileUrl,
                 metadata: document.pdfMetadata,
+                signatureInfo: document.signatureInfo,
+                fontFamily: document.fontFamily,
+                recipients: document.recipients,
+                signingOrder: document.signingOrder,
+                sentAt: document.sentAt,
+                declined: document.declined,
                 status: document.status
             },
             fields
@@ -144,13 +167,262 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/documents/:id/signature-info
+ * Set signer metadata used for digital (PAdES) signatures
+ *
+ * Body: {
+ *   signerName: string,
+ *   reason: string,
+ *   location: string,
+ *   contactInfo: string
+ * }
+ */
+router.put('/:id/signature-info', async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const { signerName, reason, location, contactInfo } = req.body;
+        document.signatureInfo = { signerName, reason, location, contactInfo };
+        document.updatedAt = new Date();
+        await document.save();
+
+        res.json({ success: true, signatureInfo: document.signatureInfo });
+
+    } catch (error) {
+        console.error('Update signature info error:', error);
+        res.status(500).json({ error: 'Failed to update signature info' });
+    }
+});
+
+/**
+ * PUT /api/documents/:id/font
+ * Set the default font for the document's text and date fields
+ *
+ * Body: { fontFamily: string }
+ */
+router.put('/:id/font', async (req, res) => {
+    try {
+        const { fontFamily } = req.body;
+        if (fontFamily && !isAvailableFont(fontFamily)) {
+            return res.status(400).json({ error: `Unknown font: ${fontFamily}` });
+        }
+
+        const document = await Document.findOneAndUpdate({ _id: req.params.id, ownerId: req.user._id }, {
+            fontFamily: fontFamily || undefined,
+            updatedAt: new Date()
+        }, { new: true });
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.json({ success: true, fontFamily: document.fontFamily });
+
+    } catch (error) {
+        console.error('Update font error:', error);
+        res.status(500).json({ error: 'Failed to update font' });
+    }
+});
+
+/**
+ * PUT /api/documents/:id/signing-order
+ * Choose whether recipients fill in at once or by routing order
+ *
+ * Body: { signingOrder: 'parallel' | 'sequential' }
+ */
+router.put('/:id/signing-order', async (req, res) => {
+    try {
+        const { signingOrder } = req.body;
+        if (!['parallel', 'sequential'].includes(signingOrder)) {
+            return res.status(400).json({ error: 'signingOrder must be parallel or sequential' });
+        }
+
+        const document = await Document.findOneAndUpdate({ _id: req.params.id, ownerId: req.user._id }, {
+            signingOrder,
+            updatedAt: new Date()
+        }, { new: true });
+
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        res.json({ success: true, signingOrder: document.signingOrder });
+
+    } catch (error) {
+        console.error('Update signing order error:', error);
+        res.status(500).json({ error: 'Failed to update signing order' });
+    }
+});
+
+/**
+ * POST /api/documents/:id/send
+ * Email the signers a "please sign" message with a new signing link
+ *
+ * Body: { message: string (optional note to the signers) }
+ *
+ * Sequential documents only email the signers whose turn it is; the next
+ * ones are emailed as the earlier ones complete. Sending again re-sends to
+ * everyone whose turn it is (with new links) and reopens a declined
+ * document. Each email is recorded in the audit log (email_sent,
+ * email_failed or email_skipped).
+ */
+router.post('/:id/send', async (req, res) => {
+    try {
+        const { message } = req.body;
+
+        // 1. Fetch document; there must be someone to send it to
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        if (!document.recipients.some(r => r.role === 'signer')) {
+            return res.status(400).json({ error: 'Add a signer before sending the document' });
+        }
+        if (document.status === 'signed' || document.status === 'completed') {
+            return res.status(409).json({ error: 'Document is already signed' });
+        }
+
+        // 2. Mark as sent
+        document.sentAt = new Date();
+        document.status = 'pending_signature';
+        document.declined = undefined;
+        document.updatedAt = new Date();
+        await document.save();
+
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'sent',
+            performedBy: getActor(req),
+            details: { message }
+        });
+
+        // 3. Email the signers whose turn it is
+        const emails = await sendSigningRequests(document, getActor(req), { message });
+
+        res.json({ success: true, status: document.status, emails });
+
+    } catch (error) {
+        console.error('Send document error:', error);
+        res.status(500).json({ error: 'Failed to send document' });
+    }
+});
+
+/**
+ * GET /api/documents/:id/emails
+ * Sending history: every email about the document, newest first
+ */
+router.get('/:id/emails', async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const logs = await AuditLog.find({
+            documentId: document._id,
+            action: { $in: ['email_sent', 'email_failed', 'email_skipped'] }
+        }).sort({ 'performedBy.timestamp': -1 });
+
+        res.json({
+            emails: logs.map(log => ({
+                id: log._id,
+                status: log.action.replace('email_', ''),
+                template: log.details.template,
+                to: log.details.to,
+                recipientId: log.details.recipientId,
+                subject: log.details.subject,
+                attachments: log.details.attachments,
+                error: log.details.error,
+                sentAt: log.performedBy.timestamp
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get emails error:', error);
+        res.status(500).json({ error: 'Failed to get email history' });
+    }
+});
+
+/**
+ * GET /api/documents/:id/file/:version
+ * Download one of the document's PDFs (owner only)
+ *
+ * version: 'original' | 'signed' | 'form'
+ * Query: disposition=inline to show it in the browser (the editor's view;
+ * recorded like any download, with `inline: true`)
+ */
+router.get('/:id/file/:version', async (req, res) => {
+    try {
+        if (!FILE_VERSIONS[req.params.version]) {
+            return res.status(404).json({ error: 'Unknown file version' });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        await sendDocumentFile(req, res, document, req.params.version, {
+            via: 'session',
+            inline: req.query.disposition === 'inline'
+        });
+
+    } catch (error) {
+        console.error('Get file error:', error);
+        res.status(500).json({ error: 'Failed to get file' });
+    }
+});
+
+/**
+ * POST /api/documents/:id/file/:version/url
+ * Signed URL downloading one of the document's PDFs without a session
+ *
+ * Body: { expiresIn: seconds (default DOWNLOAD_URL_TTL_SECONDS or 300, at most 7 days) }
+ *
+ * Anyone holding the URL can download the file until expiresAt; the URL is
+ * a path on this server (GET /api/downloads/...).
+ */
+router.post('/:id/file/:version/url', async (req, res) => {
+    try {
+        if (!FILE_VERSIONS[req.params.version]) {
+            return res.status(404).json({ error: 'Unknown file version' });
+        }
+
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        if (!document[FILE_VERSIONS[req.params.version].key]) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const { url, expiresAt } = createDownloadUrl(document, req.params.version, req.body?.expiresIn);
+
+        res.status(201).json({ success: true, url, expiresAt });
+
+    } catch (error) {
+        console.error('Create download URL error:', error);
+        res.status(500).json({ error: 'Failed to create download URL' });
+    }
+});
+
 /**
  * GET /api/documents/:id/audit
  * Get audit trail for a document
  */
 router.get('/:id/audit', async (req, res) => {
     try {
-        const logs = await AuditLog.find({ documentId: req.params.id })
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const logs = await AuditLog.find({ documentId: document._id })
             .sort({ 'performedBy.timestamp': -1 });
 
         res.json({ auditTrail: logs });
@@ -161,4 +433,25 @@ router.get('/:id/audit', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/documents/:id/audit/verify
+ * Walk the audit log hash chain and report the first broken link
+ */
+router.get('/:id/audit/verify', async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const logs = await AuditLog.find({ documentId: document._id });
+
+        res.json({ documentId: document._id, ...verifyChain(logs) });
+
+    } catch (error) {
+        console.error('Verify audit error:', error);
+        res.status(500).json({ error: 'Failed to verify audit trail' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const Document = require('../models/Document');
+const { verifyDownloadUrl, sendDocumentFile } = require('../utils/downloads');
+
+const router = express.Router();
+
+/**
+ * GET /api/downloads/:documentId/:version?expires=...&signature=...
+ * Download a PDF with a signed URL (POST /api/documents/:id/file/:version/url)
+ *
+ * Public; the signature is the credential, until `expires` (Unix seconds).
+ */
+router.get('/:documentId/:version', async (req, res) => {
+    try {
+        const { documentId, version } = req.params;
+        const { expires, signature } = req.query;
+
+        if (!verifyDownloadUrl(documentId, version, expires, signature)) {
+            return res.status(401).json({ error: 'Download link is invalid or has expired' });
+        }
+
+        const document = await Document.findById(documentId);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        await sendDocumentFile(req, res, document, version, { via: 'signed_url' });
+
+    } catch (error) {
+        console.error('Signed download error:', error);
+        res.status(500).json({ error: 'Failed to get file' });
+    }
+});
+
+module.exports = router;
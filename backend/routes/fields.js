@@ -2,6 +2,15 @@ const express = require('express');
 const Field = require('../models/Field');
 const Document = require('../models/Document');
 const AuditLog = require('../models/AuditLog');
+const { isAvailableFont } = require('../utils/fontRegistry');
+const { getBlockingRecipients } = require('../utils/recipients');
+const { validateFieldValue, checkValidationRules } = require('../utils/fieldValidation');
+const { resolveFieldStates, checkCondition } = require('../utils/fieldConditions');
+const { selectRadioOption } = require('../utils/radioGroups');
+const { findSigningLink } = require('../utils/signingLinks');
+const { notifyNextSigners } = require('../utils/notifications');
+const { getActor } = require('../utils/auth');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -11,8 +20,15 @@ const router = express.Router();
  * 
  * Body: {
  *   documentId: string,
- *   fieldType: 'signature' | 'text' | 'date' | 'checkbox' | 'radio' | 'image',
+ *   fieldType: 'signature' | 'text' | 'date' | 'checkbox' | 'radio' | 'image' |
+ *     'initials' | 'dropdown' | 'name' | 'email' | 'number' | 'stamp',
+ *     or an auto-filled 'signer_name' | 'signer_email' | 'date_signed' |
+ *     'document_id' | 'page_number' (see utils/autoFields.js),
  *   label: string,
+ *   radioGroup: string, optionValue: string (optional, radio only: options
+ *     sharing a group are one question, see utils/radioGroups.js),
+ *   options: [string] (dropdown only, at least one),
+ *   numberFormat: { decimals, thousands, prefix, suffix } (optional, number only),
  *   position: {
  *     pageNumber: number,
  *     xPercent: number (0-1),
@@ -20,15 +36,42 @@ const router = express.Router();
  *     widthPercent: number (0-1),
  *     heightPercent: number (0-1)
  *   },
- *   required: boolean
+ *   required: boolean,
+ *   fontFamily: string (optional, see utils/fontRegistry.js),
+ *   textStyle: {
+ *     fontSize: number | null (null = auto-fit),
+ *     multiline: boolean,
+ *     align: 'left' | 'center' | 'right',
+ *     verticalAlign: 'top' | 'middle' | 'bottom',
+ *     color: '#rrggbb',
+ *     letterSpacing: number (points),
+ *     comb: number (cells, 0 = off)
+ *   } (optional),
+ *   validation: {
+ *     pattern: string (regex, whole value), patternMessage: string,
+ *     minLength: number, maxLength: number,
+ *     format: 'numeric' | 'email', min: number, max: number,
+ *     minDate: 'YYYY-MM-DD', maxDate: 'YYYY-MM-DD',
+ *     maxImageBytes: number, imageTypes: ['image/png' | 'image/jpeg']
+ *   } (optional, see utils/fieldValidation.js),
+ *   condition: {
+ *     fieldId: string (another field of the document),
+ *     operator: 'checked' | 'unchecked' (checkbox/radio) | 'equals' | 'not_equals' (text/date),
+ *     value: string (for equals/not_equals),
+ *     action: 'show' | 'require' (default 'show')
+ *   } (optional, see utils/fieldConditions.js),
+ *   recipientId: string (optional, a signer in Document.recipients)
  * }
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
     try {
-        const { documentId, fieldType, label, position, required } = req.body;
+        const {
+            documentId, fieldType, label, radioGroup, optionValue, options, numberFormat, position, required,
+            fontFamily, textStyle, validation, condition, recipientId
+        } = req.body;
 
-        // Validate document exists
-        const document = await Document.findById(documentId);
+        // Validate document exists and belongs to the user
+        const document = await Document.findOne({ _id: documentId, ownerId: req.user._id });
         if (!document) {
             return res.status(404).json({ error: 'Document not found' });
         }
@@ -39,13 +82,50 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Position percentages must be between 0 and 1' });
         }
 
+        if (fontFamily && !isAvailableFont(fontFamily)) {
+            return res.status(400).json({ error: `Unknown font: ${fontFamily}` });
+        }
+
+        const recipientError = checkRecipient(document, recipientId);
+        if (recipientError) {
+            return res.status(400).json({ error: recipientError });
+        }
+
+        if ((radioGroup || optionValue) && fieldType !== 'radio') {
+            return res.status(400).json({ error: 'Only radio fields belong to a radio group' });
+        }
+
+        const typeOptionsError = checkTypeOptions(fieldType, { options, numberFormat });
+        if (typeOptionsError) {
+            return res.status(400).json({ error: typeOptionsError });
+        }
+
+        const rulesError = checkValidationRules(validation);
+        if (rulesError) {
+            return res.status(400).json({ error: rulesError });
+        }
+
+        const conditionError = condition && checkCondition(condition, await Field.find({ documentId }));
+        if (conditionError) {
+            return res.status(400).json({ error: conditionError });
+        }
+
         // Create field
         const field = await Field.create({
             documentId,
             fieldType,
             label: label || fieldType,
+            radioGroup: radioGroup || undefined,
+            optionValue: optionValue || undefined,
+            options: fieldType === 'dropdown' ? options : undefined,
+            numberFormat,
             position,
-            required: required !== false
+            required: required !== false,
+            fontFamily,
+            textStyle,
+            validation,
+            condition: condition ? { action: 'show', ...condition } : undefined,
+            recipientId: recipientId || undefined
         });
 
         // Update document status
@@ -58,21 +138,21 @@ router.post('/', async (req, res) => {
         await AuditLog.create({
             documentId,
             action: 'field_added',
-            performedBy: {
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                timestamp: new Date()
-            },
+            performedBy: getActor(req),
             details: {
                 fieldId: field._id,
                 fieldType,
-                position
+                position,
+                recipientId
             }
         });
 
         res.status(201).json({ success: true, field });
 
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Create field error:', error);
         res.status(500).json({ error: 'Failed to create field' });
     }
@@ -81,12 +161,16 @@ router.post('/', async (req, res) => {
 /**
  * PUT /api/fields/:id
  * Update a field's position or properties
+ * (recipientId: null unassigns the field, validation/condition: null clears them)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, async (req, res) => {
     try {
-        const { position, label, required } = req.body;
+        const {
+            position, label, radioGroup, optionValue, options, numberFormat,
+            required, fontFamily, textStyle, validation, condition, recipientId
+        } = req.body;
 
-        const field = await Field.findById(req.params.id);
+        const { field, document } = await findOwnedField(req);
         if (!field) {
             return res.status(404).json({ error: 'Field not found' });
         }
@@ -101,7 +185,54 @@ router.put('/:id', async (req, res) => {
             field.position = position;
         }
         if (label !== undefined) field.label = label;
+        if (radioGroup !== undefined || optionValue !== undefined) {
+            if (field.fieldType !== 'radio') {
+                return res.status(400).json({ error: 'Only radio fields belong to a radio group' });
+            }
+            if (radioGroup !== undefined) field.radioGroup = radioGroup || undefined;
+            if (optionValue !== undefined) field.optionValue = optionValue || undefined;
+        }
+        if (options !== undefined || numberFormat !== undefined) {
+            const typeOptionsError = checkTypeOptions(field.fieldType, {
+                options: options ?? field.options,
+                numberFormat
+            });
+            if (typeOptionsError) {
+                return res.status(400).json({ error: typeOptionsError });
+            }
+            if (options !== undefined) field.options = options;
+            if (numberFormat !== undefined) field.numberFormat = numberFormat || undefined;
+        }
         if (required !== undefined) field.required = required;
+        if (fontFamily !== undefined) {
+            if (fontFamily && !isAvailableFont(fontFamily)) {
+                return res.status(400).json({ error: `Unknown font: ${fontFamily}` });
+            }
+            field.fontFamily = fontFamily || undefined;
+        }
+        if (textStyle !== undefined) field.textStyle = textStyle;
+        if (validation !== undefined) {
+            const rulesError = checkValidationRules(validation);
+            if (rulesError) {
+                return res.status(400).json({ error: rulesError });
+            }
+            field.validation = validation || undefined;
+        }
+        if (condition !== undefined) {
+            const conditionError = condition &&
+                checkCondition(condition, await Field.find({ documentId: field.documentId }), field._id);
+            if (conditionError) {
+                return res.status(400).json({ error: conditionError });
+            }
+            field.condition = condition ? { action: 'show', ...condition } : undefined;
+        }
+        if (recipientId !== undefined) {
+            const recipientError = checkRecipient(document, recipientId);
+            if (recipientError) {
+                return res.status(400).json({ error: recipientError });
+            }
+            field.recipientId = recipientId || undefined;
+        }
 
         await field.save();
 
@@ -109,11 +240,7 @@ router.put('/:id', async (req, res) => {
         await AuditLog.create({
             documentId: field.documentId,
             action: 'field_modified',
-            performedBy: {
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                timestamp: new Date()
-            },
+            performedBy: getActor(req),
             details: {
                 fieldId: field._id,
                 updates: req.body
@@ -123,6 +250,9 @@ router.put('/:id', async (req, res) => {
         res.json({ success: true, field });
 
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Update field error:', error);
         res.status(500).json({ error: 'Failed to update field' });
     }
@@ -132,23 +262,26 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/fields/:id
  * Delete a field
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, async (req, res) => {
     try {
-        const field = await Field.findByIdAndDelete(req.params.id);
-
+        const { field } = await findOwnedField(req);
         if (!field) {
             return res.status(404).json({ error: 'Field not found' });
         }
 
+        await field.deleteOne();
+
+        // Fields shown or required by this one become unconditional
+        await Field.updateMany(
+            { documentId: field.documentId, 'condition.fieldId': field._id },
+            { $unset: { condition: 1 } }
+        );
+
         // Audit log
         await AuditLog.create({
             documentId: field.documentId,
             action: 'field_deleted',
-            performedBy: {
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                timestamp: new Date()
-            },
+            performedBy: getActor(req),
             details: { fieldId: field._id }
         });
 
@@ -163,22 +296,165 @@ router.delete('/:id', async (req, res) => {
 /**
  * POST /api/fields/:id/value
  * Set the value of a field (for signing)
+ *
+ * Allowed for the document owner, or with an X-Signing-Token header
+ * (signer view) for fields assigned to that link's recipient. Every value
+ * set is audited: `signing_link_used` through a link, else `field_filled`.
+ * In sent sequential documents, link values that complete a recipient
+ * email the signers whose turn comes next.
+ *
+ * The value must fit the field's type and validation rules (400 with
+ * `errors` otherwise); an empty value clears the field. Fields hidden by
+ * their condition only accept clearing (409). For grouped radio options,
+ * true selects the option and false clears the group; the other options
+ * come back in `updatedFields`.
+ *
+ * Body: { value, applyToAll: boolean (initials only: also fill the signer's
+ * other empty initials fields, returned in `updatedFields`) }
  */
-router.post('/:id/value', async (req, res) => {
+router.post('/:id/value', optionalAuth, async (req, res) => {
     try {
-        const { value } = req.body;
+        const { value, applyToAll } = req.body;
 
         const field = await Field.findById(req.params.id);
         if (!field) {
             return res.status(404).json({ error: 'Field not found' });
         }
 
-        field.value = value;
+        // Signing link: scoped to the recipient's own fields
+        const token = req.get('X-Signing-Token');
+        let link = null;
+        if (token) {
+            link = await findSigningLink(token);
+            if (!link) {
+                return res.status(401).json({ error: 'Signing link is invalid or has expired' });
+            }
+            if (!link.documentId.equals(field.documentId) || !field.recipientId?.equals(link.recipientId)) {
+                return res.status(403).json({ error: 'Field is not assigned to this signer' });
+            }
+        } else {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!(await Document.exists({ _id: field.documentId, ownerId: req.user._id }))) {
+                return res.status(404).json({ error: 'Field not found' });
+            }
+        }
+
+        // Already drawn into an incremental signing round: those bytes are final
+        if (field.signedRevision !== undefined && field.signedRevision !== null) {
+            return res.status(409).json({ error: 'Field is already signed into the document' });
+        }
+
+        // A regular signing drew every value: changing one would no longer
+        // match the signed PDF and its recorded hashes
+        const signedDocument = await Document.findOne({
+            _id: field.documentId,
+            status: { $in: ['signed', 'completed'] },
+            'signedRevisions.0': { $exists: false }
+        });
+        if (signedDocument) {
+            return res.status(409).json({ error: 'Document is already signed' });
+        }
+
+        const errors = validateFieldValue(field, value);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; '), fieldId: field._id, errors });
+        }
+
+        // Fields hidden by their condition take no values
+        const clearing = value === undefined || value === null || value === '';
+        if (field.condition?.fieldId && !clearing) {
+            const states = resolveFieldStates(await Field.find({ documentId: field.documentId }));
+            if (!states.get(String(field._id)).visible) {
+                return res.status(409).json({ error: 'Field is hidden by its condition' });
+            }
+        }
+
+        // Sequential signing: earlier recipients go first
+        if (field.recipientId) {
+            const document = await Document.findById(field.documentId);
+            const fields = await Field.find({ documentId: field.documentId });
+            const waitingFor = getBlockingRecipients(document, fields, field.recipientId);
+            if (waitingFor.length > 0) {
+                return res.status(409).json({
+                    error: 'Waiting for earlier recipients to complete',
+                    waitingFor: waitingFor.map(({ recipientId, name, routingOrder }) => ({ recipientId, name, routingOrder }))
+                });
+            }
+        }
+
+        // Radio groups: one selected option; deselecting clears the group
+        let updatedFields = [];
+        if (field.fieldType === 'radio' && field.radioGroup) {
+            const options = await Field.find({
+                documentId: field.documentId,
+                fieldType: 'radio',
+                radioGroup: field.radioGroup
+            });
+            // A signer only answers a question whose options are all theirs
+            if (link && options.some(option => !option.recipientId?.equals(link.recipientId))) {
+                return res.status(409).json({ error: 'Radio group has options assigned to other recipients' });
+            }
+            updatedFields = selectRadioOption(field, value === true, options);
+            for (const option of updatedFields) {
+                await option.save();
+            }
+        } else {
+            field.value = value;
+        }
         field.signedAt = new Date();
         field.signedByIP = req.ip;
         await field.save();
 
-        res.json({ success: true, field });
+        // Initials: drawn once, reused on the signer's other pages
+        let copies = [];
+        if (field.fieldType === 'initials' && applyToAll && !clearing) {
+            copies = await fillOtherInitials(field, req.ip);
+            updatedFields = copies;
+        }
+
+        if (link) {
+            link.lastUsedAt = new Date();
+            await link.save();
+
+            // One entry per field filled, copied initials included
+            for (const filled of [field, ...copies]) {
+                await AuditLog.create({
+                    documentId: field.documentId,
+                    action: 'signing_link_used',
+                    performedBy: getActor(req),
+                    details: {
+                        linkId: link._id,
+                        recipientId: link.recipientId,
+                        fieldId: filled._id,
+                        fieldType: filled.fieldType,
+                        copiedFrom: filled === field ? undefined : field._id
+                    }
+                });
+            }
+
+            // Sequential documents: email whoever's turn this completes (not awaited)
+            const document = await Document.findById(field.documentId);
+            notifyNextSigners(document, getActor(req))
+                .catch(error => console.error('Next signers notice error:', error));
+        } else {
+            for (const filled of [field, ...copies]) {
+                await AuditLog.create({
+                    documentId: field.documentId,
+                    action: 'field_filled',
+                    performedBy: getActor(req),
+                    details: {
+                        fieldId: filled._id,
+                        fieldType: filled.fieldType,
+                        cleared: clearing,
+                        copiedFrom: filled === field ? undefined : field._id
+                    }
+                });
+            }
+        }
+
+        res.json({ success: true, field, updatedFields });
 
     } catch (error) {
         console.error('Set field value error:', error);
@@ -186,4 +462,76 @@ router.post('/:id/value', async (req, res) => {
     }
 });
 
+/**
+ * The field in req.params.id and its document, if the user owns the
+ * document; otherwise an empty object
+ */
+async function findOwnedField(req) {
+    const field = await Field.findById(req.params.id);
+    const document = field && await Document.findOne({ _id: field.documentId, ownerId: req.user._id });
+    return document ? { field, document } : {};
+}
+
+/**
+ * Copy an initials value onto the same signer's other initials fields that
+ * are empty, shown and not yet signed into the document
+ *
+ * @returns {Promise<Array>} - The fields filled in
+ */
+async function fillOtherInitials(field, ip) {
+    const fields = await Field.find({ documentId: field.documentId });
+    const states = resolveFieldStates(fields);
+
+    const others = fields.filter(f =>
+        f.fieldType === 'initials' &&
+        !f._id.equals(field._id) &&
+        String(f.recipientId || '') === String(field.recipientId || '') &&
+        (f.value === undefined || f.value === null || f.value === '') &&
+        (f.signedRevision === undefined || f.signedRevision === null) &&
+        states.get(String(f._id)).visible
+    );
+    for (const other of others) {
+        other.value = field.value;
+        other.signedAt = field.signedAt;
+        other.signedByIP = ip;
+        await other.save();
+    }
+    return others;
+}
+
+/**
+ * Why a field cannot have the given dropdown options or number format,
+ * or null if it can
+ */
+function checkTypeOptions(fieldType, { options, numberFormat }) {
+    if (options !== undefined && options !== null && fieldType !== 'dropdown') {
+        return 'Only dropdown fields have options';
+    }
+    if (fieldType === 'dropdown') {
+        if (!Array.isArray(options) || options.length === 0) {
+            return 'Dropdown fields need at least one option';
+        }
+        if (options.some(o => typeof o !== 'string' || !o.trim())) {
+            return 'Dropdown options must be non-empty text';
+        }
+    }
+    if (numberFormat && fieldType !== 'number') {
+        return 'Only number fields have a number format';
+    }
+    return null;
+}
+
+/**
+ * Why a field cannot be assigned to recipientId, or null if it can
+ * (an empty recipientId leaves the field unassigned)
+ */
+function checkRecipient(document, recipientId) {
+    if (!recipientId) return null;
+
+    const recipient = document.recipients.id(recipientId);
+    if (!recipient) return 'Recipient not found on this document';
+    if (recipient.role !== 'signer') return 'Only signers can be assigned fields';
+    return null;
+}
+
 module.exports = router;
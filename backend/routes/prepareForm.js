@@ -0,0 +1,253 @@
+const express = require('express');
+const { PDFDocument, TextAlignment, degrees, rgb } = require('pdf-lib');
+const Document = require('../models/Document');
+const Field = require('../models/Field');
+const AuditLog = require('../models/AuditLog');
+const { calculateHash } = require('../utils/hashUtils');
+const {
+    transformToPdfCoordinates,
+    getUprightSize,
+    toPagePoint,
+    getPageGeometry,
+    parseHexColor
+} = require('../utils/pdfUtils');
+const { createFontRegistry, pickFont } = require('../utils/fontRegistry');
+const { addSignatureField } = require('../utils/pdfSigner');
+const { removeImportedFormFields } = require('../utils/formImport');
+const { optionValueOf } = require('../utils/radioGroups');
+const { formatNumber } = require('../utils/numberFormat');
+const { readFile, saveFile, removeFile } = require('../utils/storage');
+const { getDocumentKey } = require('../utils/encryption');
+const { getActor } = require('../utils/auth');
+
+const router = express.Router();
+
+const ALIGNMENTS = {
+    left: TextAlignment.Left,
+    center: TextAlignment.Center,
+    right: TextAlignment.Right
+};
+
+/**
+ * POST /api/prepare-form
+ * Export the document as a fillable PDF form
+ *
+ * Instead of flattening values as drawings (see /api/sign-pdf), every Field
+ * becomes a real AcroForm widget at the same transformed coordinates, so the
+ * recipient can fill it in any PDF viewer.
+ *
+ * Body: {
+ *   documentId: string,
+ *   prefill: boolean  // write current field values into the form fields
+ * }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { documentId, prefill } = req.body;
+
+        // 1. Fetch document and all its fields
+        const document = await Document.findOne({ _id: documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const fields = await Field.find({ documentId });
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'Document has no fields' });
+        }
+
+        // 2. Load the original PDF
+        const dataKey = await getDocumentKey(document, { create: true });
+        const pdfBuffer = await readFile(document.originalFileUrl, dataKey);
+        const hashBefore = calculateHash(pdfBuffer);
+
+        const pdfDoc = await PDFDocument.load(pdfBuffer);
+        const form = pdfDoc.getForm();
+        // Imported widgets are re-created from their Field records below
+        removeImportedFormFields(pdfDoc, fields.map(f => f.acroFieldName));
+        // Editable fields need full fonts, not subsets
+        const fonts = createFontRegistry(pdfDoc, { subset: false });
+        const usedNames = new Set(form.getFields().map(f => f.getName()));
+        // Grouped radio options share one form field, keyed by Field.radioGroup
+        const radioGroups = new Map();
+
+        // 3. Create one widget per field
+        const created = [];
+        const skipped = [];
+        for (const field of fields) {
+            const page = pdfDoc.getPage(field.position.pageNumber - 1);
+            const { rotation, cropBox } = getPageGeometry(page);
+
+            // THE KEY TRANSFORMATION, shared with /api/sign-pdf
+            const pdfCoords = transformToPdfCoordinates(field.position, cropBox.width, cropBox.height, {
+                rotation,
+                offsetX: cropBox.x,
+                offsetY: cropBox.y
+            });
+
+            const grouped = field.fieldType === 'radio' && field.radioGroup;
+            const name = grouped
+                ? radioGroups.get(field.radioGroup)?.getName() ?? uniqueFieldName(field.radioGroup, usedNames)
+                : uniqueFieldName(field.label || field.fieldType, usedNames);
+            const value = prefill ? field.value : undefined;
+
+            // pdf-lib expects the rotation anchor and the upright size
+            const widgetOptions = {
+                ...toPagePoint(pdfCoords, 0, 0),
+                ...getUprightSize(pdfCoords),
+                rotate: degrees(rotation),
+                borderWidth: 1,
+                borderColor: rgb(0.6, 0.6, 0.6)
+            };
+
+            switch (field.fieldType) {
+                case 'text':
+                case 'date':
+                case 'name':
+                case 'email':
+                case 'number': {
+                    let text = value;
+                    if (field.fieldType === 'date' && value) text = new Date(value).toLocaleDateString();
+                    if (field.fieldType === 'number' && value !== undefined && value !== null) {
+                        text = formatNumber(value, field.numberFormat);
+                    }
+                    // A comb field holds at most one character per cell
+                    const comb = field.textStyle?.comb;
+                    if (comb > 0 && text && String(text).length > comb) {
+                        return res.status(400).json({
+                            error: `Value of field "${field.label || field.fieldType}" does not fit its ${comb} comb cells`,
+                            fieldId: field._id
+                        });
+                    }
+                    await addTextField(form, fonts, page, name, field, document, text, widgetOptions);
+                    break;
+                }
+
+                case 'dropdown': {
+                    const dropdown = form.createDropdown(name);
+                    dropdown.setOptions(field.options || []);
+                    dropdown.addToPage(page, widgetOptions);
+                    if (value) dropdown.select(value);
+                    if (field.required) dropdown.enableRequired();
+                    const font = await fonts.getFont(pickFont((field.options || []).join(''),
+                        field.fontFamily || document.fontFamily));
+                    dropdown.updateAppearances(font);
+                    break;
+                }
+
+                case 'checkbox': {
+                    const checkBox = form.createCheckBox(name);
+                    checkBox.addToPage(page, widgetOptions);
+                    if (value) checkBox.check();
+                    if (field.required) checkBox.enableRequired();
+                    break;
+                }
+
+                case 'radio': {
+                    let radioGroup = grouped && radioGroups.get(field.radioGroup);
+                    if (!radioGroup) {
+                        radioGroup = form.createRadioGroup(name);
+                        if (grouped) radioGroups.set(field.radioGroup, radioGroup);
+                    }
+                    const option = grouped ? optionValueOf(field) : 'On';
+                    radioGroup.addOptionToPage(option, page, widgetOptions);
+                    if (value === true) radioGroup.select(option);
+                    if (field.required) radioGroup.enableRequired();
+                    break;
+                }
+
+                case 'signature':
+                case 'initials':
+                    addSignatureField(pdfDoc, page, name, pdfCoords, rotation);
+                    break;
+
+                default:
+                    skipped.push({ fieldId: field._id, fieldType: field.fieldType });
+                    continue;
+            }
+
+            created.push({ fieldId: field._id, name, fieldType: field.fieldType });
+        }
+
+        // 4. Save and write to disk
+        const formBuffer = Buffer.from(await pdfDoc.save());
+        const hashAfter = calculateHash(formBuffer);
+
+        const previousFormFileUrl = document.formFileUrl;
+        document.formFileUrl = await saveFile('signed', 'form.pdf', formBuffer, dataKey);
+        document.updatedAt = new Date();
+        await document.save();
+        // The previous export is replaced
+        if (previousFormFileUrl) {
+            removeFile(previousFormFileUrl).catch(error => console.error('Remove old form error:', error));
+        }
+
+        // 5. Audit log
+        await AuditLog.create({
+            documentId,
+            action: 'form_prepared',
+            documentHashBefore: hashBefore,
+            documentHashAfter: hashAfter,
+            performedBy: getActor(req),
+            details: {
+                prefilled: !!prefill,
+                formFields: created.length,
+                skippedFields: skipped.length
+            }
+        });
+
+        res.json({
+            success: true,
+            formPdfUrl: document.formFileUrl,
+            fields: created,
+            skipped
+        });
+
+    } catch (error) {
+        console.error('Prepare form error:', error);
+        res.status(500).json({ error: 'Failed to prepare form' });
+    }
+});
+
+/**
+ * Add a text form field styled from Field.textStyle
+ */
+async function addTextField(form, fonts, page, name, field, document, text, widgetOptions) {
+    const style = field.textStyle || {};
+    const textField = form.createTextField(name);
+
+    if (style.multiline) textField.enableMultiline();
+    if (style.comb > 0) {
+        textField.setMaxLength(style.comb);
+        textField.enableCombing();
+    }
+    if (ALIGNMENTS[style.align]) textField.setAlignment(ALIGNMENTS[style.align]);
+    if (field.required) textField.enableRequired();
+
+    textField.addToPage(page, {
+        ...widgetOptions,
+        textColor: parseHexColor(style.color)
+    });
+    if (style.fontSize) textField.setFontSize(style.fontSize);
+    if (text) textField.setText(String(text));
+
+    // A form field can only use one font: pick one covering the whole value
+    const font = await fonts.getFont(pickFont(text, field.fontFamily || document.fontFamily));
+    textField.updateAppearances(font);
+}
+
+/**
+ * Form field names must be unique and may not contain periods
+ * (they separate hierarchy levels)
+ */
+function uniqueFieldName(baseName, usedNames) {
+    const base = baseName.replace(/\./g, '_').trim() || 'field';
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) {
+        name = `${base} (${i})`;
+    }
+    usedNames.add(name);
+    return name;
+}
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const Document = require('../models/Document');
+const Field = require('../models/Field');
+const AuditLog = require('../models/AuditLog');
+const SigningLink = require('../models/SigningLink');
+const { nextRecipientColor, getRecipientProgress } = require('../utils/recipients');
+const { createSigningLink } = require('../utils/signingLinks');
+const { sendSigningRequests } = require('../utils/notifications');
+const { getActor } = require('../utils/auth');
+
+// Mounted under /api/documents/:documentId/recipients
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /api/documents/:documentId/recipients
+ * List recipients with their completion state
+ */
+router.get('/', async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const fields = await Field.find({ documentId: document._id });
+
+        res.json({
+            signingOrder: document.signingOrder,
+            recipients: document.recipients,
+            progress: getRecipientProgress(document, fields)
+        });
+
+    } catch (error) {
+        console.error('List recipients error:', error);
+        res.status(500).json({ error: 'Failed to list recipients' });
+    }
+});
+
+/**
+ * POST /api/documents/:documentId/recipients
+ * Add a recipient
+ *
+ * Body: {
+ *   name: string,
+ *   email: string,
+ *   role: 'signer' | 'cc' (default 'signer'),
+ *   routingOrder: number (default: after the last recipient)
+ * }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, email, role, routingOrder } = req.body;
+
+        const document = await Document.findOne({ _id: req.params.documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const lastOrder = Math.max(0, ...document.recipients.map(r => r.routingOrder));
+        document.recipients.push({
+            name,
+            email,
+            role,
+            routingOrder: routingOrder ?? lastOrder + 1,
+            color: nextRecipientColor(document.recipients)
+        });
+        document.updatedAt = new Date();
+        await document.save();
+
+        const recipient = document.recipients[document.recipients.length - 1];
+
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'recipient_added',
+            performedBy: getActor(req),
+            details: {
+                recipientId: recipient._id,
+                name: recipient.name,
+                email: recipient.email,
+                role: recipient.role,
+                routingOrder: recipient.routingOrder
+            }
+        });
+
+        res.status(201).json({ success: true, recipient });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Add recipient error:', error);
+        res.status(500).json({ error: 'Failed to add recipient' });
+    }
+});
+
+/**
+ * PUT /api/documents/:documentId/recipients/:recipientId
+ * Update a recipient's name, email, role or routing order
+ */
+router.put('/:recipientId', async (req, res) => {
+    try {
+        const { name, email, role, routingOrder } = req.body;
+
+        const document = await Document.findOne({ _id: req.params.documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const recipient = document.recipients.id(req.params.recipientId);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        // cc recipients have no fields to fill in
+        if (role === 'cc' && recipient.role !== 'cc') {
+            const assigned = await Field.countDocuments({ documentId: document._id, recipientId: recipient._id });
+            if (assigned > 0) {
+                return res.status(400).json({ error: 'Reassign this recipient\'s fields before making them cc' });
+            }
+        }
+
+        if (name !== undefined) recipient.name = name;
+        if (email !== undefined) recipient.email = email;
+        if (role !== undefined) recipient.role = role;
+        if (routingOrder !== undefined) recipient.routingOrder = routingOrder;
+        document.updatedAt = new Date();
+        await document.save();
+
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'recipient_modified',
+            performedBy: getActor(req),
+            details: {
+                recipientId: recipient._id,
+                updates: req.body
+            }
+        });
+
+        res.json({ success: true, recipient });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update recipient error:', error);
+        res.status(500).json({ error: 'Failed to update recipient' });
+    }
+});
+
+/**
+ * DELETE /api/documents/:documentId/recipients/:recipientId
+ * Remove a recipient; their fields become unassigned
+ */
+router.delete('/:recipientId', async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const recipient = document.recipients.id(req.params.recipientId);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        recipient.deleteOne();
+        document.updatedAt = new Date();
+        await document.save();
+
+        await Field.updateMany(
+            { documentId: document._id, recipientId: recipient._id },
+            { $unset: { recipientId: 1 } }
+        );
+        await SigningLink.updateMany(
+            { documentId: document._id, recipientId: recipient._id, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'recipient_removed',
+            performedBy: getActor(req),
+            details: {
+                recipientId: recipient._id,
+                email: recipient.email
+            }
+        });
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Remove recipient error:', error);
+        res.status(500).json({ error: 'Failed to remove recipient' });
+    }
+});
+
+/**
+ * POST /api/documents/:documentId/recipients/:recipientId/link
+ * Issue a signing link for a signer (revokes their previous link)
+ *
+ * Body: { expiresInDays: number (optional, 1 to 90) }
+ *
+ * The token is only returned here; it cannot be retrieved later.
+ */
+router.post('/:recipientId/link', async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const recipient = document.recipients.id(req.params.recipientId);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+        if (recipient.role !== 'signer') {
+            return res.status(400).json({ error: 'Only signers get signing links' });
+        }
+
+        const { token, url, link } = await createSigningLink(document._id, recipient._id, req.body.expiresInDays);
+
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'signing_link_created',
+            performedBy: getActor(req),
+            details: {
+                linkId: link._id,
+                recipientId: recipient._id,
+                email: recipient.email,
+                expiresAt: link.expiresAt
+            }
+        });
+
+        res.status(201).json({ success: true, token, url, expiresAt: link.expiresAt });
+
+    } catch (error) {
+        console.error('Create signing link error:', error);
+        res.status(500).json({ error: 'Failed to create signing link' });
+    }
+});
+
+/**
+ * POST /api/documents/:documentId/recipients/:recipientId/remind
+ * Email a signer of a sent document a reminder with a new signing link
+ * (revokes their previous link)
+ *
+ * Body: { message: string (optional) }
+ */
+router.post('/:recipientId/remind', async (req, res) => {
+    try {
+        const document = await Document.findOne({ _id: req.params.documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const recipient = document.recipients.id(req.params.recipientId);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+        if (recipient.role !== 'signer') {
+            return res.status(400).json({ error: 'Only signers get reminders' });
+        }
+        if (!document.sentAt || document.status !== 'pending_signature') {
+            return res.status(409).json({ error: 'Document is not waiting for signatures' });
+        }
+
+        const emails = await sendSigningRequests(document, getActor(req), {
+            template: 'reminder',
+            recipientIds: [recipient._id],
+            message: req.body.message
+        });
+        if (emails.length === 0) {
+            return res.status(409).json({ error: 'Recipient has completed their fields or it is not their turn yet' });
+        }
+
+        res.json({ success: true, email: emails[0] });
+
+    } catch (error) {
+        console.error('Send reminder error:', error);
+        res.status(500).json({ error: 'Failed to send reminder' });
+    }
+});
+
+module.exports = router;
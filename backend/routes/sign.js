@@ -0,0 +1,185 @@
+const express = require('express');
+const Document = require('../models/Document');
+const Field = require('../models/Field');
+const AuditLog = require('../models/AuditLog');
+const SigningLink = require('../models/SigningLink');
+const { findSigningLink, markOpened } = require('../utils/signingLinks');
+const { getBlockingRecipients } = require('../utils/recipients');
+const { sendDeclinedNotices } = require('../utils/notifications');
+const { sendFile } = require('../utils/storage');
+const { getDocumentKey } = require('../utils/encryption');
+const { getActor } = require('../utils/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/sign/:token
+ * Open a signing link: the document and the recipient's own fields
+ *
+ * Public; the token is the credential. The PDF is at
+ * GET /api/sign/:token/file; values are set with POST /api/fields/:id/value
+ * and the token in the X-Signing-Token header.
+ * The first open is recorded in the audit log.
+ */
+router.get('/:token', async (req, res) => {
+    try {
+        // 1. Resolve the link
+        const link = await findSigningLink(req.params.token);
+        if (!link) {
+            return res.status(401).json({ error: 'Signing link is invalid or has expired' });
+        }
+
+        const document = await Document.findById(link.documentId);
+        const recipient = document?.recipients.id(link.recipientId);
+        if (!recipient) {
+            return res.status(401).json({ error: 'Signing link is invalid or has expired' });
+        }
+
+        // 2. Record the first open
+        if (await markOpened(link)) {
+            await AuditLog.create({
+                documentId: document._id,
+                action: 'signing_link_opened',
+                performedBy: getActor(req),
+                details: {
+                    linkId: link._id,
+                    recipientId: recipient._id,
+                    email: recipient.email
+                }
+            });
+        }
+
+        // 3. Only this recipient's fields; sequential documents may make them wait
+        const fields = await Field.find({ documentId: document._id });
+        const ownFields = fields.filter(f => f.recipientId && f.recipientId.equals(recipient._id));
+        const relatedFields = findConditionFields(ownFields, fields);
+        const waitingFor = getBlockingRecipients(document, fields, recipient._id);
+
+        res.json({
+            document: {
+                id: document._id,
+                fileName: document.originalFileName,
+                metadata: document.pdfMetadata,
+                status: document.status
+            },
+            recipient: {
+                id: recipient._id,
+                name: recipient.name,
+                email: recipient.email,
+                color: recipient.color
+            },
+            fields: ownFields,
+            // Other fields the own fields' conditions look at (values only, not shown)
+            relatedFields: relatedFields.map(({ _id, fieldType, value, required, condition }) => ({
+                _id, fieldType, value, required, condition
+            })),
+            waitingFor: waitingFor.map(({ name, routingOrder }) => ({ name, routingOrder })),
+            expiresAt: link.expiresAt
+        });
+
+    } catch (error) {
+        console.error('Open signing link error:', error);
+        res.status(500).json({ error: 'Failed to open signing link' });
+    }
+});
+
+/**
+ * GET /api/sign/:token/file
+ * The PDF a signing link's recipient fills in
+ */
+router.get('/:token/file', async (req, res) => {
+    try {
+        const link = await findSigningLink(req.params.token);
+        const document = link && await Document.findById(link.documentId);
+        if (!document?.recipients.id(link.recipientId)) {
+            return res.status(401).json({ error: 'Signing link is invalid or has expired' });
+        }
+
+        await sendFile(res, document.originalFileUrl, await getDocumentKey(document));
+
+    } catch (error) {
+        console.error('Get signing file error:', error);
+        res.status(500).json({ error: 'Failed to get file' });
+    }
+});
+
+/**
+ * POST /api/sign/:token/decline
+ * The recipient refuses to sign
+ *
+ * Body: { reason: string (optional) }
+ *
+ * Stops signing: the document becomes 'declined', every signing link of
+ * it is revoked and the owner and the other emailed recipients are told.
+ * The owner can send it again (POST /api/documents/:id/send).
+ */
+router.post('/:token/decline', async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        // 1. Resolve the link
+        const link = await findSigningLink(req.params.token);
+        const document = link && await Document.findById(link.documentId);
+        const recipient = document?.recipients.id(link.recipientId);
+        if (!recipient) {
+            return res.status(401).json({ error: 'Signing link is invalid or has expired' });
+        }
+        if (document.status === 'signed' || document.status === 'completed') {
+            return res.status(409).json({ error: 'Document is already signed' });
+        }
+
+        // 2. Stop signing
+        document.status = 'declined';
+        document.declined = { recipientId: recipient._id, reason, declinedAt: new Date() };
+        document.updatedAt = new Date();
+        await document.save();
+
+        await SigningLink.updateMany(
+            { documentId: document._id, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'declined',
+            performedBy: getActor(req),
+            details: {
+                linkId: link._id,
+                recipientId: recipient._id,
+                email: recipient.email,
+                reason
+            }
+        });
+
+        // 3. Tell everyone involved (recorded in the audit log, not awaited)
+        sendDeclinedNotices(document, recipient, reason, getActor(req))
+            .catch(error => console.error('Declined notice error:', error));
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Decline signing error:', error);
+        res.status(500).json({ error: 'Failed to decline' });
+    }
+});
+
+/**
+ * Fields outside `own` that conditions of `own` depend on, directly or
+ * through other conditions
+ */
+function findConditionFields(own, fields) {
+    const ownIds = new Set(own.map(f => String(f._id)));
+    const related = new Map();
+    const queue = [...own];
+    while (queue.length > 0) {
+        const fieldId = queue.shift().condition?.fieldId;
+        const controller = fieldId && fields.find(f => f._id.equals(fieldId));
+        if (controller && !ownIds.has(String(controller._id)) && !related.has(String(controller._id))) {
+            related.set(String(controller._id), controller);
+            queue.push(controller);
+        }
+    }
+    return [...related.values()];
+}
+
+module.exports = router;
@@ -1,13 +1,43 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
-const { PDFDocument } = require('pdf-lib');
-const { v4: uuidv4 } = require('uuid');
+const {
+    PDFDocument,
+    LineCapStyle,
+    degrees,
+    rgb,
+    pushGraphicsState,
+    popGraphicsState,
+    setCharacterSpacing
+} = require('pdf-lib');
 const Document = require('../models/Document');
 const Field = require('../models/Field');
 const AuditLog = require('../models/AuditLog');
 const { calculateHash } = require('../utils/hashUtils');
-const { transformToPdfCoordinates, containImageInBox } = require('../utils/pdfUtils');
+const {
+    transformToPdfCoordinates,
+    getUprightSize,
+    toPagePoint,
+    getPageGeometry,
+    containImageInBox,
+    embedDataUrlImage,
+    parseHexColor
+} = require('../utils/pdfUtils');
+const { createFontRegistry } = require('../utils/fontRegistry');
+const { removeImportedFormFields } = require('../utils/formImport');
+const { appendCompletionCertificate } = require('../utils/completionCertificate');
+const { layoutTextBox, resolveTextStyle } = require('../utils/textLayout');
+const { loadSigningCredentials, addSignaturePlaceholder, signPdfBuffer } = require('../utils/pdfSigner');
+const { loadForIncrementalUpdate, saveIncremental } = require('../utils/incrementalUpdate');
+const { getRecipientProgress } = require('../utils/recipients');
+const { validateFields } = require('../utils/fieldValidation');
+const { resolveFieldStates } = require('../utils/fieldConditions');
+const { getRadioGroupValues } = require('../utils/radioGroups');
+const { isAutoField, resolveAutoFieldValue } = require('../utils/autoFields');
+const { formatNumber } = require('../utils/numberFormat');
+const { sendCompletedNotices } = require('../utils/notifications');
+const { readFile, saveFile } = require('../utils/storage');
+const { getDocumentKey } = require('../utils/encryption');
+const { getActor } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -16,64 +46,176 @@ const router = express.Router();
  * The main signature injection endpoint
  * 
  * This is THE KEY ENDPOINT that:
- * 1. Loads the original PDF
+ * 1. Loads the original PDF (or, when stacking incremental rounds, the
+ *    previously signed one)
  * 2. Transforms normalized coordinates to PDF points
  * 3. Embeds signatures/content with aspect ratio preservation
- * 4. Creates hash-based audit trail
+ * 4. Optionally appends a Certificate of Completion page
+ * 5. Optionally applies a PAdES digital signature over the output
+ * 6. Creates hash-based audit trail
  * 
  * Body: {
- *   documentId: string
+ *   documentId: string,
+ *   digitalSignature: boolean,  // apply a PAdES-B-B signature (needs SIGNING_P12_PATH)
+ *   certificate: boolean,       // append a Certificate of Completion
+ *   incremental: boolean        // append changes as a PDF incremental update
  * }
+ *
+ * Incremental mode keeps the input bytes as an exact prefix of the output,
+ * so the output provably is the uploaded original plus additions. Each
+ * incremental round records a revision (byte offset, length, hash) on the
+ * document; the next incremental round appends to the previous output and
+ * only draws fields not yet drawn. A regular signing starts over from the
+ * original and clears the revisions.
+ *
+ * Documents with recipients are only signed once every recipient has
+ * filled in all of their required fields (409 with the pending ones), and
+ * not after one declined.
+ * Then every required field needs a value and every value must pass its
+ * field's validation rules (400 with `invalidFields`). Fields hidden by
+ * their condition are skipped and not drawn. Auto-filled fields (signer
+ * name, date signed, ...) get their text here, see utils/autoFields.js.
+ * Documents sent for signature (POST /api/documents/:id/send) email the
+ * signed PDF to the owner and every recipient afterwards.
  * 
  * All field values should already be set via /api/fields/:id/value
  */
 router.post('/', async (req, res) => {
     try {
-        const { documentId } = req.body;
+        const { documentId, digitalSignature, certificate, incremental } = req.body;
 
         // 1. Fetch document
-        const document = await Document.findById(documentId);
+        const document = await Document.findOne({ _id: documentId, ownerId: req.user._id });
         if (!document) {
             return res.status(404).json({ error: 'Document not found' });
         }
 
-        // 2. Fetch all fields with values
-        const fields = await Field.find({ documentId, value: { $exists: true, $ne: null } });
-        if (fields.length === 0) {
+        if (document.status === 'declined') {
+            return res.status(409).json({ error: 'A recipient declined to sign; send the document again first' });
+        }
+
+        // Every recipient must be done before the document is finalized
+        const allFields = await Field.find({ documentId });
+        const recipientProgress = getRecipientProgress(document, allFields);
+        const pendingRecipients = recipientProgress.filter(p => !p.complete);
+        if (pendingRecipients.length > 0) {
+            return res.status(409).json({
+                error: 'Not every recipient has completed their fields',
+                pending: pendingRecipients.map(({ recipientId, name, email, missingFields }) => ({
+                    recipientId, name, email, missingFields
+                }))
+            });
+        }
+
+        // Required fields must be filled in, and values must still pass their rules
+        const invalidFields = validateFields(allFields);
+        if (invalidFields.length > 0) {
+            return res.status(400).json({ error: 'Some fields are missing or invalid', invalidFields });
+        }
+
+        // 2. Fields with values (auto-filled ones always), leaving out those hidden by their condition
+        const fieldStates = resolveFieldStates(allFields);
+        const filledFields = allFields.filter(f =>
+            (isAutoField(f) || (f.value !== undefined && f.value !== null)) &&
+            fieldStates.get(String(f._id)).visible
+        );
+        if (filledFields.length === 0) {
             return res.status(400).json({ error: 'No signed fields found' });
         }
 
-        // 3. Load the PDF
-        const pdfPath = path.join(__dirname, '..', document.originalFileUrl);
-        const pdfBuffer = fs.readFileSync(pdfPath);
+        // The answer to each radio question, recorded with the signing
+        const radioGroups = getRadioGroupValues(
+            allFields.filter(f => fieldStates.get(String(f._id)).visible)
+        );
+
+        // Stacking onto a previous incremental round: only fields it did not draw
+        const previousRevisions = incremental ? document.signedRevisions : [];
+        const stacking = previousRevisions.length > 0;
+        const fields = stacking
+            ? filledFields.filter(f => f.signedRevision === undefined || f.signedRevision === null)
+            : filledFields;
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No new field values to sign' });
+        }
+
+        // Load signing credentials up front so misconfiguration fails fast
+        let credentials = null;
+        if (digitalSignature) {
+            if (!process.env.SIGNING_P12_PATH) {
+                return res.status(400).json({ error: 'Digital signing is not configured' });
+            }
+            credentials = loadSigningCredentials(
+                path.resolve(__dirname, '..', process.env.SIGNING_P12_PATH),
+                process.env.SIGNING_P12_PASSPHRASE
+            );
+        }
+
+        // 3. Load the PDF (decrypted; documents from before encryption get a key here)
+        const dataKey = await getDocumentKey(document, { create: true });
+        const pdfBuffer = await readFile(stacking ? document.signedFileUrl : document.originalFileUrl, dataKey);
 
         // 4. Calculate hash BEFORE modification
         const hashBefore = calculateHash(pdfBuffer);
 
         // 5. Load PDF for modification
-        const pdfDoc = await PDFDocument.load(pdfBuffer);
+        let pdfDoc;
+        let snapshot;
+        if (incremental) {
+            ({ pdfDoc, snapshot } = await loadForIncrementalUpdate(pdfBuffer));
+        } else {
+            pdfDoc = await PDFDocument.load(pdfBuffer);
+        }
+        const fonts = createFontRegistry(pdfDoc);
+
+        // Values are drawn where imported form widgets were; drop the widgets
+        const importedNames = await Field.distinct('acroFieldName', { documentId });
+        removeImportedFormFields(pdfDoc, importedNames);
+
+        // Auto-filled values come from the recipients and when they filled in
+        const autoContext = {
+            document,
+            fields: allFields,
+            owner: req.user,
+            pageCount: pdfDoc.getPageCount(),
+            signedAt: new Date()
+        };
+        const autoValues = [];
 
         // 6. Process each field
         for (const field of fields) {
             const page = pdfDoc.getPage(field.position.pageNumber - 1);
-            const { width: pdfWidth, height: pdfHeight } = page.getSize();
+            const { rotation, cropBox } = getPageGeometry(page);
 
             // THE KEY TRANSFORMATION: Convert normalized coords to PDF points
-            const pdfCoords = transformToPdfCoordinates(field.position, pdfWidth, pdfHeight);
+            const pdfCoords = transformToPdfCoordinates(field.position, cropBox.width, cropBox.height, {
+                rotation,
+                offsetX: cropBox.x,
+                offsetY: cropBox.y
+            });
 
             switch (field.fieldType) {
                 case 'signature':
+                case 'initials':
                 case 'image':
+                case 'stamp':
                     await embedImage(pdfDoc, page, field.value, pdfCoords);
                     break;
 
                 case 'text':
-                    embedText(page, field.value, pdfCoords, pdfDoc);
+                case 'name':
+                case 'email':
+                case 'dropdown':
+                    await embedText(page, field.value, pdfCoords, fonts, textOptions(field, document));
+                    break;
+
+                case 'number':
+                    await embedText(page, formatNumber(field.value, field.numberFormat), pdfCoords, fonts,
+                        textOptions(field, document));
                     break;
 
                 case 'date':
                     const dateStr = new Date(field.value).toLocaleDateString();
-                    embedText(page, dateStr, pdfCoords, pdfDoc);
+                    await embedText(page, dateStr, pdfCoords, fonts, textOptions(field, document));
                     break;
 
                 case 'checkbox':
@@ -87,53 +229,149 @@ router.post('/', async (req, res) => {
                         embedRadioFill(page, pdfCoords);
                     }
                     break;
+
+                default:
+                    if (isAutoField(field)) {
+                        const text = resolveAutoFieldValue(field, autoContext);
+                        autoValues.push({ fieldId: field._id, fieldType: field.fieldType, value: text });
+                        await embedText(page, text, pdfCoords, fonts, textOptions(field, document));
+                    }
             }
         }
 
-        // 7. Save the signed PDF
-        const signedPdfBytes = await pdfDoc.save();
-        const signedBuffer = Buffer.from(signedPdfBytes);
+        // 7. Optionally append the Certificate of Completion. A page cannot
+        // contain its own file's hash, so the signed pages are saved and
+        // hashed first, then reloaded to receive the certificate.
+        let outputDoc = pdfDoc;
+        let outputBase = pdfBuffer;
+        let contentHash;
+        if (certificate) {
+            if (incremental) {
+                const contentBytes = await saveIncremental(pdfDoc, pdfBuffer, snapshot);
+                contentHash = calculateHash(contentBytes);
+                ({ pdfDoc: outputDoc, snapshot } = await loadForIncrementalUpdate(contentBytes));
+                outputBase = contentBytes;
+            } else {
+                const contentBytes = await pdfDoc.save();
+                contentHash = calculateHash(Buffer.from(contentBytes));
+                outputDoc = await PDFDocument.load(contentBytes);
+            }
 
-        // 8. Calculate hash AFTER modification
+            const auditLogs = await AuditLog.find({ documentId }).sort({ 'performedBy.timestamp': 1 });
+            const completedAt = new Date();
+            await appendCompletionCertificate(outputDoc, {
+                document,
+                // This signing is logged after the file exists; list it now
+                auditLogs: [...auditLogs, {
+                    action: 'signed',
+                    performedBy: { ...getActor(req), timestamp: completedAt }
+                }],
+                originalHash: document.originalHash,
+                signedHash: contentHash,
+                signatures: fields.filter(f => ['signature', 'initials', 'image'].includes(f.fieldType) && f.value),
+                completedAt
+            });
+        }
+
+        // 8. Save the signed PDF, sealing it with a digital signature if requested.
+        // Incremental updates only append plain objects, so the placeholder
+        // stays patchable either way.
+        const save = (options) => incremental
+            ? saveIncremental(outputDoc, outputBase, snapshot)
+            : outputDoc.save(options).then(bytes => Buffer.from(bytes));
+
+        let signedBuffer;
+        if (credentials) {
+            addSignaturePlaceholder(outputDoc, getSignerInfo(document, fields, credentials));
+            // Object streams would hide the placeholder from the byte-level patching
+            const placeholderBytes = await save({ useObjectStreams: false });
+            signedBuffer = signPdfBuffer(placeholderBytes, credentials);
+        } else {
+            signedBuffer = await save();
+        }
+
+        // 9. Calculate hash AFTER modification
         const hashAfter = calculateHash(signedBuffer);
 
-        // 9. Write signed PDF to disk
-        const signedFileName = `signed-${uuidv4()}.pdf`;
-        const signedPath = path.join(__dirname, '../signed', signedFileName);
-        fs.writeFileSync(signedPath, signedBuffer);
+        // 10. Write signed PDF to disk
+        const signedFileUrl = await saveFile('signed', 'signed.pdf', signedBuffer, dataKey);
+
+        // 11. Update document and field records
+        const revision = incremental ? {
+            byteOffset: pdfBuffer.length, // Everything before is the previous file, unchanged
+            length: signedBuffer.length,
+            hash: hashAfter,
+            signedAt: new Date()
+        } : null;
 
-        // 10. Update document record
-        document.signedFileUrl = `/signed/${signedFileName}`;
+        document.signedFileUrl = signedFileUrl;
         document.signedHash = hashAfter;
+        document.signedRevisions = incremental ? [...previousRevisions, revision] : [];
         document.status = 'signed';
         document.updatedAt = new Date();
         await document.save();
 
-        // 11. Create audit log with hash chain
+        if (incremental) {
+            await Field.updateMany(
+                { _id: { $in: fields.map(f => f._id) } },
+                { signedRevision: document.signedRevisions.length - 1 }
+            );
+        } else {
+            await Field.updateMany({ documentId }, { $unset: { signedRevision: 1 } });
+        }
+
+        // 12. Create audit log with hash chain
         await AuditLog.create({
             documentId,
             action: 'signed',
             documentHashBefore: hashBefore,
             documentHashAfter: hashAfter,
-            performedBy: {
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                timestamp: new Date()
-            },
+            performedBy: getActor(req),
             details: {
                 fieldsProcessed: fields.length,
-                fieldTypes: fields.map(f => f.fieldType)
+                fieldTypes: fields.map(f => f.fieldType),
+                radioGroups: Object.keys(radioGroups).length > 0 ? radioGroups : undefined,
+                autoFields: autoValues.length > 0 ? autoValues : undefined,
+                recipients: recipientProgress.length > 0
+                    ? recipientProgress.map(({ recipientId, name, email }) => ({ recipientId, name, email }))
+                    : undefined,
+                certificate: certificate ? { contentHash } : undefined,
+                incremental: revision ? {
+                    revision: document.signedRevisions.length - 1,
+                    byteOffset: revision.byteOffset,
+                    length: revision.length
+                } : undefined,
+                digitalSignature: credentials ? {
+                    subFilter: 'ETSI.CAdES.detached',
+                    certificateSubject: credentials.certificate.subject.getField('CN')?.value,
+                    certificateSerial: credentials.certificate.serialNumber
+                } : undefined
             }
         });
 
+        // 13. Sent documents: email the signed PDF to everyone (not awaited)
+        sendCompletedNotices(document, signedBuffer, getActor(req))
+            .catch(error => console.error('Completed notice error:', error));
+
         res.json({
             success: true,
             signedPdfUrl: document.signedFileUrl,
+            radioGroups,
+            autoFields: autoValues,
+            // No bundled font has these: drawn as '?'
+            replacedCharacters: fonts.getReplacedCharacters(),
             auditTrail: {
                 hashBefore,
                 hashAfter,
                 timestamp: new Date().toISOString(),
-                fieldsProcessed: fields.length
+                fieldsProcessed: fields.length,
+                digitallySigned: !!credentials,
+                certificateAppended: !!certificate,
+                revision: revision ? {
+                    index: document.signedRevisions.length - 1,
+                    byteOffset: revision.byteOffset,
+                    length: revision.length
+                } : null
             }
         });
 
@@ -143,82 +381,134 @@ router.post('/', async (req, res) => {
     }
 });
 
+/**
+ * Build PAdES signer metadata from the document and its signed fields.
+ * The signing time is when the last field was filled in.
+ */
+function getSignerInfo(document, fields, credentials) {
+    const info = document.signatureInfo || {};
+    const signedTimes = fields.filter(f => f.signedAt).map(f => f.signedAt.getTime());
+
+    return {
+        name: info.signerName || credentials.certificate.subject.getField('CN')?.value,
+        reason: info.reason || `Signed ${document.originalFileName}`,
+        location: info.location,
+        contactInfo: info.contactInfo,
+        signingTime: signedTimes.length > 0 ? new Date(Math.max(...signedTimes)) : new Date()
+    };
+}
+
 /**
  * Embed image (signature) into PDF with aspect ratio preservation
  */
 async function embedImage(pdfDoc, page, base64Data, coords) {
-    // Extract base64 content
-    const base64Content = base64Data.replace(/^data:image\/\w+;base64,/, '');
-    const imageBuffer = Buffer.from(base64Content, 'base64');
-
-    // Detect image type and embed
-    let image;
-    if (base64Data.includes('image/png')) {
-        image = await pdfDoc.embedPng(imageBuffer);
-    } else {
-        image = await pdfDoc.embedJpg(imageBuffer);
-    }
+    const image = await embedDataUrlImage(pdfDoc, base64Data);
 
     // Apply aspect ratio preservation (object-fit: contain)
+    // against the box as the viewer sees it (rotated pages swap width/height)
+    const box = getUprightSize(coords);
     const { width, height, offsetX, offsetY } = containImageInBox(
         image.width,
         image.height,
-        coords.width,
-        coords.height
+        box.width,
+        box.height
     );
 
-    // Draw image centered in the field box
+    // Draw image centered in the field box, rotated to appear upright
     page.drawImage(image, {
-        x: coords.x + offsetX,
-        y: coords.y + offsetY,
+        ...toPagePoint(coords, offsetX, offsetY),
         width,
-        height
+        height,
+        rotate: degrees(coords.rotation)
     });
 }
 
+/**
+ * Font and style settings for a text, date or auto-filled field
+ */
+function textOptions(field, document) {
+    return {
+        fontName: field.fontFamily || document.fontFamily,
+        textStyle: field.textStyle
+    };
+}
+
 /**
  * Embed text into PDF
+ * Laid out by utils/textLayout.js (same rules as the FieldOverlay preview);
+ * each run is drawn with the first font that has its glyphs
  */
-function embedText(page, text, coords, pdfDoc) {
-    const fontSize = Math.min(coords.height * 0.7, 12); // Max 12pt
+async function embedText(page, text, coords, fonts, { fontName, textStyle } = {}) {
+    const box = getUprightSize(coords);
+    const style = resolveTextStyle(textStyle);
+    const color = parseHexColor(style.color);
+
+    // Embed every font the value needs, so layout can measure synchronously
+    await fonts.layoutText(text, fontName);
+    const layout = layoutTextBox(text, style, box,
+        (str, size) => fonts.measureText(str, fontName, size));
+
+    // Letter spacing (Tc) applies to every glyph drawn until the state is popped
+    page.pushOperators(pushGraphicsState(), setCharacterSpacing(style.letterSpacing));
+
+    for (const line of layout.lines) {
+        // Center cap height within the line box, as CSS does
+        const baseline = line.top + layout.lineHeight / 2 + layout.fontSize * 0.35;
+        let offsetX = line.x;
+
+        for (const run of await fonts.layoutText(line.text, fontName)) {
+            page.drawText(run.text, {
+                ...toPagePoint(coords, offsetX, box.height - baseline),
+                font: run.font,
+                size: layout.fontSize,
+                color,
+                rotate: degrees(coords.rotation)
+            });
+            offsetX += run.font.widthOfTextAtSize(run.text, layout.fontSize) +
+                style.letterSpacing * Array.from(run.text).length;
+        }
+    }
 
-    page.drawText(text || '', {
-        x: coords.x + 2,
-        y: coords.y + (coords.height - fontSize) / 2,
-        size: fontSize,
-    });
+    page.pushOperators(popGraphicsState());
 }
 
 /**
  * Embed checkmark for checkbox fields
+ * Drawn as vector strokes so it needs no font glyph
  */
 function embedCheckmark(page, coords) {
-    const centerX = coords.x + coords.width / 2;
-    const centerY = coords.y + coords.height / 2;
-    const size = Math.min(coords.width, coords.height) * 0.6;
-
-    // Draw a simple checkmark
-    page.drawText('✓', {
-        x: centerX - size / 2,
-        y: centerY - size / 2,
-        size: size
-    });
+    const box = getUprightSize(coords);
+    const size = Math.min(box.width, box.height) * 0.6;
+    const left = (box.width - size) / 2;
+    const bottom = (box.height - size) / 2;
+
+    // Check shape within a unit square: short stroke down, long stroke up
+    const points = [[0.1, 0.5], [0.4, 0.2], [0.9, 0.85]]
+        .map(([px, py]) => toPagePoint(coords, left + px * size, bottom + py * size));
+
+    for (let i = 0; i < points.length - 1; i++) {
+        page.drawLine({
+            start: points[i],
+            end: points[i + 1],
+            thickness: Math.max(size * 0.12, 0.5),
+            color: rgb(0, 0, 0),
+            lineCap: LineCapStyle.Round
+        });
+    }
 }
 
 /**
  * Embed filled circle for radio fields
  */
 function embedRadioFill(page, coords) {
-    const centerX = coords.x + coords.width / 2;
-    const centerY = coords.y + coords.height / 2;
-    const radius = Math.min(coords.width, coords.height) * 0.3;
+    const box = getUprightSize(coords);
+    const radius = Math.min(box.width, box.height) * 0.3;
 
-    // Draw a filled circle indicator
+    // Draw a filled circle indicator, centered in the box as the viewer sees it
     page.drawCircle({
-        x: centerX,
-        y: centerY,
+        ...toPagePoint(coords, box.width / 2, box.height / 2),
         size: radius,
-        color: { red: 0, green: 0, blue: 0 }
+        color: rgb(0, 0, 0)
     });
 }
 
@@ -0,0 +1,162 @@
+const express = require('express');
+const Template = require('../models/Template');
+const Document = require('../models/Document');
+const Field = require('../models/Field');
+const AuditLog = require('../models/AuditLog');
+const { createTemplateFromDocument, findMissingRoles, instantiateTemplate } = require('../utils/templates');
+const { removeFile } = require('../utils/storage');
+const { getActor } = require('../utils/auth');
+
+const router = express.Router();
+
+/**
+ * POST /api/templates
+ * Save one of the user's documents as a template
+ *
+ * Body: { documentId: string, name: string (default: the file name) }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { documentId, name } = req.body;
+
+        const document = await Document.findOne({ _id: documentId, ownerId: req.user._id });
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const fields = await Field.find({ documentId: document._id });
+        const template = await createTemplateFromDocument(document, fields, {
+            name: name || document.originalFileName,
+            ownerId: req.user._id
+        });
+
+        res.status(201).json({ success: true, template: formatTemplate(template) });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create template error:', error);
+        res.status(500).json({ error: 'Failed to create template' });
+    }
+});
+
+/**
+ * GET /api/templates
+ * List the user's templates, newest first
+ */
+router.get('/', async (req, res) => {
+    try {
+        const templates = await Template.find({ ownerId: req.user._id }).sort({ createdAt: -1 });
+        res.json({ templates: templates.map(formatTemplate) });
+
+    } catch (error) {
+        console.error('List templates error:', error);
+        res.status(500).json({ error: 'Failed to list templates' });
+    }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a template and its copy of the PDF (documents created from it
+ * have their own copies and are kept)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const template = await Template.findOneAndDelete({ _id: req.params.id, ownerId: req.user._id });
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        await removeFile(template.fileUrl);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Delete template error:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+});
+
+/**
+ * POST /api/templates/:id/documents
+ * Create a new document from a template
+ *
+ * Body: {
+ *   recipients: [{ roleId: string, name: string, email: string }]  // one per role
+ * }
+ *
+ * The PDF is copied and the fields are recreated, assigned to the person
+ * given for their role.
+ */
+router.post('/:id/documents', async (req, res) => {
+    try {
+        const { recipients = [] } = req.body;
+
+        const template = await Template.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const missingRoles = findMissingRoles(template, recipients);
+        if (missingRoles.length > 0) {
+            return res.status(400).json({
+                error: 'Every role needs a name and email',
+                missingRoles: missingRoles.map(role => ({ roleId: role._id, name: role.name }))
+            });
+        }
+
+        const { document, fields } = await instantiateTemplate(template, {
+            ownerId: req.user._id,
+            recipients
+        });
+
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'uploaded',
+            documentHashAfter: document.originalHash,
+            performedBy: getActor(req),
+            details: {
+                fileName: document.originalFileName,
+                templateId: template._id,
+                templateName: template.name,
+                fieldsCreated: fields.length
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            document: {
+                id: document._id,
+                fileName: document.originalFileName,
+                hash: document.originalHash,
+                metadata: document.pdfMetadata,
+                recipients: document.recipients,
+                signingOrder: document.signingOrder,
+                status: document.status
+            },
+            fields
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create document from template error:', error);
+        res.status(500).json({ error: 'Failed to create document from template' });
+    }
+});
+
+function formatTemplate(template) {
+    return {
+        id: template._id,
+        name: template.name,
+        fileName: template.fileName,
+        pageCount: template.pdfMetadata.pageCount,
+        fieldCount: template.fields.length,
+        roles: template.roles,
+        signingOrder: template.signingOrder,
+        createdAt: template.createdAt
+    };
+}
+
+module.exports = router;
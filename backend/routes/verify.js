@@ -0,0 +1,247 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const Document = require('../models/Document');
+const AuditLog = require('../models/AuditLog');
+const { calculateHash, verifyHash } = require('../utils/hashUtils');
+const { verifyPdfSignatures } = require('../utils/pdfSigner');
+
+const router = express.Router();
+
+// Only the last markers are tried: each one costs a hash of the prefix
+const MAX_EOF_CANDIDATES = 20;
+// Likewise the longest revisions covered by signatures
+const MAX_SIGNATURE_CANDIDATES = 10;
+
+// Verification never stores the file: keep it in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/pdf') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only PDF files are allowed'), false);
+        }
+    },
+    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+/**
+ * POST /api/verify
+ * Check an uploaded PDF against the recorded hashes
+ *
+ * Public and read-only: the response carries no IPs or user agents.
+ *
+ * Result status:
+ * - original: the uploaded, unmodified document
+ * - signed: the current signed output, byte for byte
+ * - known_version: another recorded output (earlier signing, form export)
+ * - modified_after_signing: a recorded signed version is an intact prefix
+ *   of the file, but unrecorded bytes were appended (incremental update)
+ * - modified_original: the uploaded original is an intact prefix, followed
+ *   by unrecorded bytes
+ * - unknown: no recorded hash matches
+ */
+router.post('/', upload.single('pdf'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No PDF file provided' });
+        }
+
+        const pdfBuffer = req.file.buffer;
+        const hash = calculateHash(pdfBuffer);
+
+        // 1. Embedded PAdES signatures, checked independently of our records
+        const signatures = verifyPdfSignatures(pdfBuffer);
+
+        // 2. Match the whole file against recorded hashes
+        let status = 'unknown';
+        let document = await findDocumentByHash(hash);
+        if (document) {
+            status = document.originalHash === hash ? 'original'
+                : document.signedHash === hash ? 'signed'
+                : 'known_version';
+        } else {
+            const entry = await AuditLog.findOne({ documentHashAfter: hash });
+            if (entry) {
+                document = await Document.findById(entry.documentId);
+                status = 'known_version';
+            }
+        }
+
+        // 3. Otherwise, match earlier revisions of the file, longest first
+        if (!document) {
+            const match = await findRevisionMatch(pdfBuffer, findRevisionLengths(pdfBuffer, signatures));
+            if (match) {
+                document = match.document;
+                status = document.originalHash === match.hash ? 'modified_original' : 'modified_after_signing';
+            }
+        }
+
+        if (!document) {
+            return res.json({ status, hash, signatures: signatures.map(formatSignature) });
+        }
+
+        // 4. Audit events and the signing records for this document
+        const auditLogs = await AuditLog.find({ documentId: document._id }).sort({ 'performedBy.timestamp': 1 });
+        const recordedSerials = auditLogs
+            .map(log => log.details?.digitalSignature?.certificateSerial)
+            .filter(Boolean)
+            .map(serial => serial.toLowerCase().replace(/^0+(?=.)/, ''));
+
+        // 5. For signed output: does the content still match what was recorded?
+        // Signature checks are null when the file carries no digital signature
+        let integrity = null;
+        if (document.signedHash && status !== 'original') {
+            const signed = signatures.length > 0;
+            integrity = {
+                signedHashMatches: verifyHash(pdfBuffer, document.signedHash),
+                signaturesValid: signed ? signatures.every(s => s.valid) : null,
+                signerMatchesRecord: signed
+                    ? signatures.every(s => s.signer && recordedSerials.includes(s.signer.serialNumber))
+                    : null,
+                // Earlier rounds' signatures never cover later rounds; the last one must
+                modifiedAfterSigning: signed && !signatures[signatures.length - 1].coversWholeFile
+            };
+        }
+
+        // 6. Incremental signing: prove the file is the original plus recorded additions
+        let incremental = null;
+        if (document.signedRevisions?.length > 0) {
+            const prefixMatches = (length, expectedHash) =>
+                pdfBuffer.length >= length && verifyHash(pdfBuffer.subarray(0, length), expectedHash);
+
+            incremental = {
+                originalLength: document.signedRevisions[0].byteOffset,
+                originalIsPrefix: prefixMatches(document.signedRevisions[0].byteOffset, document.originalHash),
+                revisions: document.signedRevisions.map(revision => ({
+                    byteOffset: revision.byteOffset,
+                    length: revision.length,
+                    signedAt: revision.signedAt,
+                    intact: prefixMatches(revision.length, revision.hash)
+                }))
+            };
+        }
+
+        res.json({
+            status,
+            hash,
+            document: {
+                id: document._id,
+                fileName: document.originalFileName,
+                status: document.status,
+                pageCount: document.pdfMetadata.pageCount,
+                originalHash: document.originalHash,
+                signedHash: document.signedHash,
+                createdAt: document.createdAt
+            },
+            matchedEvents: auditLogs
+                .filter(log => log.documentHashAfter === hash)
+                .map(formatEvent),
+            auditTrail: auditLogs.map(formatEvent),
+            signatures: signatures.map(formatSignature),
+            integrity,
+            incremental
+        });
+
+    } catch (error) {
+        console.error('Verify error:', error);
+        res.status(500).json({ error: 'Failed to verify document' });
+    }
+});
+
+function findDocumentByHash(hash) {
+    return Document.findOne({
+        $or: [{ originalHash: hash }, { signedHash: hash }, { 'signedRevisions.hash': hash }]
+    });
+}
+
+/**
+ * The longest prefix of the file that is a recorded version
+ *
+ * Prefixes are hashed in one pass over the file and looked up with one query.
+ *
+ * @param {Buffer} pdfBuffer - Uploaded file
+ * @param {Array} lengths - Candidate prefix lengths (findRevisionLengths)
+ * @returns {Promise<Object|null>} - { document, hash, length }
+ */
+async function findRevisionMatch(pdfBuffer, lengths) {
+    if (lengths.length === 0) return null;
+
+    const hashes = new Map();
+    const running = crypto.createHash('sha256');
+    let hashed = 0;
+    for (const length of [...lengths].sort((a, b) => a - b)) {
+        running.update(pdfBuffer.subarray(hashed, length));
+        hashed = length;
+        hashes.set(length, running.copy().digest('hex'));
+    }
+
+    const candidates = [...hashes.values()];
+    const documents = await Document.find({
+        $or: [
+            { originalHash: { $in: candidates } },
+            { signedHash: { $in: candidates } },
+            { 'signedRevisions.hash': { $in: candidates } }
+        ]
+    });
+
+    for (const length of lengths) {
+        const hash = hashes.get(length);
+        const document = documents.find(d =>
+            d.originalHash === hash || d.signedHash === hash || d.signedRevisions.some(r => r.hash === hash)
+        );
+        if (document) return { document, hash, length };
+    }
+    return null;
+}
+
+/**
+ * Candidate lengths of earlier file revisions, longest first: the
+ * MAX_SIGNATURE_CANDIDATES longest ranges covered by digital signatures and
+ * the ends of the last MAX_EOF_CANDIDATES %%EOF markers (each incremental
+ * update ends with one)
+ */
+function findRevisionLengths(pdfBuffer, signatures) {
+    const lengths = new Set([...new Set(signatures.map(s => s.revisionLength))]
+        .filter(length => length > 0 && length < pdfBuffer.length)
+        .sort((a, b) => b - a)
+        .slice(0, MAX_SIGNATURE_CANDIDATES));
+
+    // Searched from the end, so a file full of markers costs no more
+    let end = pdfBuffer.length;
+    for (let found = 0; found < MAX_EOF_CANDIDATES; found++) {
+        const index = pdfBuffer.lastIndexOf('%%EOF', end - 1);
+        if (index < 0) break;
+        const newline = pdfBuffer.subarray(index + 5, index + 7).toString('latin1').match(/^(\r\n|\r|\n)?/)[0];
+        lengths.add(index + 5);
+        if (newline) lengths.add(index + 5 + newline.length);
+        end = index;
+    }
+
+    return [...lengths]
+        .filter(length => length > 0 && length < pdfBuffer.length)
+        .sort((a, b) => b - a);
+}
+
+function formatEvent(log) {
+    return {
+        action: log.action,
+        timestamp: log.performedBy?.timestamp,
+        hashBefore: log.documentHashBefore,
+        hashAfter: log.documentHashAfter
+    };
+}
+
+function formatSignature(signature) {
+    return {
+        valid: signature.valid,
+        digestMatches: signature.digestMatches,
+        signatureValid: signature.signatureValid,
+        coversWholeFile: signature.coversWholeFile,
+        signer: signature.signer,
+        error: signature.error
+    };
+}
+
+module.exports = router;
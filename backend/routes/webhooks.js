@@ -0,0 +1,264 @@
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AuditLog = require('../models/AuditLog');
+const { generateWebhookSecret, enqueuePing, redeliver } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Subscribable events: every audit log action
+const EVENTS = AuditLog.schema.path('action').enumValues;
+
+const MAX_DELIVERIES_LISTED = 100;
+
+/**
+ * GET /api/webhooks/events
+ * Event types a webhook can subscribe to
+ */
+router.get('/events', (req, res) => {
+    res.json({ events: EVENTS });
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to audit log events on the user's documents
+ *
+ * Body: {
+ *   url: string (http or https),
+ *   events: [string] (see GET /api/webhooks/events),
+ *   secret: string (optional, generated when omitted),
+ *   description: string (optional)
+ * }
+ *
+ * The secret is only returned here; it keys the X-Webhook-Signature
+ * HMAC of every delivery (see utils/webhooks.js).
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { url, events, secret, description } = req.body;
+
+        const error = checkUrl(url) || checkEvents(events);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const webhook = await Webhook.create({
+            ownerId: req.user._id,
+            url,
+            events: [...new Set(events)],
+            secret: secret || generateWebhookSecret(),
+            description
+        });
+
+        res.status(201).json({ success: true, webhook: formatWebhook(webhook), secret: webhook.secret });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create webhook error:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+/**
+ * GET /api/webhooks
+ * List the user's webhooks (never their secrets)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const webhooks = await Webhook.find({ ownerId: req.user._id }).sort({ createdAt: -1 });
+        res.json({ webhooks: webhooks.map(formatWebhook) });
+
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({ error: 'Failed to list webhooks' });
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Change a webhook's URL, events, description or active flag
+ * (inactive webhooks queue no new deliveries)
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const { url, events, description, active } = req.body;
+
+        const webhook = await Webhook.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const error = (url !== undefined && checkUrl(url)) || (events !== undefined && checkEvents(events));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (url !== undefined) webhook.url = url;
+        if (events !== undefined) webhook.events = [...new Set(events)];
+        if (description !== undefined) webhook.description = description;
+        if (active !== undefined) webhook.active = !!active;
+        await webhook.save();
+
+        res.json({ success: true, webhook: formatWebhook(webhook) });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update webhook error:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook and its delivery history (pending deliveries are dropped)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, ownerId: req.user._id });
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/ping
+ * Queue a 'ping' delivery to test the endpoint and its signature check
+ */
+router.post('/:id/ping', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const delivery = await enqueuePing(webhook);
+        res.status(202).json({ success: true, delivery: formatDelivery(delivery) });
+
+    } catch (error) {
+        console.error('Ping webhook error:', error);
+        res.status(500).json({ error: 'Failed to ping webhook' });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery history, newest first
+ *
+ * Query: status ('pending' | 'succeeded' | 'failed', optional),
+ *        limit (default and max 100)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({ _id: req.params.id, ownerId: req.user._id });
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const filter = { webhookId: webhook._id };
+        if (req.query.status) filter.status = req.query.status;
+        const limit = Math.min(Number(req.query.limit) || MAX_DELIVERIES_LISTED, MAX_DELIVERIES_LISTED);
+
+        const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+        res.json({ deliveries: deliveries.map(delivery => formatDelivery(delivery, { payload: true })) });
+
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({ error: 'Failed to list webhook deliveries' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a past delivery's payload again, as a new delivery
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({ _id: req.params.id, ownerId: req.user._id });
+        const delivery = webhook && await WebhookDelivery.findOne({
+            _id: req.params.deliveryId,
+            webhookId: webhook._id
+        });
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const copy = await redeliver(delivery);
+        res.status(202).json({ success: true, delivery: formatDelivery(copy) });
+
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+});
+
+/**
+ * Why a webhook URL cannot be used, or null if it can
+ */
+function checkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'A valid webhook URL is required';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'Webhook URLs must use http or https';
+    }
+    return null;
+}
+
+/**
+ * Why a list of events cannot be subscribed to, or null if it can
+ */
+function checkEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'Choose at least one event';
+    }
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return `Unknown events: ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+function formatWebhook(webhook) {
+    return {
+        id: webhook._id,
+        url: webhook.url,
+        events: webhook.events,
+        description: webhook.description,
+        active: webhook.active,
+        createdAt: webhook.createdAt
+    };
+}
+
+function formatDelivery(delivery, { payload = false } = {}) {
+    return {
+        id: delivery._id,
+        event: delivery.event,
+        status: delivery.status,
+        documentId: delivery.documentId,
+        auditLogId: delivery.auditLogId,
+        redeliveryOf: delivery.redeliveryOf,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : undefined,
+        createdAt: delivery.createdAt,
+        completedAt: delivery.completedAt,
+        payload: payload ? delivery.payload : undefined
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Re-wrap every document and template data key under the current master key
+ *
+ *   npm run rotate-keys
+ *
+ * Put the new key first in ENCRYPTION_KEYS and keep the old ones after it
+ * until this has run; then the old keys can be removed. Stored files and
+ * field values are not re-encrypted: their data keys stay the same.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const Template = require('../models/Template');
+const { isEncryptionEnabled, getCurrentKeyId, rewrapEnvelope } = require('../utils/encryption');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/signature-engine';
+
+/**
+ * Re-wrap the envelopes of one collection that use an older master key
+ *
+ * @returns {Promise<Object>} - { rewrapped, failed }
+ */
+async function rotate(Model) {
+    const result = { rewrapped: 0, failed: 0 };
+    const cursor = Model.find({
+        'encryption.wrappedKey': { $exists: true },
+        'encryption.keyId': { $ne: getCurrentKeyId() }
+    }).select('encryption').lean().cursor();
+
+    for await (const { _id, encryption } of cursor) {
+        try {
+            // Only if nobody changed the envelope in the meantime
+            await Model.updateOne(
+                { _id, 'encryption.wrappedKey': encryption.wrappedKey },
+                { $set: { encryption: rewrapEnvelope(encryption) } }
+            );
+            result.rewrapped++;
+        } catch (error) {
+            console.error(`${Model.modelName} ${_id}: ${error.message}`);
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+async function main() {
+    if (!isEncryptionEnabled()) {
+        throw new Error('ENCRYPTION_KEYS is not set');
+    }
+
+    await mongoose.connect(MONGODB_URI);
+    try {
+        for (const Model of [Document, Template]) {
+            const { rewrapped, failed } = await rotate(Model);
+            console.log(`${Model.modelName}: ${rewrapped} re-wrapped under "${getCurrentKeyId()}", ${failed} failed`);
+            if (failed > 0) process.exitCode = 1;
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch((error) => {
+    console.error('Key rotation failed:', error.message);
+    process.exit(1);
+});
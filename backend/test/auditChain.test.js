@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { computeEntryHash, verifyChain, GENESIS_HASH } = require('../utils/auditChain');
+
+// Entries linked the way AuditLog's pre-save hook links them
+function createChain(actions) {
+    const documentId = new mongoose.Types.ObjectId();
+    const entries = [];
+    let previousHash = GENESIS_HASH;
+    for (const [sequence, action] of actions.entries()) {
+        const entry = {
+            _id: new mongoose.Types.ObjectId(),
+            documentId,
+            sequence,
+            action,
+            performedBy: { type: 'user', email: 'owner@example.com' },
+            details: { step: sequence },
+            previousHash
+        };
+        entry.entryHash = computeEntryHash(entry);
+        previousHash = entry.entryHash;
+        entries.push(entry);
+    }
+    return entries;
+}
+
+describe('auditChain', () => {
+    it('links every entry to the one before', () => {
+        const entries = createChain(['uploaded', 'field_filled', 'signed']);
+
+        assert.equal(entries[0].previousHash, GENESIS_HASH);
+        assert.equal(entries[1].previousHash, entries[0].entryHash);
+        assert.equal(entries[2].previousHash, entries[1].entryHash);
+    });
+
+    it('hashes the same content the same, whatever the key order', () => {
+        const [entry] = createChain(['uploaded']);
+        const reordered = Object.fromEntries(Object.entries(entry).reverse());
+        reordered.details = { step: 0 };
+
+        assert.equal(computeEntryHash(reordered), entry.entryHash);
+    });
+
+    it('accepts an intact chain', () => {
+        const entries = createChain(['uploaded', 'field_filled', 'signed']);
+
+        assert.deepEqual(verifyChain(entries), {
+            valid: true,
+            length: 3,
+            headHash: entries[2].entryHash,
+            legacyEntries: 0,
+            brokenAt: null
+        });
+    });
+
+    it('verifies entries in sequence order', () => {
+        const entries = createChain(['uploaded', 'field_filled', 'signed']);
+
+        assert.equal(verifyChain([...entries].reverse()).valid, true);
+    });
+
+    it('detects a modified entry', () => {
+        const entries = createChain(['uploaded', 'field_filled', 'signed']);
+        entries[1].details = { step: 99 };
+
+        const result = verifyChain(entries);
+        assert.equal(result.valid, false);
+        assert.equal(result.headHash, null);
+        assert.deepEqual(result.brokenAt, { sequence: 1, entryId: entries[1]._id, reason: 'content_modified' });
+    });
+
+    it('detects a deleted entry', () => {
+        const entries = createChain(['uploaded', 'field_filled', 'signed']);
+
+        const result = verifyChain([entries[0], entries[2]]);
+        assert.equal(result.valid, false);
+        assert.equal(result.brokenAt.sequence, 2);
+        assert.equal(result.brokenAt.reason, 'entry_missing');
+    });
+
+    it('detects an entry re-linked after its predecessor changed', () => {
+        const entries = createChain(['uploaded', 'field_filled', 'signed']);
+        entries[0].details = { step: 42 };
+        entries[0].entryHash = computeEntryHash(entries[0]);
+
+        const result = verifyChain(entries);
+        assert.equal(result.brokenAt.sequence, 1);
+        assert.equal(result.brokenAt.reason, 'previous_hash_mismatch');
+    });
+
+    it('skips entries from before chaining', () => {
+        const entries = createChain(['uploaded']);
+        const legacy = { _id: new mongoose.Types.ObjectId(), action: 'viewed' };
+
+        const result = verifyChain([legacy, ...entries]);
+        assert.equal(result.valid, true);
+        assert.equal(result.length, 1);
+        assert.equal(result.legacyEntries, 1);
+    });
+});
@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const { hashPassword, verifyPassword } = require('../utils/auth');
+
+describe('passwords', () => {
+    it('accepts the right password only', async () => {
+        const stored = await hashPassword('correct horse');
+
+        assert.equal(await verifyPassword('correct horse', stored), true);
+        assert.equal(await verifyPassword('wrong horse', stored), false);
+    });
+
+    it('rejects stored hashes of another length instead of throwing', async () => {
+        const stored = await hashPassword('correct horse');
+
+        assert.equal(await verifyPassword('correct horse', stored.slice(0, -2)), false);
+        assert.equal(await verifyPassword('correct horse', 'scrypt$00$abc'), false);
+        assert.equal(await verifyPassword('correct horse', undefined), false);
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../utils/csv');
+
+describe('parseCsv', () => {
+    it('splits rows and cells', () => {
+        assert.deepEqual(parseCsv('name,email\nAda,ada@example.com\n'), [
+            ['name', 'email'],
+            ['Ada', 'ada@example.com']
+        ]);
+    });
+
+    it('reads quoted cells with commas, newlines and escaped quotes', () => {
+        assert.deepEqual(parseCsv('a,b\n"Lovelace, Ada","line 1\nline 2"\n"say ""hi""",x'), [
+            ['a', 'b'],
+            ['Lovelace, Ada', 'line 1\nline 2'],
+            ['say "hi"', 'x']
+        ]);
+    });
+
+    it('accepts CRLF line endings and a BOM', () => {
+        assert.deepEqual(parseCsv('\uFEFFname,email\r\nAda,ada@example.com\r\n'), [
+            ['name', 'email'],
+            ['Ada', 'ada@example.com']
+        ]);
+    });
+
+    it('keeps empty cells and a last row without a line break', () => {
+        assert.deepEqual(parseCsv('a,b,c\n1,,3'), [
+            ['a', 'b', 'c'],
+            ['1', '', '3']
+        ]);
+    });
+
+    it('skips blank lines', () => {
+        assert.deepEqual(parseCsv('a\n\n1\n , \n2\n'), [['a'], ['1'], ['2']]);
+    });
+
+    it('rejects an unterminated quoted cell', () => {
+        assert.throws(() => parseCsv('a,b\n"open,1'), /Unterminated quoted cell/);
+    });
+});
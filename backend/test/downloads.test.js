@@ -0,0 +1,81 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.DOWNLOAD_URL_SECRET = 'test-download-secret';
+
+const { createDownloadUrl, verifyDownloadUrl, downloadFileName } = require('../utils/downloads');
+
+const document = { _id: new mongoose.Types.ObjectId(), originalFileName: 'contract.pdf' };
+
+// documentId, version, expires and signature of a URL from createDownloadUrl
+function parseUrl(url) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const [, , , documentId, version] = pathname.split('/');
+    return [documentId, version, searchParams.get('expires'), searchParams.get('signature')];
+}
+
+describe('download URLs', () => {
+    const realNow = Date.now;
+    afterEach(() => {
+        Date.now = realNow;
+    });
+
+    it('accepts a URL it signed', () => {
+        const { url, expiresAt } = createDownloadUrl(document, 'signed', 60);
+
+        assert.match(url, new RegExp(`^/api/downloads/${document._id}/signed\\?expires=\\d+&signature=`));
+        assert.ok(Math.abs(expiresAt.getTime() - (Date.now() + 60 * 1000)) < 2000);
+        assert.equal(verifyDownloadUrl(...parseUrl(url)), true);
+    });
+
+    it('rejects a URL pointed at another document or version', () => {
+        const [documentId, version, expires, signature] = parseUrl(createDownloadUrl(document, 'original').url);
+
+        assert.equal(verifyDownloadUrl(String(new mongoose.Types.ObjectId()), version, expires, signature), false);
+        assert.equal(verifyDownloadUrl(documentId, 'signed', expires, signature), false);
+        assert.equal(verifyDownloadUrl(documentId, 'unknown', expires, signature), false);
+    });
+
+    it('rejects a URL whose expiry was changed', () => {
+        const [documentId, version, expires, signature] = parseUrl(createDownloadUrl(document, 'original').url);
+
+        assert.equal(verifyDownloadUrl(documentId, version, String(Number(expires) + 3600), signature), false);
+        assert.equal(verifyDownloadUrl(documentId, version, 'soon', signature), false);
+    });
+
+    it('rejects a missing or forged signature', () => {
+        const [documentId, version, expires, signature] = parseUrl(createDownloadUrl(document, 'original').url);
+
+        assert.equal(verifyDownloadUrl(documentId, version, expires, undefined), false);
+        assert.equal(verifyDownloadUrl(documentId, version, expires, signature.slice(0, -1)), false);
+        const forged = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+        assert.equal(verifyDownloadUrl(documentId, version, expires, forged), false);
+    });
+
+    it('expires', () => {
+        const params = parseUrl(createDownloadUrl(document, 'original', 60).url);
+
+        Date.now = () => realNow() + 59 * 1000;
+        assert.equal(verifyDownloadUrl(...params), true);
+
+        Date.now = () => realNow() + 61 * 1000;
+        assert.equal(verifyDownloadUrl(...params), false);
+    });
+
+    it('keeps lifetimes between 1 second and 7 days', () => {
+        const now = Date.now();
+
+        const long = createDownloadUrl(document, 'original', 30 * 24 * 60 * 60);
+        assert.ok(long.expiresAt.getTime() <= now + 7 * 24 * 60 * 60 * 1000 + 1000);
+
+        const short = createDownloadUrl(document, 'original', -5);
+        assert.ok(short.expiresAt.getTime() > now);
+    });
+
+    it('names downloads after the uploaded file', () => {
+        assert.equal(downloadFileName(document, 'original'), 'contract.pdf');
+        assert.equal(downloadFileName(document, 'signed'), 'contract (signed).pdf');
+        assert.equal(downloadFileName({ originalFileName: 'scan' }, 'form'), 'scan (form).pdf');
+    });
+});
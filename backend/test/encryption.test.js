@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { buffer } = require('stream/consumers');
+
+// Master keys are read when the module loads: "current" wraps, "previous" only unwraps
+const currentKey = crypto.randomBytes(32);
+const previousKey = crypto.randomBytes(32);
+process.env.ENCRYPTION_KEYS = `current:${currentKey.toString('base64')},previous:${previousKey.toString('base64')}`;
+
+const encryption = require('../utils/encryption');
+
+// An envelope wrapped by an older master key, as rotation finds them
+function wrapWith(keyId, masterKey, dataKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+    const wrapped = Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+    return { keyId, wrappedKey: wrapped.toString('base64') };
+}
+
+describe('encryption', () => {
+    it('wraps new data keys with the first master key', () => {
+        const envelope = encryption.createEnvelope();
+
+        assert.equal(encryption.isEncryptionEnabled(), true);
+        assert.equal(encryption.getCurrentKeyId(), 'current');
+        assert.equal(envelope.keyId, 'current');
+        assert.equal(encryption.openEnvelope(envelope).length, 32);
+        assert.equal(encryption.openEnvelope(undefined), null);
+    });
+
+    it('seals and opens field values', () => {
+        const dataKey = encryption.openEnvelope(encryption.createEnvelope());
+        const value = { text: 'Zoë 王芳', checked: true };
+
+        const sealed = encryption.sealValue(value, dataKey);
+
+        assert.equal(encryption.isSealedValue(sealed), true);
+        assert.equal(encryption.isSealedValue('plain text'), false);
+        assert.equal(JSON.stringify(sealed).includes('王芳'), false);
+        assert.deepEqual(encryption.openValue(sealed, dataKey), value);
+    });
+
+    it('refuses to open a value with the wrong key', () => {
+        const sealed = encryption.sealValue('secret', crypto.randomBytes(32));
+
+        assert.throws(() => encryption.openValue(sealed, crypto.randomBytes(32)));
+        assert.throws(() => encryption.openValue(sealed, null), /no data key/);
+    });
+
+    it('encrypts and decrypts file contents', () => {
+        const dataKey = crypto.randomBytes(32);
+        const pdf = Buffer.from('%PDF-1.7 contents');
+
+        const stored = encryption.encryptBuffer(pdf, dataKey);
+
+        assert.notDeepEqual(stored, pdf);
+        assert.deepEqual(encryption.decryptBuffer(stored, dataKey), pdf);
+        assert.throws(() => encryption.decryptBuffer(stored, null), /no data key/);
+    });
+
+    it('detects tampered file contents', () => {
+        const dataKey = crypto.randomBytes(32);
+        const stored = encryption.encryptBuffer(Buffer.from('%PDF-1.7 contents'), dataKey);
+        stored[stored.length - 20] ^= 1;
+
+        assert.throws(() => encryption.decryptBuffer(stored, dataKey));
+    });
+
+    it('returns files stored before encryption as they are', () => {
+        const pdf = Buffer.from('%PDF-1.4 plain');
+
+        assert.equal(encryption.encryptBuffer(pdf, null), pdf);
+        assert.equal(encryption.decryptBuffer(pdf, crypto.randomBytes(32)), pdf);
+    });
+
+    it('streams into the same format as encryptBuffer', async () => {
+        const dataKey = crypto.randomBytes(32);
+        const pdf = crypto.randomBytes(100 * 1024);
+
+        const stored = await buffer(Readable.from([pdf.subarray(0, 1000), pdf.subarray(1000)])
+            .pipe(encryption.createEncryptStream(dataKey)));
+
+        assert.deepEqual(encryption.decryptBuffer(stored, dataKey), pdf);
+    });
+
+    it('re-wraps an envelope under the current master key, keeping its data key', () => {
+        const dataKey = crypto.randomBytes(32);
+        const old = wrapWith('previous', previousKey, dataKey);
+        const sealed = encryption.sealValue('kept readable', dataKey);
+
+        const rewrapped = encryption.rewrapEnvelope(old);
+
+        assert.equal(rewrapped.keyId, 'current');
+        assert.notEqual(rewrapped.wrappedKey, old.wrappedKey);
+        assert.deepEqual(encryption.openEnvelope(rewrapped), dataKey);
+        assert.equal(encryption.openValue(sealed, encryption.openEnvelope(rewrapped)), 'kept readable');
+    });
+
+    it('fails on envelopes of unknown master keys', () => {
+        const envelope = wrapWith('retired', crypto.randomBytes(32), crypto.randomBytes(32));
+
+        assert.throws(() => encryption.openEnvelope(envelope), /"retired" is not in ENCRYPTION_KEYS/);
+        assert.throws(() => encryption.rewrapEnvelope(envelope), /"retired" is not in ENCRYPTION_KEYS/);
+    });
+});
+
+describe('Field value sealing', () => {
+    const mongoose = require('mongoose');
+    const Document = require('../models/Document');
+    const Field = require('../models/Field');
+
+    const envelope = encryption.createEnvelope();
+    const position = { pageNumber: 1, xPercent: 0, yPercent: 0, widthPercent: 0.1, heightPercent: 0.1 };
+    // No database here: stub the document lookup and the collection writes
+    Document.findById = () => ({ select: () => ({ lean: async () => ({ encryption: envelope }) }) });
+
+    it('returns inserted fields opened and leaves the input plain', async () => {
+        let stored;
+        Field.$__collection.insertMany = async (docs) => {
+            stored = docs;
+            return { insertedCount: docs.length };
+        };
+        const input = [
+            { documentId: new mongoose.Types.ObjectId(), fieldType: 'text', position, value: 'hello' },
+            { documentId: new mongoose.Types.ObjectId(), fieldType: 'text', position }
+        ];
+
+        const fields = await Field.insertMany(input);
+
+        assert.deepEqual(fields.map(field => field.value), ['hello', undefined]);
+        assert.equal(encryption.isSealedValue(stored[0].value), true);
+        assert.equal(input[0].value, 'hello');
+    });
+
+    it('restores the plaintext when a save fails', async () => {
+        const field = new Field({ documentId: new mongoose.Types.ObjectId(), fieldType: 'text', position, value: 'secret' });
+        Field.$__collection.insertOne = async () => {
+            throw new Error('connection lost');
+        };
+
+        await assert.rejects(field.save(), /connection lost/);
+        assert.equal(field.value, 'secret');
+
+        let stored;
+        Field.$__collection.insertOne = async (doc) => {
+            stored = doc;
+            return { acknowledged: true };
+        };
+        await field.save();
+        assert.equal(encryption.isSealedValue(stored.value), true);
+        assert.equal(field.value, 'secret');
+    });
+});
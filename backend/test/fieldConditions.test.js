@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { conditionHolds, resolveFieldStates, checkCondition } = require('../utils/fieldConditions');
+
+describe('conditionHolds', () => {
+    it('compares checkboxes and trimmed text', () => {
+        assert.equal(conditionHolds({ operator: 'checked' }, true), true);
+        assert.equal(conditionHolds({ operator: 'checked' }, undefined), false);
+        assert.equal(conditionHolds({ operator: 'unchecked' }, false), true);
+        assert.equal(conditionHolds({ operator: 'equals', value: 'Yes ' }, ' Yes'), true);
+        assert.equal(conditionHolds({ operator: 'not_equals', value: 'Yes' }, 'No'), true);
+        assert.equal(conditionHolds({ operator: 'equals', value: '' }, undefined), true);
+    });
+});
+
+describe('resolveFieldStates', () => {
+    it('shows a field only while its condition holds', () => {
+        const fields = [
+            { _id: 'married', fieldType: 'checkbox', value: false },
+            { _id: 'spouse', fieldType: 'name', required: true, condition: { fieldId: 'married', operator: 'checked', action: 'show' } }
+        ];
+
+        assert.deepEqual(resolveFieldStates(fields).get('spouse'), { visible: false, required: false });
+
+        fields[0].value = true;
+        assert.deepEqual(resolveFieldStates(fields).get('spouse'), { visible: true, required: true });
+    });
+
+    it('requires a field only while its condition holds', () => {
+        const fields = [
+            { _id: 'other', fieldType: 'dropdown', value: 'Other' },
+            { _id: 'details', fieldType: 'text', condition: { fieldId: 'other', operator: 'equals', value: 'Other', action: 'require' } }
+        ];
+
+        assert.deepEqual(resolveFieldStates(fields).get('details'), { visible: true, required: true });
+
+        fields[0].value = 'None';
+        assert.deepEqual(resolveFieldStates(fields).get('details'), { visible: true, required: false });
+    });
+
+    it('treats a hidden controller as empty, so chains collapse', () => {
+        const fields = [
+            { _id: 'a', fieldType: 'checkbox', value: false },
+            { _id: 'b', fieldType: 'checkbox', value: true, condition: { fieldId: 'a', operator: 'checked', action: 'show' } },
+            { _id: 'c', fieldType: 'text', condition: { fieldId: 'b', operator: 'checked', action: 'show' } }
+        ];
+
+        const states = resolveFieldStates(fields);
+        assert.equal(states.get('b').visible, false);
+        assert.equal(states.get('c').visible, false);
+    });
+
+    it('treats fields in a cycle or with a deleted controller as unconditional', () => {
+        const fields = [
+            { _id: 'a', fieldType: 'checkbox', required: true, condition: { fieldId: 'b', operator: 'checked', action: 'show' } },
+            { _id: 'b', fieldType: 'checkbox', condition: { fieldId: 'a', operator: 'checked', action: 'show' } },
+            { _id: 'c', fieldType: 'text', required: true, condition: { fieldId: 'gone', operator: 'checked', action: 'show' } }
+        ];
+
+        const states = resolveFieldStates(fields);
+        assert.deepEqual(states.get('c'), { visible: true, required: true });
+        assert.equal(states.size, 3);
+    });
+
+    it('never requires auto-filled fields', () => {
+        const states = resolveFieldStates([{ _id: 'a', fieldType: 'date_signed', required: true }]);
+        assert.deepEqual(states.get('a'), { visible: true, required: false });
+    });
+});
+
+describe('checkCondition', () => {
+    const fields = [
+        { _id: 'box', fieldType: 'checkbox' },
+        { _id: 'name', fieldType: 'text', condition: { fieldId: 'box', operator: 'checked' } }
+    ];
+
+    it('accepts a condition on another field', () => {
+        assert.equal(checkCondition(undefined, fields), null);
+        assert.equal(checkCondition({ fieldId: 'box', operator: 'checked' }, fields, 'new'), null);
+    });
+
+    it('rejects unknown operators, actions and fields', () => {
+        assert.match(checkCondition({ fieldId: 'box', operator: 'contains' }, fields), /operator must be one of/);
+        assert.match(checkCondition({ fieldId: 'box', operator: 'checked', action: 'hide' }, fields), /action must be one of/);
+        assert.equal(checkCondition({ fieldId: 'gone', operator: 'checked' }, fields), 'Condition field not found in this document');
+    });
+
+    it('rejects an operator the controlling field type cannot have', () => {
+        assert.equal(checkCondition({ fieldId: 'name', operator: 'checked' }, fields), '"checked" needs a checkbox or radio field');
+    });
+
+    it('rejects conditions that lead back to the field', () => {
+        assert.equal(checkCondition({ fieldId: 'name', operator: 'equals', value: 'x' }, fields, 'box'),
+            'Conditions cannot depend on themselves');
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFieldValue, validateFields, checkValidationRules } = require('../utils/fieldValidation');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('validateFieldValue', () => {
+    it('lets empty values through', () => {
+        assert.deepEqual(validateFieldValue({ fieldType: 'email' }, ''), []);
+        assert.deepEqual(validateFieldValue({ fieldType: 'number' }, null), []);
+    });
+
+    it('checks text length, format and pattern', () => {
+        const field = { fieldType: 'text', validation: { minLength: 3, maxLength: 5 } };
+        assert.deepEqual(validateFieldValue(field, 'ab'), ['Must be at least 3 characters']);
+        assert.deepEqual(validateFieldValue(field, 'abcdef'), ['Must be at most 5 characters']);
+        assert.deepEqual(validateFieldValue(field, 'abcd'), []);
+        assert.deepEqual(validateFieldValue(field, 42), ['Must be text']);
+
+        const zip = { fieldType: 'text', validation: { pattern: '\\d{5}', patternMessage: 'Must be a ZIP code' } };
+        assert.deepEqual(validateFieldValue(zip, '12345'), []);
+        assert.deepEqual(validateFieldValue(zip, '12345-6789'), ['Must be a ZIP code']);
+    });
+
+    it('checks numeric text against min and max', () => {
+        const field = { fieldType: 'text', validation: { format: 'numeric', min: 1, max: 10 } };
+        assert.deepEqual(validateFieldValue(field, '5.5'), []);
+        assert.deepEqual(validateFieldValue(field, '11'), ['Must be at most 10']);
+        assert.deepEqual(validateFieldValue(field, 'five'), ['Must be a number']);
+    });
+
+    it('checks email addresses', () => {
+        assert.deepEqual(validateFieldValue({ fieldType: 'email' }, 'ada@example.com'), []);
+        assert.deepEqual(validateFieldValue({ fieldType: 'email' }, 'ada@'), ['Must be an email address']);
+    });
+
+    it('checks dates and their range', () => {
+        const field = { fieldType: 'date', validation: { minDate: '2026-01-01', maxDate: '2026-12-31' } };
+        assert.deepEqual(validateFieldValue(field, '2026-06-15'), []);
+        assert.deepEqual(validateFieldValue(field, '2025-12-31'), ['Must be on or after 2026-01-01']);
+        assert.deepEqual(validateFieldValue(field, '15/06/2026'), ['Must be a date (YYYY-MM-DD)']);
+    });
+
+    it('checks numbers, dropdowns and checkboxes', () => {
+        assert.deepEqual(validateFieldValue({ fieldType: 'number', validation: { min: 0 } }, -1), ['Must be at least 0']);
+        assert.deepEqual(validateFieldValue({ fieldType: 'number' }, '12'), ['Must be a number']);
+        assert.deepEqual(validateFieldValue({ fieldType: 'dropdown', options: ['A', 'B'] }, 'C'), ['Must be one of the listed options']);
+        assert.deepEqual(validateFieldValue({ fieldType: 'checkbox' }, 'yes'), ['Must be checked or unchecked']);
+    });
+
+    it('checks image type and size', () => {
+        assert.deepEqual(validateFieldValue({ fieldType: 'signature' }, PNG), []);
+        assert.deepEqual(validateFieldValue({ fieldType: 'signature' }, 'not an image'), ['Must be a base64 image data URL']);
+        assert.deepEqual(
+            validateFieldValue({ fieldType: 'image', validation: { imageTypes: ['image/jpeg'] } }, PNG),
+            ['Image must be JPEG']
+        );
+        assert.deepEqual(
+            validateFieldValue({ fieldType: 'stamp', validation: { maxImageBytes: 4 } }, PNG),
+            ['Image must be at most 4 bytes']
+        );
+    });
+
+    it('refuses values for auto-filled fields', () => {
+        assert.deepEqual(validateFieldValue({ fieldType: 'date_signed' }, '2026-01-01'),
+            ['Filled in automatically when the document is signed']);
+    });
+});
+
+describe('validateFields', () => {
+    it('reports required fields that are empty and values that break their rules', () => {
+        const fields = [
+            { _id: 'a', label: 'Name', fieldType: 'text', required: true },
+            { _id: 'b', label: 'Email', fieldType: 'email', value: 'nope' },
+            { _id: 'c', label: 'Age', fieldType: 'number', required: true, value: 30 }
+        ];
+
+        assert.deepEqual(validateFields(fields), [
+            { fieldId: 'a', label: 'Name', fieldType: 'text', errors: ['This field is required'] },
+            { fieldId: 'b', label: 'Email', fieldType: 'email', errors: ['Must be an email address'] }
+        ]);
+    });
+
+    it('skips hidden fields', () => {
+        const fields = [
+            { _id: 'a', fieldType: 'checkbox', value: false },
+            { _id: 'b', fieldType: 'text', required: true, condition: { fieldId: 'a', operator: 'checked', action: 'show' } }
+        ];
+
+        assert.deepEqual(validateFields(fields), []);
+    });
+});
+
+describe('checkValidationRules', () => {
+    it('accepts usable rules', () => {
+        assert.equal(checkValidationRules(undefined), null);
+        assert.equal(checkValidationRules({ pattern: '[A-Z]+', minLength: 1, maxLength: 5 }), null);
+    });
+
+    it('rejects contradictory or broken rules', () => {
+        assert.equal(checkValidationRules({ pattern: '(' }), 'Invalid pattern: (');
+        assert.equal(checkValidationRules({ minLength: 5, maxLength: 1 }), 'minLength must not exceed maxLength');
+        assert.equal(checkValidationRules({ min: 5, max: 1 }), 'min must not exceed max');
+        assert.equal(checkValidationRules({ minDate: '2026-02-01', maxDate: '2026-01-01' }), 'minDate must not be after maxDate');
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatNumber } = require('../utils/numberFormat');
+
+describe('formatNumber', () => {
+    it('groups thousands by default', () => {
+        assert.equal(formatNumber(1250000), '1,250,000');
+        assert.equal(formatNumber(1250.5), '1,250.5');
+    });
+
+    it('pads and rounds to the given decimals', () => {
+        assert.equal(formatNumber(1250, { decimals: 2 }), '1,250.00');
+        assert.equal(formatNumber(3.14159, { decimals: 2 }), '3.14');
+        assert.equal(formatNumber(2.5, { decimals: 0 }), '3');
+    });
+
+    it('adds prefix and suffix', () => {
+        assert.equal(formatNumber(1250, { decimals: 2, prefix: '$' }), '$1,250.00');
+        assert.equal(formatNumber(15, { suffix: ' %' }), '15 %');
+    });
+
+    it('can leave out thousands separators', () => {
+        assert.equal(formatNumber(1250000, { thousands: false }), '1250000');
+    });
+
+    it('formats negative numbers and numeric strings', () => {
+        assert.equal(formatNumber(-1250.75, { decimals: 1 }), '-1,250.8');
+        assert.equal(formatNumber('42'), '42');
+    });
+
+    it('returns anything else as it is', () => {
+        assert.equal(formatNumber('abc', { prefix: '$' }), 'abc');
+    });
+});
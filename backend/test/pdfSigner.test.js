@@ -0,0 +1,122 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+const {
+    addSignaturePlaceholder,
+    signPdfBuffer,
+    verifyPdfSignatures,
+    MAX_VERIFIED_SIGNATURES
+} = require('../utils/pdfSigner');
+
+// Self-signed test certificate (node's RSA key generation is much faster than forge's)
+function createCredentials() {
+    const { privateKey: pem } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    const privateKey = forge.pki.privateKeyFromPem(pem);
+
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = forge.pki.setRsaPublicKey(privateKey.n, privateKey.e);
+    certificate.serialNumber = '01';
+    certificate.validity.notBefore = new Date(Date.now() - 60 * 1000);
+    certificate.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const subject = [{ name: 'commonName', value: 'Test Signer' }];
+    certificate.setSubject(subject);
+    certificate.setIssuer(subject);
+    certificate.sign(privateKey, forge.md.sha256.create());
+
+    return { privateKey, certificate, chain: [] };
+}
+
+async function createSignedPdf(credentials) {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage([300, 300]).drawText('Signed content', { x: 50, y: 150 });
+    addSignaturePlaceholder(pdfDoc, { name: 'Test Signer', reason: 'Testing' });
+    const saved = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    return signPdfBuffer(saved, credentials);
+}
+
+describe('pdfSigner', () => {
+    let credentials;
+    let signed;
+
+    before(async () => {
+        credentials = createCredentials();
+        signed = await createSignedPdf(credentials);
+    });
+
+    it('verifies a PDF it signed', () => {
+        const [signature, ...others] = verifyPdfSignatures(signed);
+
+        assert.equal(others.length, 0);
+        assert.equal(signature.valid, true);
+        assert.equal(signature.digestMatches, true);
+        assert.equal(signature.signatureValid, true);
+        assert.equal(signature.coversWholeFile, true);
+        assert.equal(signature.revisionLength, signed.length);
+        assert.equal(signature.error, undefined);
+    });
+
+    it('fills in a ByteRange around the /Contents hole', () => {
+        const [{ byteRange }] = verifyPdfSignatures(signed);
+
+        assert.equal(byteRange[0], 0);
+        assert.equal(signed.toString('latin1', byteRange[1], byteRange[1] + 1), '<');
+        assert.equal(signed.toString('latin1', byteRange[2] - 1, byteRange[2]), '>');
+        assert.equal(byteRange[2] + byteRange[3], signed.length);
+    });
+
+    it('detects a change to the signed bytes', () => {
+        const tampered = Buffer.from(signed);
+        // The /Reason in the signature dictionary is covered too
+        const offset = tampered.indexOf('(Testing)');
+        assert.notEqual(offset, -1);
+        tampered.write('(Tested!)', offset, 'latin1');
+
+        const [signature] = verifyPdfSignatures(tampered);
+        assert.equal(signature.digestMatches, false);
+        assert.equal(signature.valid, false);
+    });
+
+    it('reports bytes appended after signing', () => {
+        const appended = Buffer.concat([signed, Buffer.from('\n% appended\n')]);
+
+        const [signature] = verifyPdfSignatures(appended);
+        assert.equal(signature.valid, true);
+        assert.equal(signature.coversWholeFile, false);
+        assert.equal(signature.revisionLength, signed.length);
+    });
+
+    it('ignores /ByteRange entries outside signature dictionaries', () => {
+        const fake = Buffer.concat([
+            signed,
+            Buffer.from('\n99 0 obj\n<< /Type /Annot /ByteRange [0 10 20 30] >>\nendobj\n% /ByteRange [0 1 2 3]\n')
+        ]);
+
+        assert.equal(verifyPdfSignatures(fake).length, 1);
+    });
+
+    it('checks at most the last MAX_VERIFIED_SIGNATURES signature dictionaries', () => {
+        const objects = Array.from({ length: MAX_VERIFIED_SIGNATURES + 5 }, (_, i) =>
+            `${100 + i} 0 obj\n<< /Type /Sig /ByteRange [0 10 20 ${i}] >>\nendobj\n`);
+        const crowded = Buffer.concat([signed, Buffer.from(`\n${objects.join('')}`)]);
+
+        const signatures = verifyPdfSignatures(crowded);
+        assert.equal(signatures.length, MAX_VERIFIED_SIGNATURES);
+        assert.deepEqual(signatures[signatures.length - 1].byteRange, [0, 10, 20, MAX_VERIFIED_SIGNATURES + 4]);
+        assert.ok(signatures.every(signature => !signature.valid));
+    });
+
+    it('refuses a PDF without a placeholder', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        const unsigned = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+
+        assert.throws(() => signPdfBuffer(unsigned, credentials), /placeholder not found/);
+        assert.deepEqual(verifyPdfSignatures(unsigned), []);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { optionValueOf, selectRadioOption, getRadioGroupValues } = require('../utils/radioGroups');
+
+function radio(id, radioGroup, label, extra = {}) {
+    return { _id: id, fieldType: 'radio', radioGroup, label, ...extra };
+}
+
+describe('radioGroups', () => {
+    it('uses the option value, else the label', () => {
+        assert.equal(optionValueOf(radio('a', 'plan', 'Basic plan', { optionValue: 'basic' })), 'basic');
+        assert.equal(optionValueOf(radio('b', 'plan', 'Pro plan')), 'Pro plan');
+    });
+
+    it('selecting an option sets false on the others', () => {
+        const options = [radio('a', 'plan', 'Basic'), radio('b', 'plan', 'Pro'), radio('c', 'plan', 'Team')];
+
+        const changed = selectRadioOption(options[1], true, options);
+
+        assert.deepEqual(options.map(option => option.value), [false, true, false]);
+        assert.deepEqual(changed.map(option => option._id), ['a', 'c']);
+    });
+
+    it('moving the selection only reports options that changed', () => {
+        const options = [radio('a', 'plan', 'Basic'), radio('b', 'plan', 'Pro'), radio('c', 'plan', 'Team')];
+        selectRadioOption(options[1], true, options);
+
+        const changed = selectRadioOption(options[2], true, options);
+
+        assert.deepEqual(options.map(option => option.value), [false, false, true]);
+        assert.deepEqual(changed.map(option => option._id), ['b']);
+    });
+
+    it('deselecting clears the whole group', () => {
+        const options = [radio('a', 'plan', 'Basic'), radio('b', 'plan', 'Pro')];
+        selectRadioOption(options[0], true, options);
+
+        const changed = selectRadioOption(options[0], false, options);
+
+        assert.deepEqual(options.map(option => option.value), [undefined, undefined]);
+        assert.deepEqual(changed.map(option => option._id), ['b']);
+    });
+
+    it('reports the selected value of every group', () => {
+        const fields = [
+            radio('a', 'plan', 'Basic'),
+            radio('b', 'plan', 'Pro', { optionValue: 'pro', value: true }),
+            radio('c', 'billing', 'Monthly', { value: false }),
+            radio('d', 'billing', 'Yearly', { value: false }),
+            radio('e', undefined, 'Ungrouped', { value: true }),
+            { _id: 'f', fieldType: 'checkbox', radioGroup: 'plan', value: true }
+        ];
+
+        assert.deepEqual(getRadioGroupValues(fields), { plan: 'pro', billing: null });
+    });
+});
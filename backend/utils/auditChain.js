@@ -0,0 +1,103 @@
+/**
+ * AUDIT LOG HASH CHAIN
+ *
+ * Each AuditLog entry stores the hash of the previous entry for the same
+ * document (previousHash) and a hash of its own canonical content, which
+ * includes previousHash (entryHash). Editing an entry breaks its entryHash;
+ * deleting or reordering one breaks the next entry's previousHash.
+ */
+const crypto = require('crypto');
+
+// previousHash of the first entry of every document
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Deterministic JSON: object keys sorted, undefined dropped, dates as ISO
+ * strings and ObjectIds as hex, so the same entry always hashes the same
+ * whether it is about to be saved or was read back from MongoDB
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalize(value) {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (value._bsontype === 'ObjectId') return JSON.stringify(value.toHexString());
+    if (typeof value.toObject === 'function') return canonicalize(value.toObject());
+    if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+    if (typeof value === 'object') {
+        const members = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${members.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash of an entry's content, including its link to the previous entry
+ *
+ * @param {Object} entry - AuditLog document or plain object
+ * @returns {string} - Hex-encoded SHA-256
+ */
+function computeEntryHash(entry) {
+    if (typeof entry.toObject === 'function') entry = entry.toObject();
+    const content = {
+        documentId: entry.documentId,
+        sequence: entry.sequence,
+        action: entry.action,
+        documentHashBefore: entry.documentHashBefore,
+        documentHashAfter: entry.documentHashAfter,
+        performedBy: entry.performedBy,
+        details: entry.details,
+        previousHash: entry.previousHash
+    };
+    return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+}
+
+/**
+ * Walk a document's chain and report the first broken link
+ *
+ * Entries written before chaining existed (no entryHash) are skipped.
+ * Removing the newest entries leaves a shorter but valid chain; compare
+ * headHash with a previously exported value to detect that.
+ *
+ * @param {Array} entries - All AuditLog entries of one document
+ * @returns {Object} - { valid, length, headHash, legacyEntries, brokenAt }
+ *   brokenAt: { sequence, entryId, reason } or null
+ */
+function verifyChain(entries) {
+    const chained = entries
+        .filter(entry => entry.entryHash)
+        .sort((a, b) => a.sequence - b.sequence);
+
+    let previousHash = GENESIS_HASH;
+    let brokenAt = null;
+
+    for (const [index, entry] of chained.entries()) {
+        const fail = reason => ({ sequence: entry.sequence, entryId: entry._id, reason });
+
+        if (entry.sequence !== index) {
+            // A missing sequence number means an entry was deleted
+            brokenAt = fail(entry.sequence > index ? 'entry_missing' : 'duplicate_sequence');
+        } else if (entry.previousHash !== previousHash) {
+            brokenAt = fail('previous_hash_mismatch');
+        } else if (computeEntryHash(entry) !== entry.entryHash) {
+            brokenAt = fail('content_modified');
+        }
+        if (brokenAt) break;
+
+        previousHash = entry.entryHash;
+    }
+
+    return {
+        valid: !brokenAt,
+        length: chained.length,
+        headHash: brokenAt ? null : previousHash,
+        legacyEntries: entries.length - chained.length,
+        brokenAt
+    };
+}
+
+module.exports = { computeEntryHash, verifyChain, GENESIS_HASH };
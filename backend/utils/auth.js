@@ -0,0 +1,123 @@
+/**
+ * AUTHENTICATION
+ *
+ * Users log in with a password and get a JWT session token; servers use
+ * long-lived API keys instead. Passwords are hashed with scrypt and API keys
+ * with SHA-256 (they are random, so a fast hash is enough).
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { calculateHash } = require('./hashUtils');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const SESSION_TTL = process.env.JWT_EXPIRES_IN || '12h';
+const API_KEY_PREFIX = 'sk_';
+
+// Without JWT_SECRET sessions do not survive a restart
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️  JWT_SECRET is not set: using a random secret, sessions end when the server restarts');
+}
+
+/**
+ * Hash a password for storage
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - 'scrypt$<salt>$<hash>', hex-encoded
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ *
+ * @param {string} password - Plain-text password
+ * @param {string} stored - From hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scrypt(password, Buffer.from(salt, 'hex'), SCRYPT_KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'hex');
+    return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+/**
+ * Session token for a user
+ *
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT (subject = user id)
+ */
+function createSessionToken(user) {
+    return jwt.sign({ email: user.email }, JWT_SECRET, {
+        subject: String(user._id),
+        expiresIn: SESSION_TTL
+    });
+}
+
+/**
+ * Validate a session token
+ *
+ * @param {string} token - JWT from the Authorization header
+ * @returns {string|null} - User id, or null if invalid or expired
+ */
+function verifySessionToken(token) {
+    try {
+        return jwt.verify(token, JWT_SECRET).sub || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * New random API key
+ *
+ * @returns {Object} - { key, prefix, keyHash }; only keyHash and prefix are stored
+ */
+function generateApiKey() {
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+    return calculateHash(key);
+}
+
+function isApiKey(credential) {
+    return credential.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Who performed a request, for AuditLog.performedBy
+ *
+ * @param {Object} req - Express request (req.user set by middleware/auth.js)
+ * @returns {Object} - { ip, userAgent, userId, email, timestamp }
+ */
+function getActor(req) {
+    return {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        userId: req.user?._id,
+        email: req.user?.email,
+        timestamp: new Date()
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    verifySessionToken,
+    generateApiKey,
+    hashApiKey,
+    isApiKey,
+    getActor
+};
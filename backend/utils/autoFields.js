@@ -0,0 +1,71 @@
+/**
+ * AUTO-FILLED FIELDS
+ *
+ * System fields nobody types into: their text is worked out by /api/sign-pdf
+ * when the document is signed.
+ * - signer_name / signer_email: the field's recipient, or for unassigned
+ *   fields the account that signs the document
+ * - date_signed: when that signer last set a value (Field.signedAt),
+ *   falling back to the signing time
+ * - document_id: the document's ID
+ * - page_number: "Page 2 of 5"
+ */
+
+const AUTO_FIELD_TYPES = ['signer_name', 'signer_email', 'date_signed', 'document_id', 'page_number'];
+
+function isAutoField(field) {
+    return AUTO_FIELD_TYPES.includes(field.fieldType);
+}
+
+/**
+ * When the signer of a field last filled something in
+ *
+ * @param {Object} field - Auto field
+ * @param {Array} fields - All fields of the document
+ * @returns {Date|null}
+ */
+function getSignedAt(field, fields) {
+    const sameSigner = (f) => field.recipientId
+        ? f.recipientId && String(f.recipientId) === String(field.recipientId)
+        : !f.recipientId;
+
+    const times = fields
+        .filter(f => !isAutoField(f) && f.signedAt && sameSigner(f))
+        .map(f => new Date(f.signedAt).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Text drawn for an auto field
+ *
+ * @param {Object} field - Auto field
+ * @param {Object} context - {
+ *   document,   // Document with recipients
+ *   fields,     // All fields of the document
+ *   owner,      // { name, email } of the signing account (unassigned fields)
+ *   pageCount,  // Pages of the signed document
+ *   signedAt    // Signing time
+ * }
+ * @returns {string}
+ */
+function resolveAutoFieldValue(field, { document, fields, owner, pageCount, signedAt }) {
+    const recipient = field.recipientId && document.recipients.id(field.recipientId);
+    const signer = recipient || owner || {};
+
+    switch (field.fieldType) {
+        case 'signer_name':
+            return signer.name || signer.email || '';
+        case 'signer_email':
+            return signer.email || '';
+        case 'date_signed':
+            return (getSignedAt(field, fields) || signedAt).toLocaleDateString();
+        case 'document_id':
+            return String(document._id);
+        case 'page_number':
+            return `Page ${field.position.pageNumber} of ${pageCount}`;
+        default:
+            return '';
+    }
+}
+
+module.exports = { AUTO_FIELD_TYPES, isAutoField, resolveAutoFieldValue };
@@ -0,0 +1,278 @@
+/**
+ * BULK SEND
+ *
+ * A CSV with one row per recipient creates one document per row from a
+ * template (or an existing document, used as an unsaved template). Columns:
+ *   name, email       - the row's recipient, who fills in the source's role
+ *   <field label>...  - values prefilled into every field with that label
+ * Prefilled values are checked against each field's type and validation
+ * rules before anything is created; a row with a bad value fails on its own.
+ *
+ * Jobs run in the process that received the CSV. One that makes no progress
+ * for STALE_JOB_MS (its process was restarted or died) is marked failed,
+ * with its remaining rows, by startBulkSendWatchdog().
+ */
+const AuditLog = require('../models/AuditLog');
+const BulkSendJob = require('../models/BulkSendJob');
+const { parseCsv } = require('./csv');
+const { instantiateTemplate } = require('./templates');
+const { validateFieldValue } = require('./fieldValidation');
+
+const MAX_ROWS = 500;
+const STALE_JOB_MS = 5 * 60 * 1000;
+const WATCHDOG_INTERVAL_MS = 60 * 1000;
+const RECIPIENT_COLUMNS = ['name', 'email'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'on', 'checked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', 'unchecked'];
+
+/**
+ * Parse a bulk send CSV
+ *
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} - { labels, rows: [{ row, name, email, cells: { [label]: string } }] },
+ *   labels being the prefill columns
+ * @throws {Error} - Malformed CSV, no name/email columns, no or too many rows
+ */
+function parseBulkCsv(text) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) {
+        throw new Error('CSV is empty');
+    }
+
+    const columns = header.map(column => column.trim());
+    const lowerColumns = columns.map(column => column.toLowerCase());
+    for (const column of RECIPIENT_COLUMNS) {
+        if (!lowerColumns.includes(column)) {
+            throw new Error(`CSV needs a "${column}" column`);
+        }
+    }
+    if (lines.length === 0) {
+        throw new Error('CSV has no rows');
+    }
+    if (lines.length > MAX_ROWS) {
+        throw new Error(`CSV has more than ${MAX_ROWS} rows`);
+    }
+
+    const rows = lines.map((cells, index) => {
+        const row = { row: index + 2, cells: {} };
+        columns.forEach((column, i) => {
+            const cell = (cells[i] || '').trim();
+            if (RECIPIENT_COLUMNS.includes(lowerColumns[i])) {
+                row[lowerColumns[i]] = cell;
+            } else if (cell !== '') {
+                row.cells[column] = cell;
+            }
+        });
+        return row;
+    });
+
+    return {
+        labels: columns.filter((column, i) => column && !RECIPIENT_COLUMNS.includes(lowerColumns[i])),
+        rows
+    };
+}
+
+/**
+ * Convert a CSV cell to a value for a field type
+ *
+ * @param {string} fieldType - Field.fieldType
+ * @param {string} cell - Non-empty CSV cell
+ * @returns {Object} - { value } or { error }
+ */
+function convertCell(fieldType, cell) {
+    switch (fieldType) {
+        case 'text':
+        case 'name':
+        case 'email':
+        case 'dropdown':
+            return { value: cell };
+
+        case 'number': {
+            // Thousands separators are allowed: "1,250.50"
+            const number = Number(cell.replace(/,/g, ''));
+            if (!Number.isFinite(number)) {
+                return { error: `"${cell}" is not a number` };
+            }
+            return { value: number };
+        }
+
+        case 'date': {
+            // Stored like the date picker does: YYYY-MM-DD
+            if (/^\d{4}-\d{2}-\d{2}$/.test(cell) && !isNaN(Date.parse(cell))) {
+                return { value: cell };
+            }
+            const date = new Date(cell);
+            if (isNaN(date.getTime())) {
+                return { error: `"${cell}" is not a date` };
+            }
+            const pad = (n) => String(n).padStart(2, '0');
+            return { value: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` };
+        }
+
+        case 'checkbox':
+        case 'radio': {
+            const lower = cell.toLowerCase();
+            if (TRUE_VALUES.includes(lower)) return { value: true };
+            if (FALSE_VALUES.includes(lower)) return { value: false };
+            return { error: `"${cell}" is not yes/no` };
+        }
+
+        default:
+            return { error: `${fieldType} fields cannot be prefilled` };
+    }
+}
+
+/**
+ * Columns that match no field label in the template
+ *
+ * @param {Object} template - Template (saved or from buildTemplate)
+ * @param {Array<string>} labels - Prefill columns from parseBulkCsv
+ * @returns {Array<string>}
+ */
+function findUnknownColumns(template, labels) {
+    const known = new Set(template.fields.map(field => field.label));
+    return labels.filter(label => !known.has(label));
+}
+
+/**
+ * Check a row's recipient and prefilled values
+ *
+ * @param {Object} template - Template
+ * @param {Object} row - Row from parseBulkCsv
+ * @returns {Object} - { values: { [label]: value }, errors: [string] }
+ */
+function validateRow(template, row) {
+    const errors = [];
+    if (!row.name) errors.push('Name is missing');
+    if (!EMAIL_PATTERN.test(row.email || '')) errors.push('Email is missing or invalid');
+
+    const values = {};
+    for (const [label, cell] of Object.entries(row.cells)) {
+        // Every field with the label must accept the value, rules included
+        for (const field of template.fields.filter(f => f.label === label)) {
+            const { value, error } = convertCell(field.fieldType, cell);
+            const fieldErrors = error ? [error] : validateFieldValue(field, value);
+            if (fieldErrors.length > 0) {
+                errors.push(`${label}: ${fieldErrors.join(', ')}`);
+                break;
+            }
+            values[label] = value;
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Create a document per row, recording each outcome on the job
+ *
+ * @param {Object} job - BulkSendJob, with its rows already listed
+ * @param {Object} template - Template with exactly one role
+ * @param {Array} rows - Rows from parseBulkCsv, in job order
+ * @param {Object} actor - performedBy for the audit entries (see getActor)
+ * @returns {Promise<Object>} - The completed job
+ */
+async function runBulkSend(job, template, rows, actor) {
+    const [role] = template.roles;
+
+    for (const [index, row] of rows.entries()) {
+        const result = job.rows[index];
+        const { values, errors } = validateRow(template, row);
+
+        if (errors.length > 0) {
+            result.status = 'failed';
+            result.error = errors.join('; ');
+        } else {
+            try {
+                const { document, fields } = await instantiateTemplate(template, {
+                    ownerId: job.ownerId,
+                    recipients: [{ roleId: role._id, name: row.name, email: row.email }],
+                    values
+                });
+
+                await AuditLog.create({
+                    documentId: document._id,
+                    action: 'uploaded',
+                    documentHashAfter: document.originalHash,
+                    performedBy: actor,
+                    details: {
+                        fileName: document.originalFileName,
+                        bulkSendJobId: job._id,
+                        row: row.row,
+                        templateId: template.isNew ? undefined : template._id,
+                        sourceDocumentId: job.sourceDocumentId,
+                        fieldsCreated: fields.length,
+                        prefilled: Object.keys(values)
+                    }
+                });
+
+                result.status = 'succeeded';
+                result.documentId = document._id;
+            } catch (error) {
+                console.error(`Bulk send row ${row.row} error:`, error);
+                result.status = 'failed';
+                result.error = error.message;
+            }
+        }
+
+        job.progressAt = new Date();
+        await job.save();
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    return job.save();
+}
+
+/**
+ * Mark jobs that stopped making progress as failed, with their pending rows
+ *
+ * @returns {Promise<number>} - Jobs marked failed
+ */
+async function failStaleBulkSends() {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+    const staleJobs = await BulkSendJob.find({
+        status: 'processing',
+        // Jobs from before progressAt existed: by their start
+        $or: [
+            { progressAt: { $lt: staleBefore } },
+            { progressAt: { $exists: false }, createdAt: { $lt: staleBefore } }
+        ]
+    });
+
+    for (const job of staleJobs) {
+        for (const row of job.rows.filter(r => r.status === 'pending')) {
+            row.status = 'failed';
+            row.error = 'Bulk send was interrupted (server restart)';
+        }
+        job.status = 'failed';
+        job.completedAt = new Date();
+        await job.save();
+    }
+    return staleJobs.length;
+}
+
+/**
+ * Check for stale jobs now (e.g. left by a restart) and every minute
+ *
+ * @returns {Object} - The interval timer
+ */
+function startBulkSendWatchdog() {
+    const check = () => failStaleBulkSends()
+        .catch(error => console.error('Bulk send watchdog error:', error));
+    const timer = setInterval(check, WATCHDOG_INTERVAL_MS);
+    timer.unref();
+    check();
+    return timer;
+}
+
+module.exports = {
+    parseBulkCsv,
+    findUnknownColumns,
+    validateRow,
+    runBulkSend,
+    failStaleBulkSends,
+    startBulkSendWatchdog
+};
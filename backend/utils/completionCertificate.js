@@ -0,0 +1,192 @@
+/**
+ * CERTIFICATE OF COMPLETION
+ *
+ * Appends a compliance summary to a signed PDF: document identity, hashes,
+ * a thumbnail of every signature and the full audit trail. Pages match the
+ * size of the document's first page (as viewed) and the audit trail
+ * continues onto as many pages as it needs.
+ */
+const { rgb } = require('pdf-lib');
+const { getPageGeometry, containImageInBox, embedDataUrlImage } = require('./pdfUtils');
+const { createFontRegistry } = require('./fontRegistry');
+const { layoutTextBox } = require('./textLayout');
+
+const MARGIN = 50;
+const TEXT_COLOR = rgb(0.13, 0.13, 0.13);
+const MUTED_COLOR = rgb(0.42, 0.45, 0.5);
+const RULE_COLOR = rgb(0.85, 0.86, 0.88);
+const THUMBNAIL = { width: 150, height: 60, gap: 16, captionHeight: 30 };
+
+/**
+ * Append the certificate pages
+ *
+ * @param {PDFDocument} pdfDoc - Signed document (pages are appended to it)
+ * @param {Object} data
+ * @param {Object} data.document - Document record
+ * @param {Array} data.auditLogs - AuditLog entries, oldest first
+ * @param {string} data.originalHash - SHA-256 of the uploaded PDF
+ * @param {string} data.signedHash - SHA-256 of the signed pages, before this certificate
+ * @param {Array} data.signatures - Signature/image Field records with values
+ * @param {Date} data.completedAt - Signing time
+ * @returns {Promise<number>} - Number of pages appended
+ */
+async function appendCompletionCertificate(pdfDoc, { document, auditLogs, originalHash, signedHash, signatures, completedAt }) {
+    const fonts = createFontRegistry(pdfDoc);
+
+    // Same size as the first page as the reader sees it
+    const { rotation, cropBox } = getPageGeometry(pdfDoc.getPage(0));
+    const quarterTurn = rotation === 90 || rotation === 270;
+    const pageWidth = quarterTurn ? cropBox.height : cropBox.width;
+    const pageHeight = quarterTurn ? cropBox.width : cropBox.height;
+    const contentWidth = pageWidth - MARGIN * 2;
+
+    let page;
+    let y;
+    let pagesAdded = 0;
+
+    const addPage = async (continued) => {
+        page = pdfDoc.addPage([pageWidth, pageHeight]);
+        pagesAdded++;
+        y = pageHeight - MARGIN;
+        await heading(continued ? 'Certificate of Completion (continued)' : 'Certificate of Completion', 18);
+        await write(`Document ID ${document._id}`, { size: 9, color: MUTED_COLOR });
+        y -= 8;
+    };
+
+    // Start a new page unless `height` points still fit above the bottom margin
+    const ensureSpace = async (height) => {
+        if (y - height < MARGIN) await addPage(true);
+    };
+
+    // Draw one line of text at the cursor (or at x), switching fonts per glyph
+    const drawLine = async (text, { x = MARGIN, size = 10, fontName, color = TEXT_COLOR } = {}) => {
+        let offsetX = x;
+        for (const run of await fonts.layoutText(text, fontName)) {
+            page.drawText(run.text, { x: offsetX, y, font: run.font, size, color });
+            offsetX += run.font.widthOfTextAtSize(run.text, size);
+        }
+    };
+
+    // Wrapped paragraph at the cursor; moves the cursor below it
+    const write = async (text, { x = MARGIN, width = contentWidth, size = 10, fontName, color } = {}) => {
+        await fonts.layoutText(text, fontName);
+        const { lines, lineHeight } = layoutTextBox(text, { fontSize: size, multiline: true },
+            { width, height: Infinity }, (str, fontSize) => fonts.measureText(str, fontName, fontSize));
+
+        for (const line of lines) {
+            await ensureSpace(lineHeight);
+            y -= lineHeight;
+            await drawLine(line.text, { x, size, fontName, color });
+        }
+    };
+
+    const heading = async (text, size = 13) => {
+        y -= size * 1.4;
+        await drawLine(text, { size, fontName: 'Helvetica' });
+        y -= 6;
+    };
+
+    const rule = () => {
+        page.drawLine({
+            start: { x: MARGIN, y },
+            end: { x: pageWidth - MARGIN, y },
+            thickness: 0.5,
+            color: RULE_COLOR
+        });
+        y -= 10;
+    };
+
+    // Label / value row, value wrapped in the right-hand column
+    const labelWidth = Math.min(150, contentWidth * 0.35);
+    const row = async (label, value, fontName) => {
+        await ensureSpace(14);
+        const top = y;
+        await write(label, { width: labelWidth, size: 9, color: MUTED_COLOR });
+        y = top;
+        await write(String(value ?? '-'), { x: MARGIN + labelWidth, width: contentWidth - labelWidth, size: 9, fontName });
+        y -= 4;
+    };
+
+    await addPage(false);
+
+    // 1. Summary
+    await heading('Summary');
+    rule();
+    await row('Document', document.originalFileName);
+    await row('Document ID', String(document._id), 'Courier');
+    await row('Pages', document.pdfMetadata?.pageCount);
+    await row('Completed', completedAt.toISOString());
+    await row('Original SHA-256', originalHash, 'Courier');
+    await row('Signed SHA-256', signedHash, 'Courier');
+    await write('The signed hash covers the document pages before this certificate was appended.',
+        { size: 8, color: MUTED_COLOR });
+    y -= 10;
+
+    // 2. Signature thumbnails, laid out in a grid
+    if (signatures.length > 0) {
+        await ensureSpace(60 + THUMBNAIL.height);
+        await heading('Signatures');
+        rule();
+
+        const perRow = Math.max(1, Math.floor((contentWidth + THUMBNAIL.gap) / (THUMBNAIL.width + THUMBNAIL.gap)));
+        const cellHeight = THUMBNAIL.height + THUMBNAIL.captionHeight;
+
+        for (let i = 0; i < signatures.length; i += perRow) {
+            await ensureSpace(cellHeight);
+            const rowTop = y;
+
+            for (const [column, field] of signatures.slice(i, i + perRow).entries()) {
+                const x = MARGIN + column * (THUMBNAIL.width + THUMBNAIL.gap);
+                const boxBottom = rowTop - THUMBNAIL.height;
+
+                page.drawRectangle({
+                    x, y: boxBottom, width: THUMBNAIL.width, height: THUMBNAIL.height,
+                    borderColor: RULE_COLOR, borderWidth: 0.5
+                });
+
+                const image = await embedDataUrlImage(pdfDoc, field.value);
+                const fit = containImageInBox(image.width, image.height, THUMBNAIL.width - 8, THUMBNAIL.height - 8);
+                page.drawImage(image, {
+                    x: x + 4 + fit.offsetX,
+                    y: boxBottom + 4 + fit.offsetY,
+                    width: fit.width,
+                    height: fit.height
+                });
+
+                y = boxBottom - 11;
+                await drawLine(truncate(field.label || field.fieldType, 30), { x, size: 8 });
+                y -= 10;
+                const signedAt = field.signedAt ? field.signedAt.toISOString() : '-';
+                await drawLine(`${signedAt}  ${field.signedByIP || ''}`, { x, size: 7, color: MUTED_COLOR });
+            }
+
+            y = rowTop - cellHeight - 6;
+        }
+        y -= 4;
+    }
+
+    // 3. Audit trail, one block per event
+    await ensureSpace(60);
+    await heading('Audit Trail');
+    rule();
+
+    for (const log of auditLogs) {
+        await ensureSpace(40);
+        const by = log.performedBy || {};
+        await write(`${by.timestamp ? by.timestamp.toISOString() : '-'}   ${log.action}`, { size: 9, fontName: 'Helvetica' });
+        await write(`${by.email ? `User: ${by.email}   ` : ''}IP: ${by.ip || '-'}`, { size: 8, color: MUTED_COLOR });
+        await write(`User agent: ${by.userAgent || '-'}`, { size: 8, color: MUTED_COLOR });
+        if (log.documentHashAfter) {
+            await write(`Document hash: ${log.documentHashAfter}`, { size: 7, fontName: 'Courier', color: MUTED_COLOR });
+        }
+        y -= 6;
+    }
+
+    return pagesAdded;
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+module.exports = { appendCompletionCertificate };
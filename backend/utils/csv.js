@@ -0,0 +1,54 @@
+/**
+ * Minimal RFC 4180 CSV parser: comma separated, double-quoted cells may
+ * contain commas, newlines and "" escapes. CRLF and LF line endings.
+ *
+ * @param {string} text - CSV text (a leading BOM is ignored)
+ * @returns {Array<Array<string>>} - Rows of cells, blank lines skipped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted cell');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(c => c.trim() !== ''));
+}
+
+module.exports = { parseCsv };
@@ -0,0 +1,137 @@
+/**
+ * DOCUMENT DOWNLOADS
+ *
+ * Owners download a document's PDFs with their session
+ * (GET /api/documents/:id/file/:version), or ask for a signed URL that
+ * works without one until it expires
+ * (GET /api/downloads/:documentId/:version?expires=...&signature=...).
+ * The signature is an HMAC-SHA256 over the document, version and expiry,
+ * so a URL can neither be pointed at another file nor kept alive longer.
+ * Downloads are served as attachments named after the uploaded file and
+ * every one is recorded in the audit log as 'downloaded' (previews with
+ * `inline: true` in its details).
+ */
+const crypto = require('crypto');
+const path = require('path');
+const AuditLog = require('../models/AuditLog');
+const { sendFile } = require('./storage');
+const { getDocumentKey } = require('./encryption');
+const { getActor } = require('./auth');
+
+const DEFAULT_TTL_SECONDS = Number(process.env.DOWNLOAD_URL_TTL_SECONDS) || 300;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Document path holding each downloadable version, and the name suffix it is downloaded with
+const FILE_VERSIONS = {
+    original: { key: 'originalFileUrl', suffix: '' },
+    signed: { key: 'signedFileUrl', suffix: ' (signed)' },
+    form: { key: 'formFileUrl', suffix: ' (form)' }
+};
+
+// Without a secret, URLs stop working when the server restarts
+const SECRET = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+if (!SECRET) {
+    console.warn('⚠️  DOWNLOAD_URL_SECRET is not set: using a random secret, download URLs end when the server restarts');
+}
+// Own key, so a download signature can never double as anything else signed with JWT_SECRET
+const SIGNING_KEY = crypto.createHmac('sha256', SECRET || crypto.randomBytes(32)).update('download-url').digest();
+
+function sign(documentId, version, expires) {
+    return crypto.createHmac('sha256', SIGNING_KEY)
+        .update(`${documentId}:${version}:${expires}`)
+        .digest('base64url');
+}
+
+/**
+ * Signed URL for one of a document's PDFs
+ *
+ * @param {Object} document - Document
+ * @param {string} version - 'original' | 'signed' | 'form'
+ * @param {number} expiresIn - Lifetime in seconds (default
+ *   DOWNLOAD_URL_TTL_SECONDS or 300, at most 7 days)
+ * @returns {Object} - { url, expiresAt }; url is a path on this server
+ */
+function createDownloadUrl(document, version, expiresIn = DEFAULT_TTL_SECONDS) {
+    const seconds = Math.min(Math.max(Number(expiresIn) || DEFAULT_TTL_SECONDS, 1), MAX_TTL_SECONDS);
+    const expires = Math.floor(Date.now() / 1000) + seconds;
+    const signature = sign(document._id, version, expires);
+
+    return {
+        url: `/api/downloads/${document._id}/${version}?expires=${expires}&signature=${signature}`,
+        expiresAt: new Date(expires * 1000)
+    };
+}
+
+/**
+ * Check a signed URL's parameters
+ *
+ * @returns {boolean} - True if they were signed here and have not expired
+ */
+function verifyDownloadUrl(documentId, version, expires, signature) {
+    if (!FILE_VERSIONS[version] || !/^\d+$/.test(expires || '') || typeof signature !== 'string') {
+        return false;
+    }
+    if (Number(expires) * 1000 <= Date.now()) return false;
+
+    const expected = Buffer.from(sign(documentId, version, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Name a version is downloaded as, e.g. 'contract (signed).pdf'
+ */
+function downloadFileName(document, version) {
+    const { name, ext } = path.parse(document.originalFileName);
+    return `${name}${FILE_VERSIONS[version].suffix}${ext || '.pdf'}`;
+}
+
+/**
+ * Content-Disposition header with a plain-ASCII fallback name and the
+ * exact name in RFC 5987 form
+ */
+function contentDisposition(type, fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName)
+        .replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Send one of a document's PDFs (404 if the version has no file)
+ *
+ * @param {Object} req - Express request, for the audit entry
+ * @param {Object} res - Express response
+ * @param {Object} document - Document
+ * @param {string} version - 'original' | 'signed' | 'form'
+ * @param {Object} options - {
+ *   via: 'session' | 'signed_url' (recorded in the audit entry),
+ *   inline: boolean (shown in the browser, e.g. by the editor's preview)
+ * }
+ */
+async function sendDocumentFile(req, res, document, version, { via, inline = false }) {
+    const fileUrl = document[FILE_VERSIONS[version].key];
+    if (!fileUrl) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Recorded once the stored file is found, before any byte goes out
+    const fileName = downloadFileName(document, version);
+    await sendFile(res, fileUrl, await getDocumentKey(document), {
+        contentDisposition: contentDisposition(inline ? 'inline' : 'attachment', fileName),
+        beforeSend: () => AuditLog.create({
+            documentId: document._id,
+            action: 'downloaded',
+            performedBy: getActor(req),
+            details: { version, fileName, via, inline }
+        })
+    });
+}
+
+module.exports = {
+    FILE_VERSIONS,
+    createDownloadUrl,
+    verifyDownloadUrl,
+    downloadFileName,
+    sendDocumentFile
+};
@@ -0,0 +1,97 @@
+/**
+ * EMAIL TEMPLATES
+ *
+ * Each template turns the same data object into a subject, a plain text body
+ * and an HTML body:
+ *   documentName, recipientName, senderName,
+ *   url, expiresAt   (sign_request, reminder: the signing link)
+ *   message          (sign_request, reminder: note from the sender)
+ *   declinedBy, reason (declined)
+ */
+
+const TEMPLATES = {
+    sign_request: {
+        subject: d => `${d.senderName} sent you "${d.documentName}" to sign`,
+        paragraphs: d => [
+            `${d.senderName} asked you to sign "${d.documentName}".`,
+            d.message && `“${d.message}”`,
+            `The link below works until ${formatDate(d.expiresAt)}.`
+        ],
+        action: 'Review and sign'
+    },
+    reminder: {
+        subject: d => `Reminder: "${d.documentName}" is waiting for your signature`,
+        paragraphs: d => [
+            `${d.senderName} is still waiting for you to sign "${d.documentName}".`,
+            d.message && `“${d.message}”`,
+            `This is a new link; earlier links no longer work. It works until ${formatDate(d.expiresAt)}.`
+        ],
+        action: 'Review and sign'
+    },
+    completed: {
+        subject: d => `"${d.documentName}" is complete`,
+        paragraphs: d => [
+            `Everyone has signed "${d.documentName}".`,
+            'The signed PDF is attached to this email. Keep it for your records.'
+        ]
+    },
+    declined: {
+        subject: d => `${d.declinedBy} declined to sign "${d.documentName}"`,
+        paragraphs: d => [
+            `${d.declinedBy} declined to sign "${d.documentName}", so signing has stopped.`,
+            d.reason && `Reason given: “${d.reason}”`
+        ]
+    }
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Render a template
+ *
+ * @param {string} name - One of TEMPLATE_NAMES
+ * @param {Object} data - See above
+ * @returns {Object} - { subject, text, html }
+ */
+function renderEmail(name, data) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const paragraphs = template.paragraphs(data).filter(Boolean);
+    const greeting = `Hello ${data.recipientName || ''},`.replace(' ,', ',');
+    const action = template.action && data.url ? { label: template.action, url: data.url } : null;
+
+    const text = [
+        greeting,
+        ...paragraphs,
+        action && `${action.label}: ${action.url}`
+    ].filter(Boolean).join('\n\n') + '\n';
+
+    const html = [
+        '<div style="font-family: Arial, sans-serif; font-size: 14px; color: #1F2937; max-width: 560px;">',
+        `<p>${escapeHtml(greeting)}</p>`,
+        ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+        action && `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 20px; ` +
+            'background: #7C3AED; color: #FFFFFF; border-radius: 6px; text-decoration: none;">' +
+            `${escapeHtml(action.label)}</a></p>`,
+        '</div>'
+    ].filter(Boolean).join('\n');
+
+    return { subject: template.subject(data), text, html };
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = { TEMPLATE_NAMES, renderEmail };
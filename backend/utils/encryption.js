@@ -0,0 +1,250 @@
+/**
+ * ENCRYPTION AT REST
+ *
+ * Envelope encryption with AES-256-GCM: every document gets its own random
+ * data key, which encrypts its stored PDFs and its field values (signature
+ * images, typed text). Only the data key wrapped by a master key is kept,
+ * in Document.encryption (Template.encryption for template copies).
+ *
+ * Master keys come from ENCRYPTION_KEYS, "id:base64key,id2:base64key" with
+ * 32-byte keys; the first one wraps new data keys, the others are only used
+ * to unwrap. To rotate, put a new key first and run `npm run rotate-keys`
+ * (scripts/rotateEncryptionKeys.js), which re-wraps every data key under it;
+ * the files and values themselves are not touched.
+ *
+ * Without ENCRYPTION_KEYS nothing is encrypted. Files and values stored
+ * before encryption was enabled stay readable as they are.
+ */
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const Document = require('../models/Document');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// Encrypted files: MAGIC, iv, ciphertext, tag (last, so files can be encrypted as a stream)
+const MAGIC = Buffer.from('SENC\x01', 'latin1');
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH;
+const CACHE_SIZE = 1000;
+
+const masterKeys = parseMasterKeys(process.env.ENCRYPTION_KEYS);
+const currentKeyId = masterKeys.keys().next().value || null;
+
+if (!currentKeyId) {
+    console.warn('⚠️  ENCRYPTION_KEYS not set: stored PDFs and field values are not encrypted');
+}
+
+// Unwrapped data keys by document id (rotation re-wraps, the data key stays)
+const documentKeys = new Map();
+
+function parseMasterKeys(value) {
+    const keys = new Map();
+    for (const entry of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator).trim();
+        const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+        if (separator < 1 || key.length !== 32) {
+            throw new Error('ENCRYPTION_KEYS entries must be "id:<32 bytes, base64>"');
+        }
+        keys.set(id, key);
+    }
+    return keys;
+}
+
+function isEncryptionEnabled() {
+    return currentKeyId !== null;
+}
+
+function getCurrentKeyId() {
+    return currentKeyId;
+}
+
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    return Buffer.concat([iv, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function decrypt(key, data) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+}
+
+function getMasterKey(keyId) {
+    const key = masterKeys.get(keyId);
+    if (!key) {
+        throw new Error(`Encryption key "${keyId}" is not in ENCRYPTION_KEYS`);
+    }
+    return key;
+}
+
+/**
+ * New data key, wrapped by the current master key
+ *
+ * @returns {Object|undefined} - { keyId, wrappedKey } to store, or undefined
+ *   when encryption is off
+ */
+function createEnvelope() {
+    if (!isEncryptionEnabled()) return undefined;
+    const dataKey = crypto.randomBytes(32);
+    return { keyId: currentKeyId, wrappedKey: encrypt(getMasterKey(currentKeyId), dataKey).toString('base64') };
+}
+
+/**
+ * Data key of an envelope
+ *
+ * @param {Object} envelope - { keyId, wrappedKey }
+ * @returns {Buffer|null} - null without an envelope
+ */
+function openEnvelope(envelope) {
+    if (!envelope?.wrappedKey) return null;
+    return decrypt(getMasterKey(envelope.keyId), Buffer.from(envelope.wrappedKey, 'base64'));
+}
+
+/**
+ * The same data key wrapped by the current master key
+ *
+ * @param {Object} envelope - { keyId, wrappedKey }
+ * @returns {Object} - { keyId, wrappedKey }
+ */
+function rewrapEnvelope(envelope) {
+    const dataKey = openEnvelope(envelope);
+    return { keyId: currentKeyId, wrappedKey: encrypt(getMasterKey(currentKeyId), dataKey).toString('base64') };
+}
+
+/**
+ * Data key of a document, optionally giving it one first
+ *
+ * Documents from before encryption was enabled have no envelope; with
+ * `create` they get one (once, even with concurrent callers).
+ *
+ * @param {Object|ObjectId} document - Document, or its id
+ * @param {Object} options - { create: boolean }
+ * @returns {Promise<Buffer|null>} - null if the document has no key (and
+ *   none was created)
+ */
+async function getDocumentKey(document, { create = false } = {}) {
+    const documentId = String(document?._id ?? document);
+    if (documentKeys.has(documentId)) return documentKeys.get(documentId);
+
+    // A loaded document carries its envelope; an id needs a lookup
+    let envelope = document instanceof Document ? document.encryption : await findEnvelope(documentId);
+
+    if (!envelope?.wrappedKey && create && isEncryptionEnabled()) {
+        await Document.updateOne(
+            { _id: documentId, 'encryption.wrappedKey': { $exists: false } },
+            { $set: { encryption: createEnvelope() } }
+        );
+        envelope = await findEnvelope(documentId);
+    }
+
+    const dataKey = openEnvelope(envelope);
+    if (dataKey) {
+        if (documentKeys.size >= CACHE_SIZE) {
+            documentKeys.delete(documentKeys.keys().next().value);
+        }
+        documentKeys.set(documentId, dataKey);
+    }
+    return dataKey;
+}
+
+async function findEnvelope(documentId) {
+    const document = await Document.findById(documentId).select('encryption').lean();
+    return document?.encryption;
+}
+
+/**
+ * Encrypt file contents (returned as is without a data key)
+ *
+ * @param {Buffer} buffer - Plaintext
+ * @param {Buffer|null} dataKey
+ * @returns {Buffer}
+ */
+function encryptBuffer(buffer, dataKey) {
+    if (!dataKey) return buffer;
+    return Buffer.concat([MAGIC, encrypt(dataKey, buffer)]);
+}
+
+/**
+ * Decrypt file contents; files stored unencrypted are returned as they are
+ *
+ * @param {Buffer} buffer - Stored contents
+ * @param {Buffer|null} dataKey
+ * @returns {Buffer}
+ */
+function decryptBuffer(buffer, dataKey) {
+    if (!isEncryptedBuffer(buffer)) return buffer;
+    if (!dataKey) {
+        throw new Error('File is encrypted but no data key was given');
+    }
+    return decrypt(dataKey, buffer.subarray(MAGIC.length));
+}
+
+function isEncryptedBuffer(buffer) {
+    return buffer.length >= HEADER_LENGTH + TAG_LENGTH && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Transform stream encrypting into the same format as encryptBuffer
+ *
+ * @param {Buffer} dataKey
+ * @returns {Transform}
+ */
+function createEncryptStream(dataKey) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    let started = false;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const header = started ? [] : [MAGIC, iv];
+            started = true;
+            callback(null, Buffer.concat([...header, cipher.update(chunk)]));
+        },
+        flush(callback) {
+            const header = started ? [] : [MAGIC, iv];
+            callback(null, Buffer.concat([...header, cipher.final(), cipher.getAuthTag()]));
+        }
+    });
+}
+
+/**
+ * Encrypt a field value for storage
+ *
+ * @param {*} value - Any JSON value
+ * @param {Buffer} dataKey
+ * @returns {Object} - { __encrypted: base64 }
+ */
+function sealValue(value, dataKey) {
+    return { __encrypted: encrypt(dataKey, Buffer.from(JSON.stringify(value))).toString('base64') };
+}
+
+/**
+ * The value sealValue encrypted
+ */
+function openValue(sealed, dataKey) {
+    if (!dataKey) {
+        throw new Error('Value is encrypted but no data key was given');
+    }
+    return JSON.parse(decrypt(dataKey, Buffer.from(sealed.__encrypted, 'base64')).toString());
+}
+
+function isSealedValue(value) {
+    return value !== null && typeof value === 'object' && typeof value.__encrypted === 'string';
+}
+
+module.exports = {
+    isEncryptionEnabled,
+    getCurrentKeyId,
+    createEnvelope,
+    openEnvelope,
+    rewrapEnvelope,
+    getDocumentKey,
+    encryptBuffer,
+    decryptBuffer,
+    createEncryptStream,
+    sealValue,
+    openValue,
+    isSealedValue
+};
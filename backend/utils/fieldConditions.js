@@ -0,0 +1,128 @@
+/**
+ * CONDITIONAL FIELDS
+ *
+ * Field.condition ties a field to another field of the same document:
+ *   { fieldId, operator: 'checked' | 'unchecked' | 'equals' | 'not_equals', value, action }
+ * - action 'show': the field only exists while the condition holds. Hidden
+ *   fields are not required, take no values and are not drawn when signing.
+ * - action 'require': the field is always shown, but only required while
+ *   the condition holds (Field.required is ignored).
+ * A hidden field counts as empty for conditions on it, so chains collapse.
+ * Auto-filled fields (see autoFields.js) are never required: nobody fills them in.
+ * frontend/src/utils/fieldConditions.js mirrors resolveFieldStates.
+ */
+
+const { isAutoField } = require('./autoFields');
+
+const OPERATORS = ['checked', 'unchecked', 'equals', 'not_equals'];
+const ACTIONS = ['show', 'require'];
+
+// Field types each operator can look at
+const OPERATOR_FIELD_TYPES = {
+    checked: ['checkbox', 'radio'],
+    unchecked: ['checkbox', 'radio'],
+    equals: ['text', 'date', 'dropdown', 'name', 'email', 'number'],
+    not_equals: ['text', 'date', 'dropdown', 'name', 'email', 'number']
+};
+
+/**
+ * Whether a condition holds for the controlling field's value
+ *
+ * @param {Object} condition - Field.condition
+ * @param {*} value - Controlling field's value (undefined when hidden)
+ * @returns {boolean}
+ */
+function conditionHolds(condition, value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    switch (condition.operator) {
+        case 'checked': return value === true;
+        case 'unchecked': return value !== true;
+        case 'equals': return text === (condition.value || '').trim();
+        case 'not_equals': return text !== (condition.value || '').trim();
+        default: return true;
+    }
+}
+
+/**
+ * Visibility and effective required flag of every field
+ *
+ * @param {Array} fields - All fields of a document
+ * @returns {Map<string, Object>} - Field id -> { visible, required }
+ */
+function resolveFieldStates(fields) {
+    const byId = new Map(fields.map(field => [String(field._id), field]));
+    const states = new Map();
+    const resolving = new Set();
+
+    const resolve = (field) => {
+        const id = String(field._id);
+        if (states.has(id)) return states.get(id);
+
+        const condition = field.condition;
+        const controller = condition?.fieldId && byId.get(String(condition.fieldId));
+        const requirable = !!field.required && !isAutoField(field);
+
+        // No condition, a deleted controller or a cycle: the field is unconditional
+        if (!controller || resolving.has(id)) {
+            const state = { visible: true, required: requirable };
+            if (!controller) states.set(id, state);
+            return state;
+        }
+
+        resolving.add(id);
+        const controllerVisible = resolve(controller).visible;
+        resolving.delete(id);
+
+        const holds = conditionHolds(condition, controllerVisible ? controller.value : undefined);
+        const state = condition.action === 'require'
+            ? { visible: true, required: holds && !isAutoField(field) }
+            : { visible: holds, required: holds && requirable };
+
+        states.set(id, state);
+        return state;
+    };
+
+    fields.forEach(resolve);
+    return states;
+}
+
+/**
+ * Check a condition before it is saved on a field
+ *
+ * @param {Object} [condition] - Field.condition from a request
+ * @param {Array} fields - Fields of the document
+ * @param {string} [fieldId] - Field the condition is for (unset for new fields)
+ * @returns {string|null} - Error message, or null when usable
+ */
+function checkCondition(condition, fields, fieldId) {
+    if (!condition) return null;
+
+    const { fieldId: controllerId, operator, action = 'show' } = condition;
+    if (!OPERATORS.includes(operator)) {
+        return `Condition operator must be one of: ${OPERATORS.join(', ')}`;
+    }
+    if (!ACTIONS.includes(action)) {
+        return `Condition action must be one of: ${ACTIONS.join(', ')}`;
+    }
+
+    const byId = new Map(fields.map(field => [String(field._id), field]));
+    const controller = byId.get(String(controllerId));
+    if (!controller) {
+        return 'Condition field not found in this document';
+    }
+    if (!OPERATOR_FIELD_TYPES[operator].includes(controller.fieldType)) {
+        return `"${operator}" needs a ${OPERATOR_FIELD_TYPES[operator].join(' or ')} field`;
+    }
+
+    // Following the chain from the controller must not lead back here
+    for (let current = controller, steps = 0; current && steps <= fields.length; steps++) {
+        if (fieldId && String(current._id) === String(fieldId)) {
+            return 'Conditions cannot depend on themselves';
+        }
+        current = current.condition?.fieldId && byId.get(String(current.condition.fieldId));
+    }
+
+    return null;
+}
+
+module.exports = { conditionHolds, resolveFieldStates, checkCondition };
@@ -0,0 +1,217 @@
+/**
+ * FONT REGISTRY
+ *
+ * pdf-lib's standard fonts only cover WinAnsi, so names like "Zoë", "Дмитрий"
+ * or "王芳" cannot be drawn with them. This registry embeds (subsetted)
+ * TTF/OTF fonts shipped in backend/fonts and picks a font per character:
+ * the requested font first, then each fallback font, so one string can mix
+ * scripts. DejaVu covers Latin, Greek and Cyrillic; subsets of Noto Sans SC
+ * (Han characters of GB 2312, JIS X 0208 and Big5 level 1, kana) and Noto
+ * Sans KR (KS X 1001 Hangul) cover CJK names (see fonts/NotoSans-LICENSE.txt).
+ * Characters no font has are drawn as '?' and reported by
+ * getReplacedCharacters().
+ *
+ * Any .ttf/.otf dropped into backend/fonts is registered under its file name
+ * (e.g. fonts/NotoSansSC.otf -> "NotoSansSC").
+ */
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const { StandardFonts, StandardFontEmbedder } = require('pdf-lib');
+
+const FONTS_DIR = path.join(__dirname, '../fonts');
+
+// Built-in PDF fonts (no embedding needed, WinAnsi only)
+const STANDARD_FONTS = {
+    Helvetica: StandardFonts.Helvetica,
+    'Times-Roman': StandardFonts.TimesRoman,
+    Courier: StandardFonts.Courier
+};
+
+const DEFAULT_FONT = process.env.DEFAULT_FONT || 'Helvetica';
+const REPLACEMENT_CHAR = '?';
+
+// Parsed font files, shared across requests: name -> { bytes, font }
+let fontFiles = null;
+
+function getFontFiles() {
+    if (!fontFiles) {
+        fontFiles = {};
+        const files = fs.existsSync(FONTS_DIR) ? fs.readdirSync(FONTS_DIR).sort() : [];
+        for (const file of files) {
+            if (!/\.(ttf|otf)$/i.test(file)) continue;
+            const bytes = fs.readFileSync(path.join(FONTS_DIR, file));
+            fontFiles[path.parse(file).name] = { bytes, font: fontkit.create(bytes) };
+        }
+    }
+    return fontFiles;
+}
+
+/**
+ * Names of all fonts that fields and documents may select
+ * @returns {string[]}
+ */
+function getAvailableFonts() {
+    return [...Object.keys(STANDARD_FONTS), ...Object.keys(getFontFiles())];
+}
+
+/**
+ * @param {string} name - Font name
+ * @returns {boolean} - True if the font is registered
+ */
+function isAvailableFont(name) {
+    return getAvailableFonts().includes(name);
+}
+
+/**
+ * Fonts tried, in order, for characters the selected font lacks.
+ * Configurable via FALLBACK_FONTS (comma-separated), defaults to every
+ * shipped font file.
+ */
+function getFallbackFonts() {
+    if (process.env.FALLBACK_FONTS) {
+        return process.env.FALLBACK_FONTS.split(',').map(name => name.trim()).filter(isAvailableFont);
+    }
+    return Object.keys(getFontFiles());
+}
+
+function supportsCodePoint(name, codePoint) {
+    if (STANDARD_FONTS[name]) {
+        return StandardFontEmbedder.for(STANDARD_FONTS[name]).encoding.canEncodeUnicodeCodePoint(codePoint);
+    }
+    const file = getFontFiles()[name];
+    return !!file && file.font.hasGlyphForCodePoint(codePoint);
+}
+
+/**
+ * Split text into runs that can each be drawn with a single font, trying the
+ * preferred font first and then each fallback per character
+ *
+ * @param {string} text - Text to split (line breaks become spaces)
+ * @param {string} [fontName] - Preferred font (field or document setting)
+ * @param {Function} [onMissing] - Called with each code point no font covers
+ * @returns {Array<{fontName: string, text: string}>}
+ */
+function splitRuns(text, fontName, onMissing) {
+    const primary = isAvailableFont(fontName) ? fontName : DEFAULT_FONT;
+    const chain = [...new Set([primary, ...getFallbackFonts()])];
+
+    const runs = [];
+    for (const char of String(text ?? '').replace(/[\r\n\t]+/g, ' ')) {
+        const codePoint = char.codePointAt(0);
+        let name = chain.find(candidate => supportsCodePoint(candidate, codePoint));
+        let glyph = char;
+
+        if (!name) {
+            onMissing?.(codePoint);
+            name = primary;
+            glyph = REPLACEMENT_CHAR;
+        }
+
+        const last = runs[runs.length - 1];
+        if (last && last.fontName === name) {
+            last.text += glyph;
+        } else {
+            runs.push({ fontName: name, text: glyph });
+        }
+    }
+    return runs;
+}
+
+/**
+ * Pick ONE font able to draw the whole text: the preferred font if it covers
+ * every character, else the first fallback that does. Needed where per-glyph
+ * switching is impossible, e.g. a fillable form field's appearance.
+ *
+ * @param {string} text - Text the font must cover
+ * @param {string} [fontName] - Preferred font
+ * @returns {string} - Font name (the preferred font if none covers everything)
+ */
+function pickFont(text, fontName) {
+    const primary = isAvailableFont(fontName) ? fontName : DEFAULT_FONT;
+    const codePoints = Array.from(String(text ?? '')).map(char => char.codePointAt(0));
+
+    return [primary, ...getFallbackFonts()]
+        .find(name => codePoints.every(codePoint => supportsCodePoint(name, codePoint))) || primary;
+}
+
+/**
+ * Create a registry bound to one PDF. Fonts are embedded lazily, only once a
+ * character actually needs them.
+ *
+ * @param {PDFDocument} pdfDoc - Document fonts are embedded into
+ * @param {Object} [options]
+ * @param {boolean} [options.subset=true] - Subset custom fonts on save. Turn
+ *   off for fillable fields, where viewers need every glyph to edit the value.
+ * @returns {Object} - { getFont, layoutText, measureText, getReplacedCharacters }
+ */
+function createFontRegistry(pdfDoc, { subset = true } = {}) {
+    pdfDoc.registerFontkit(fontkit);
+    const embedded = new Map();
+    const replaced = new Set();
+
+    /**
+     * Embed (once) and return a font by registry name
+     * @param {string} name - Font name
+     * @returns {Promise<PDFFont>}
+     */
+    async function getFont(name) {
+        if (!embedded.has(name)) {
+            const font = STANDARD_FONTS[name]
+                ? pdfDoc.embedStandardFont(STANDARD_FONTS[name])
+                : await pdfDoc.embedFont(getFontFiles()[name].bytes, { subset });
+            embedded.set(name, font);
+        }
+        return embedded.get(name);
+    }
+
+    /**
+     * Split text into font runs, embedding every font they need
+     *
+     * @param {string} text - Text to draw
+     * @param {string} [fontName] - Preferred font
+     * @returns {Promise<Array<{text: string, font: PDFFont}>>}
+     */
+    async function layoutText(text, fontName) {
+        const runs = splitRuns(text, fontName, (codePoint) => {
+            console.warn(`No font has a glyph for U+${codePoint.toString(16).toUpperCase()}, replacing`);
+            replaced.add(String.fromCodePoint(codePoint));
+        });
+
+        const laidOut = [];
+        for (const run of runs) {
+            laidOut.push({ text: run.text, font: await getFont(run.fontName) });
+        }
+        return laidOut;
+    }
+
+    /**
+     * Advance width of text, synchronously. Call layoutText() on the full
+     * value first so every font a substring can need is already embedded.
+     *
+     * @param {string} text - Text to measure
+     * @param {string} [fontName] - Preferred font
+     * @param {number} size - Font size in points
+     * @returns {number} - Width in points
+     */
+    function measureText(text, fontName, size) {
+        return splitRuns(text, fontName).reduce((width, run) => {
+            const font = embedded.get(run.fontName);
+            if (!font) throw new Error(`Font ${run.fontName} measured before it was embedded`);
+            return width + font.widthOfTextAtSize(run.text, size);
+        }, 0);
+    }
+
+    /**
+     * Characters laid out so far that no font could draw, which were
+     * replaced with '?'
+     * @returns {string[]}
+     */
+    function getReplacedCharacters() {
+        return [...replaced];
+    }
+
+    return { getFont, layoutText, measureText, getReplacedCharacters };
+}
+
+module.exports = { createFontRegistry, pickFont, getAvailableFonts, isAvailableFont, DEFAULT_FONT };
@@ -0,0 +1,131 @@
+/**
+ * ACROFORM IMPORT
+ *
+ * Many uploaded PDFs already contain form widgets. This converts each widget
+ * into a Field descriptor (type, label, required flag and normalized
+ * position) so the editor opens with the fields already placed.
+ */
+const {
+    PDFTextField,
+    PDFCheckBox,
+    PDFRadioGroup,
+    PDFSignature,
+    PDFDict,
+    PDFName,
+    PDFString,
+    PDFHexString,
+    PDFRawStream,
+    decodePDFRawStream
+} = require('pdf-lib');
+const { transformToNormalized, getPageGeometry } = require('./pdfUtils');
+
+/**
+ * Extract Field descriptors from a PDF's AcroForm
+ *
+ * @param {PDFDocument} pdfDoc - Loaded PDF
+ * @returns {Array<Object>} - [{ fieldType, label, required, acroFieldName, position }],
+ *   radio options also carry { radioGroup, optionValue }
+ */
+function extractFormFields(pdfDoc) {
+    const form = pdfDoc.getForm();
+    const pages = pdfDoc.getPages();
+    const descriptors = [];
+
+    for (const formField of form.getFields()) {
+        const fieldType = getFieldType(formField);
+        if (!fieldType) continue; // Buttons, dropdowns, list boxes: not supported yet
+
+        const name = formField.getName();
+        for (const widget of formField.acroField.getWidgets()) {
+            const pageIndex = findWidgetPage(pdfDoc, pages, widget);
+            if (pageIndex === -1) continue;
+
+            const rect = widget.getRectangle();
+            if (rect.width <= 0 || rect.height <= 0) continue; // Invisible widget
+
+            const { rotation, cropBox } = getPageGeometry(pages[pageIndex]);
+            const position = transformToNormalized(rect, cropBox.width, cropBox.height, {
+                rotation,
+                offsetX: cropBox.x,
+                offsetY: cropBox.y
+            });
+            if (position.widthPercent <= 0 || position.heightPercent <= 0) continue; // Off the visible page
+
+            // Radio options share the group name; tell them apart by export value
+            const onValue = fieldType === 'radio' ? widget.getOnValue()?.decodeText() : null;
+
+            descriptors.push({
+                fieldType,
+                label: onValue ? `${name}: ${onValue}` : name,
+                required: formField.isRequired(),
+                acroFieldName: name,
+                ...(fieldType === 'radio' && { radioGroup: name, optionValue: onValue || undefined }),
+                position: { pageNumber: pageIndex + 1, ...position }
+            });
+        }
+    }
+
+    return descriptors;
+}
+
+/**
+ * Map a pdf-lib form field to a Field.fieldType
+ */
+function getFieldType(formField) {
+    if (formField instanceof PDFTextField) {
+        return hasDateFormat(formField) ? 'date' : 'text';
+    }
+    if (formField instanceof PDFCheckBox) return 'checkbox';
+    if (formField instanceof PDFRadioGroup) return 'radio';
+    if (formField instanceof PDFSignature) return 'signature';
+    return null;
+}
+
+/**
+ * Acrobat marks date fields with an AFDate_FormatEx format action
+ */
+function hasDateFormat(textField) {
+    const additionalActions = textField.acroField.dict.lookupMaybe(PDFName.of('AA'), PDFDict);
+    const formatAction = additionalActions?.lookupMaybe(PDFName.of('F'), PDFDict);
+    const script = formatAction?.lookup(PDFName.of('JS'));
+
+    let source = '';
+    if (script instanceof PDFString || script instanceof PDFHexString) {
+        source = script.decodeText();
+    } else if (script instanceof PDFRawStream) {
+        source = Buffer.from(decodePDFRawStream(script).decode()).toString('latin1');
+    }
+    return /AFDate_(Format|Keystroke)/.test(source);
+}
+
+/**
+ * Index of the page a widget sits on: its /P entry if present, otherwise the
+ * page whose /Annots references it
+ */
+function findWidgetPage(pdfDoc, pages, widget) {
+    const pageRef = widget.P();
+    if (pageRef) {
+        const index = pages.findIndex(page => page.ref === pageRef);
+        if (index !== -1) return index;
+    }
+
+    const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+    return pages.findIndex(page => page.node.Annots()?.asArray().includes(widgetRef));
+}
+
+/**
+ * Remove the original form fields that were imported as Field records, so
+ * flattened values or re-created widgets do not sit under stale ones
+ *
+ * @param {PDFDocument} pdfDoc - Loaded PDF
+ * @param {string[]} names - Field.acroFieldName values
+ */
+function removeImportedFormFields(pdfDoc, names) {
+    const form = pdfDoc.getForm();
+    for (const name of new Set(names.filter(Boolean))) {
+        const formField = form.getFieldMaybe(name);
+        if (formField) form.removeField(formField);
+    }
+}
+
+module.exports = { extractFormFields, removeImportedFormFields };
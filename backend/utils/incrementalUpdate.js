@@ -0,0 +1,187 @@
+/**
+ * PDF INCREMENTAL UPDATES
+ *
+ * pdfDoc.save() rewrites the whole file, so the uploaded bytes (and their
+ * originalHash) disappear from the output. An incremental update instead
+ * appends only the new and changed objects plus a cross-reference section
+ * pointing back (/Prev) to the previous one: the previous file stays an
+ * exact byte prefix of the result.
+ *
+ * Usage:
+ * 1. const { pdfDoc, snapshot } = await loadForIncrementalUpdate(bytes)
+ * 2. modify pdfDoc as usual
+ * 3. const updated = await saveIncremental(pdfDoc, bytes, snapshot)
+ *
+ * Sections stack: load the updated bytes again to append another one.
+ * (Reusing the same pdfDoc does not work: pdf-lib caches encoded streams
+ * and embedded fonts at the first save.)
+ */
+const crypto = require('crypto');
+const { PDFDocument, PDFCrossRefStream, PDFName, PDFNumber } = require('pdf-lib');
+
+/**
+ * Load a PDF and remember the state of its objects
+ *
+ * @param {Buffer} bytes - Current file
+ * @returns {Promise<Object>} - { pdfDoc, snapshot }
+ */
+async function loadForIncrementalUpdate(bytes) {
+    // Metadata updates on load would go unnoticed by the snapshot
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+
+    // pdf-lib drops object and xref streams while parsing, so it would hand
+    // out their object numbers again: reserve every number the file uses
+    const { size } = findLastXref(bytes);
+    pdfDoc.context.largestObjectNumber = Math.max(pdfDoc.context.largestObjectNumber, size - 1);
+
+    return { pdfDoc, snapshot: snapshotObjects(pdfDoc) };
+}
+
+/**
+ * Fingerprint every indirect object, to find what changed later
+ */
+function snapshotObjects(pdfDoc) {
+    const snapshot = new Map();
+    for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+        snapshot.set(ref.tag, { ref, digest: digestObject(object) });
+    }
+    return snapshot;
+}
+
+/**
+ * Append the changes made since the snapshot to the previous file bytes
+ *
+ * Field appearances are not regenerated (unlike save()): untouched form
+ * fields must stay untouched.
+ *
+ * @param {PDFDocument} pdfDoc - Modified document
+ * @param {Buffer} previousBytes - File the snapshot was taken from
+ * @param {Map} snapshot - From loadForIncrementalUpdate()
+ * @returns {Promise<Buffer>} - previousBytes followed by the update
+ */
+async function saveIncremental(pdfDoc, previousBytes, snapshot) {
+    await pdfDoc.flush();
+    const context = pdfDoc.context;
+
+    const changed = context.enumerateIndirectObjects()
+        .filter(([ref, object]) => snapshot.get(ref.tag)?.digest !== digestObject(object))
+        .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+    const deleted = [...snapshot.values()]
+        .filter(({ ref }) => !context.lookup(ref))
+        .map(({ ref }) => ref);
+
+    const { offset: previousXref, isStream } = findLastXref(previousBytes);
+
+    // The update starts on a fresh line after the previous %%EOF
+    const separator = previousBytes[previousBytes.length - 1] === 0x0a ? '' : '\n';
+    const chunks = [Buffer.from(separator, 'latin1')];
+    let offset = previousBytes.length + separator.length;
+    const offsets = new Map();
+
+    for (const [ref, object] of changed) {
+        offsets.set(ref, offset);
+        const body = serializeIndirectObject(ref, object);
+        chunks.push(body);
+        offset += body.length;
+    }
+
+    const trailer = {
+        Root: context.trailerInfo.Root,
+        Prev: PDFNumber.of(previousXref)
+    };
+    if (context.trailerInfo.Info) trailer.Info = context.trailerInfo.Info;
+    if (context.trailerInfo.ID) trailer.ID = context.trailerInfo.ID;
+
+    // Cross-reference entries, by object number
+    const entries = [
+        ...changed.map(([ref]) => ({ ref, offset: offsets.get(ref) })),
+        ...deleted.map(ref => ({ ref, deleted: true }))
+    ].sort((a, b) => a.ref.objectNumber - b.ref.objectNumber);
+
+    // Match the previous section's format: xref stream or classic table
+    const xrefOffset = offset;
+    if (isStream) {
+        const xrefRef = context.nextRef();
+        const xrefStream = PDFCrossRefStream.create(context.obj(trailer));
+        for (const entry of entries) {
+            if (entry.deleted) xrefStream.addDeletedEntry(entry.ref, 0);
+            else xrefStream.addUncompressedEntry(entry.ref, entry.offset);
+        }
+        xrefStream.addUncompressedEntry(xrefRef, xrefOffset);
+        xrefStream.dict.set(PDFName.of('Size'), PDFNumber.of(context.largestObjectNumber + 1));
+        chunks.push(serializeIndirectObject(xrefRef, xrefStream));
+    } else {
+        const trailerDict = context.obj({ ...trailer, Size: context.largestObjectNumber + 1 });
+        chunks.push(Buffer.from(`xref\n${formatSubsections(entries)}trailer\n${trailerDict}\n`, 'latin1'));
+    }
+    chunks.push(Buffer.from(`startxref\n${xrefOffset}\n%%EOF\n`, 'latin1'));
+
+    return Buffer.concat([previousBytes, ...chunks]);
+}
+
+/**
+ * The last cross-reference section: byte offset, whether it is a stream
+ * (PDF 1.5+) rather than a classic table, and its /Size (one past the
+ * highest object number in the file)
+ */
+function findLastXref(bytes) {
+    const tail = bytes.subarray(Math.max(0, bytes.length - 1024)).toString('latin1');
+    const match = tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+    if (!match) {
+        throw new Error('Cannot append an incremental update: no startxref found');
+    }
+    const offset = Number(match[1]);
+    const isStream = bytes.toString('latin1', offset, offset + 4) !== 'xref';
+
+    // Trailer dictionary, or the xref stream's own dictionary
+    const dictStart = isStream ? offset : bytes.indexOf('trailer', offset, 'latin1');
+    const size = bytes.toString('latin1', dictStart, dictStart + 4096).match(/\/Size\s+(\d+)/);
+    if (dictStart === -1 || !size) {
+        throw new Error('Cannot append an incremental update: no trailer /Size found');
+    }
+
+    return { offset, isStream, size: Number(size[1]) };
+}
+
+/**
+ * Classic xref subsections: one per run of consecutive object numbers,
+ * 20-byte lines
+ */
+function formatSubsections(entries) {
+    let output = '';
+    for (let i = 0; i < entries.length;) {
+        let end = i + 1;
+        while (end < entries.length && entries[end].ref.objectNumber === entries[end - 1].ref.objectNumber + 1) end++;
+
+        output += `${entries[i].ref.objectNumber} ${end - i}\n`;
+        for (const { ref, offset, deleted } of entries.slice(i, end)) {
+            output += deleted
+                ? `0000000000 ${pad(ref.generationNumber + 1, 5)} f\r\n`
+                : `${pad(offset, 10)} ${pad(ref.generationNumber, 5)} n\r\n`;
+        }
+        i = end;
+    }
+    return output;
+}
+
+function serializeIndirectObject(ref, object) {
+    const body = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(body, 0);
+    return Buffer.concat([
+        Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`, 'latin1'),
+        body,
+        Buffer.from('\nendobj\n', 'latin1')
+    ]);
+}
+
+function digestObject(object) {
+    const bytes = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(bytes, 0);
+    return crypto.createHash('sha1').update(bytes).digest('hex');
+}
+
+function pad(value, length) {
+    return String(value).padStart(length, '0');
+}
+
+module.exports = { loadForIncrementalUpdate, saveIncremental };
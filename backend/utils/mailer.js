@@ -0,0 +1,60 @@
+/**
+ * OUTGOING EMAIL
+ *
+ * One SMTP transport for the whole process, configured from the environment:
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for implicit TLS),
+ *   SMTP_USER / SMTP_PASS (optional), MAIL_FROM
+ * For development point it at a local catcher such as Mailpit or MailHog
+ * (SMTP_HOST=localhost, SMTP_PORT=1025). Without SMTP_HOST nothing is
+ * delivered: only the recipient and subject of each message are printed to the
+ * console; bodies carry live signing links, so they are printed too only with
+ * MAIL_LOG_BODY=1.
+ */
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Signature Engine <no-reply@localhost>';
+const LOG_BODY = process.env.MAIL_LOG_BODY === '1';
+
+let transport = null;
+
+if (!process.env.SMTP_HOST) {
+    console.warn('⚠️  SMTP_HOST is not set: emails are not sent, only their recipient and subject are logged');
+}
+
+function getTransport() {
+    if (transport) return transport;
+
+    transport = process.env.SMTP_HOST
+        ? nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        })
+        : nodemailer.createTransport({ jsonTransport: true });
+    return transport;
+}
+
+/**
+ * Send one message
+ *
+ * @param {Object} message - { to, subject, text, html, attachments }
+ *   (attachments: [{ filename, content: Buffer }])
+ * @returns {Promise<Object>} - { delivered: true, messageId }, or
+ *   { delivered: false, reason } when SMTP is not configured
+ */
+async function sendMail(message) {
+    const info = await getTransport().sendMail({ from: MAIL_FROM, ...message });
+
+    if (!process.env.SMTP_HOST) {
+        const attached = (message.attachments || []).map(a => a.filename).join(', ');
+        console.log(`✉️  To ${message.to}: ${message.subject}${attached ? ` [${attached}]` : ''}`);
+        if (LOG_BODY) console.log(message.text);
+        return { delivered: false, reason: 'SMTP_HOST is not set' };
+    }
+    return { delivered: true, messageId: info.messageId };
+}
+
+module.exports = { sendMail };
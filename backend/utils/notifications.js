@@ -0,0 +1,253 @@
+/**
+ * EMAIL NOTIFICATIONS
+ *
+ * - sign_request: POST /api/documents/:id/send emails each signer whose turn
+ *   it is a fresh signing link. In sequential documents the next signers
+ *   are emailed as soon as the earlier ones complete.
+ * - reminder: a new link for a signer who has not finished
+ * - completed: the signed PDF, to the owner and every recipient, once a
+ *   sent document is signed
+ * - declined: to the owner and the other emailed recipients
+ * Every message is recorded in the document's audit log as 'email_sent',
+ * 'email_failed' or 'email_skipped' (SMTP is not configured), which makes the
+ * audit log the sending history.
+ */
+const Document = require('../models/Document');
+const Field = require('../models/Field');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { sendMail } = require('./mailer');
+const { renderEmail } = require('./emailTemplates');
+const { createSigningLink } = require('./signingLinks');
+const { getRecipientProgress, getBlockingRecipients } = require('./recipients');
+const { downloadFileName } = require('./downloads');
+
+/**
+ * Send one templated email and record it in the audit log
+ *
+ * @param {Object} document - Document the email is about
+ * @param {Object} email - { template, to, recipientId, data, attachments }
+ * @param {Object} actor - performedBy of the audit entry (getActor(req))
+ * @returns {Promise<Object>} - { template, to, recipientId, status: 'sent' | 'failed' | 'skipped', error }
+ */
+async function sendNotification(document, { template, to, recipientId, data, attachments }, actor) {
+    const message = renderEmail(template, { documentName: document.originalFileName, ...data });
+    let status = 'sent';
+    let messageId;
+    let error;
+    try {
+        const result = await sendMail({ to, ...message, attachments });
+        if (result.delivered) {
+            messageId = result.messageId;
+        } else {
+            status = 'skipped';
+            error = result.reason;
+        }
+    } catch (err) {
+        status = 'failed';
+        error = err.message;
+    }
+
+    await AuditLog.create({
+        documentId: document._id,
+        action: `email_${status}`,
+        performedBy: actor,
+        details: {
+            template,
+            to,
+            recipientId,
+            subject: message.subject,
+            attachments: attachments?.map(a => a.filename),
+            messageId,
+            error
+        }
+    });
+
+    return { template, to, recipientId, status, error };
+}
+
+/**
+ * Name the emails are signed with
+ */
+async function getSenderName(document) {
+    const owner = document.ownerId && await User.findById(document.ownerId);
+    return owner?.name || owner?.email || 'Someone';
+}
+
+/**
+ * Email signers a new signing link
+ *
+ * Only signers whose turn it is (see getBlockingRecipients) are emailed,
+ * and reminders skip signers who completed their fields. Each gets a new
+ * link, which revokes their previous one. Sets recipients' notifiedAt and
+ * saves the document.
+ *
+ * With onlyNew each signer is claimed first by setting their notifiedAt only
+ * if it is still unset, in one update: of two concurrent callers only one
+ * emails them. The claim is released if the email is not sent.
+ *
+ * @param {Object} document - Document with recipients
+ * @param {Object} actor - performedBy of the audit entries
+ * @param {Object} options - {
+ *   template: 'sign_request' | 'reminder' (default 'sign_request'),
+ *   recipientIds: [ObjectId] (default: every signer),
+ *   onlyNew: boolean (skip signers already emailed),
+ *   message: string (note from the sender)
+ * }
+ * @returns {Promise<Array>} - sendNotification results
+ */
+async function sendSigningRequests(document, actor, { template = 'sign_request', recipientIds, onlyNew, message } = {}) {
+    const fields = await Field.find({ documentId: document._id });
+    const progress = getRecipientProgress(document, fields);
+
+    const due = document.recipients.filter(recipient =>
+        recipient.role === 'signer'
+        && (!recipientIds || recipientIds.some(id => recipient._id.equals(id)))
+        && !(onlyNew && recipient.notifiedAt)
+        && !(template === 'reminder' && progress.find(p => p.recipientId.equals(recipient._id)).complete)
+        && getBlockingRecipients(document, fields, recipient._id).length === 0
+    );
+    if (due.length === 0) return [];
+
+    const senderName = await getSenderName(document);
+    const results = [];
+    for (const recipient of due) {
+        if (onlyNew && !await claimRecipient(document, recipient)) continue;
+
+        const { url, link } = await createSigningLink(document._id, recipient._id);
+        await AuditLog.create({
+            documentId: document._id,
+            action: 'signing_link_created',
+            performedBy: actor,
+            details: {
+                linkId: link._id,
+                recipientId: recipient._id,
+                email: recipient.email,
+                expiresAt: link.expiresAt
+            }
+        });
+
+        const result = await sendNotification(document, {
+            template,
+            to: recipient.email,
+            recipientId: recipient._id,
+            data: { recipientName: recipient.name, senderName, url, expiresAt: link.expiresAt, message }
+        }, actor);
+        if (result.status === 'sent') {
+            recipient.notifiedAt = new Date();
+        } else if (onlyNew) {
+            await releaseRecipient(document, recipient);
+        }
+        results.push(result);
+    }
+
+    await document.save();
+    return results;
+}
+
+/**
+ * Set a recipient's notifiedAt unless it is already set (in the database)
+ *
+ * @returns {Promise<boolean>} - False if someone else already did
+ */
+async function claimRecipient(document, recipient) {
+    const notifiedAt = new Date();
+    const claimed = await Document.findOneAndUpdate(
+        { _id: document._id, recipients: { $elemMatch: { _id: recipient._id, notifiedAt: null } } },
+        { $set: { 'recipients.$.notifiedAt': notifiedAt } },
+        { projection: { _id: 1 } }
+    );
+    if (!claimed) return false;
+    recipient.notifiedAt = notifiedAt;
+    return true;
+}
+
+async function releaseRecipient(document, recipient) {
+    await Document.updateOne(
+        { _id: document._id, 'recipients._id': recipient._id },
+        { $unset: { 'recipients.$.notifiedAt': 1 } }
+    );
+    recipient.notifiedAt = undefined;
+}
+
+/**
+ * Email the signers whose turn came after a recipient completed
+ * (sequential documents that were sent)
+ */
+async function notifyNextSigners(document, actor) {
+    if (!document.sentAt || document.status === 'declined' || document.signingOrder !== 'sequential') {
+        return [];
+    }
+    return sendSigningRequests(document, actor, { onlyNew: true });
+}
+
+/**
+ * Owner and recipients, once per address
+ */
+async function getEveryone(document, recipients) {
+    const owner = document.ownerId && await User.findById(document.ownerId);
+    const people = [
+        ...(owner ? [{ name: owner.name, email: owner.email }] : []),
+        ...recipients.map(r => ({ recipientId: r._id, name: r.name, email: r.email }))
+    ];
+    return people.filter((person, i) => people.findIndex(p => p.email === person.email) === i);
+}
+
+/**
+ * Email the signed PDF to the owner and every recipient of a sent document
+ *
+ * @param {Object} document - Signed document
+ * @param {Buffer} signedBuffer - The signed PDF
+ * @param {Object} actor - performedBy of the audit entries
+ * @returns {Promise<Array>} - sendNotification results
+ */
+async function sendCompletedNotices(document, signedBuffer, actor) {
+    if (!document.sentAt) return [];
+
+    const attachments = [{ filename: downloadFileName(document, 'signed'), content: signedBuffer }];
+
+    const results = [];
+    for (const person of await getEveryone(document, document.recipients)) {
+        results.push(await sendNotification(document, {
+            template: 'completed',
+            to: person.email,
+            recipientId: person.recipientId,
+            data: { recipientName: person.name },
+            attachments
+        }, actor));
+    }
+    return results;
+}
+
+/**
+ * Tell the owner and the other emailed recipients that a signer declined
+ *
+ * @param {Object} document - Declined document
+ * @param {Object} decliner - Document.recipients entry
+ * @param {string} reason - Reason given, if any
+ * @param {Object} actor - performedBy of the audit entries
+ * @returns {Promise<Array>} - sendNotification results
+ */
+async function sendDeclinedNotices(document, decliner, reason, actor) {
+    const others = document.recipients.filter(r => r.notifiedAt && !r._id.equals(decliner._id));
+
+    const results = [];
+    for (const person of await getEveryone(document, others)) {
+        if (person.email === decliner.email) continue;
+        results.push(await sendNotification(document, {
+            template: 'declined',
+            to: person.email,
+            recipientId: person.recipientId,
+            data: { recipientName: person.name, declinedBy: decliner.name, reason }
+        }, actor));
+    }
+    return results;
+}
+
+module.exports = {
+    sendNotification,
+    sendSigningRequests,
+    notifyNextSigners,
+    sendCompletedNotices,
+    sendDeclinedNotices
+};
@@ -0,0 +1,30 @@
+/**
+ * NUMBER FORMATTING
+ *
+ * How a number field's value is drawn, from Field.numberFormat:
+ *   { decimals, thousands, prefix, suffix }
+ * frontend/src/utils/numberFormat.js mirrors it so the FieldOverlay preview
+ * shows the same text as the signed PDF.
+ */
+
+/**
+ * Format a number field's value
+ *
+ * @param {number} value - Field value
+ * @param {Object} [format] - Field.numberFormat
+ * @returns {string}
+ */
+function formatNumber(value, format) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return String(value);
+
+    const { decimals, thousands, prefix, suffix } = format || {};
+    const text = number.toLocaleString('en-US', {
+        useGrouping: thousands !== false,
+        minimumFractionDigits: decimals ?? 0,
+        maximumFractionDigits: decimals ?? 10
+    });
+    return `${prefix || ''}${text}${suffix || ''}`;
+}
+
+module.exports = { formatNumber };
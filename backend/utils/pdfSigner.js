@@ -0,0 +1,474 @@
+/**
+ * PAdES DIGITAL SIGNATURES
+ *
+ * Stamping a signature image onto a page proves nothing to a PDF reader.
+ * This module applies a real CMS detached signature (PAdES-B-B profile,
+ * SubFilter ETSI.CAdES.detached) so validators such as Acrobat can detect
+ * any change made to the file after signing.
+ *
+ * Flow:
+ * 1. addSignaturePlaceholder() - adds a signature dictionary with a fixed-size
+ *    /Contents hole and a placeholder /ByteRange, before pdfDoc.save()
+ * 2. signPdfBuffer() - fills in the real /ByteRange, hashes everything except
+ *    the /Contents hole and writes the CMS SignedData into it
+ *
+ * verifyPdfSignatures() checks the result (or any CMS-signed PDF) the way a
+ * validator would: recomputes the digest over /ByteRange and checks the
+ * signer's signature over the signed attributes.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const {
+    PDFArray,
+    PDFHexString,
+    PDFName,
+    PDFNumber,
+    PDFString
+} = require('pdf-lib');
+
+const { asn1 } = forge;
+
+// Bytes reserved for the DER-encoded CMS (hex-encoded in the file, so doubled)
+const SIGNATURE_LENGTH = 16384;
+// Verification limits: each signature checked hashes up to the whole file,
+// and its CMS is parsed from the /Contents hole
+const MAX_VERIFIED_SIGNATURES = 10;
+const MAX_CONTENTS_LENGTH = 256 * 1024;
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+const OIDS = {
+    data: '1.2.840.113549.1.7.1',
+    signedData: '1.2.840.113549.1.7.2',
+    contentType: '1.2.840.113549.1.9.3',
+    messageDigest: '1.2.840.113549.1.9.4',
+    signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+    sha1: '1.3.14.3.2.26',
+    sha256: '2.16.840.1.101.3.4.2.1',
+    sha384: '2.16.840.1.101.3.4.2.2',
+    sha512: '2.16.840.1.101.3.4.2.3',
+    rsaEncryption: '1.2.840.113549.1.1.1'
+};
+
+/**
+ * Load the signing key and certificate chain from a PKCS#12 file
+ *
+ * @param {string} p12Path - Path to the .p12/.pfx file
+ * @param {string} passphrase - Passphrase protecting the file
+ * @returns {Object} - { privateKey, certificate, chain }
+ */
+function loadSigningCredentials(p12Path, passphrase = '') {
+    const p12Der = fs.readFileSync(p12Path).toString('binary');
+    const p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(p12Der), passphrase);
+
+    const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag]
+        .concat(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag]);
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
+
+    if (keyBags.length === 0 || !keyBags[0].key) {
+        throw new Error('No RSA private key found in PKCS#12 file');
+    }
+    const privateKey = keyBags[0].key;
+
+    // The signing certificate is the one whose public key matches the private key
+    const certificate = certBags
+        .map(bag => bag.cert)
+        .find(cert => cert && cert.publicKey.n && cert.publicKey.n.equals(privateKey.n));
+    if (!certificate) {
+        throw new Error('No certificate matching the private key found in PKCS#12 file');
+    }
+
+    const chain = certBags
+        .map(bag => bag.cert)
+        .filter(cert => cert && cert !== certificate);
+
+    return { privateKey, certificate, chain };
+}
+
+/**
+ * Add an invisible signature field whose value is a signature dictionary
+ * with room for the CMS. Must be called before pdfDoc.save().
+ *
+ * @param {PDFDocument} pdfDoc - Document being signed
+ * @param {Object} info - Signer metadata
+ * @param {string} [info.name] - Signer name (/Name)
+ * @param {string} [info.reason] - Reason for signing (/Reason)
+ * @param {string} [info.location] - Signing location (/Location)
+ * @param {string} [info.contactInfo] - Signer contact (/ContactInfo)
+ * @param {Date} [info.signingTime] - Claimed signing time (/M)
+ */
+function addSignaturePlaceholder(pdfDoc, info = {}) {
+    const context = pdfDoc.context;
+
+    const byteRange = PDFArray.withContext(context);
+    byteRange.push(PDFNumber.of(0));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+    byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+
+    const signatureDict = context.obj({
+        Type: 'Sig',
+        Filter: 'Adobe.PPKLite',
+        SubFilter: 'ETSI.CAdES.detached',
+        ByteRange: byteRange,
+        Contents: PDFHexString.of('0'.repeat(SIGNATURE_LENGTH * 2)),
+        M: PDFString.fromDate(info.signingTime || new Date())
+    });
+    if (info.name) signatureDict.set(PDFName.of('Name'), PDFString.of(info.name));
+    if (info.reason) signatureDict.set(PDFName.of('Reason'), PDFString.of(info.reason));
+    if (info.location) signatureDict.set(PDFName.of('Location'), PDFString.of(info.location));
+    if (info.contactInfo) signatureDict.set(PDFName.of('ContactInfo'), PDFString.of(info.contactInfo));
+    const signatureRef = context.register(signatureDict);
+
+    // Invisible widget (zero-size rect) on the first page holding the signature
+    const form = pdfDoc.getForm();
+    const widget = addSignatureField(pdfDoc, pdfDoc.getPage(0), `Signature${form.getFields().length + 1}`, {
+        x: 0, y: 0, width: 0, height: 0
+    });
+    widget.set(PDFName.of('V'), signatureRef);
+    widget.set(PDFName.of('F'), PDFNumber.of(132)); // Print + Locked
+
+    // SignaturesExist + AppendOnly
+    form.acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+}
+
+/**
+ * Add an (unsigned) signature form field with a single widget.
+ * pdf-lib has no high-level API for creating signature fields.
+ *
+ * @param {PDFDocument} pdfDoc - Target document
+ * @param {PDFPage} page - Page the widget sits on
+ * @param {string} name - Fully qualified field name (/T)
+ * @param {Object} rect - { x, y, width, height } in page points
+ * @param {number} [rotation=0] - Widget rotation (/MK /R), matching the page
+ * @returns {PDFDict} - The merged field/widget dictionary
+ */
+function addSignatureField(pdfDoc, page, name, rect, rotation = 0) {
+    const context = pdfDoc.context;
+    const form = pdfDoc.getForm();
+
+    const widget = context.obj({
+        Type: 'Annot',
+        Subtype: 'Widget',
+        FT: 'Sig',
+        Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+        T: PDFString.of(name),
+        F: 4, // Print
+        P: page.ref,
+        MK: { R: rotation }
+    });
+    const widgetRef = context.register(widget);
+
+    page.node.addAnnot(widgetRef);
+    form.acroForm.addField(widgetRef);
+    return widget;
+}
+
+/**
+ * Fill in /ByteRange and /Contents of a PDF saved with a signature placeholder.
+ * The PDF must have been saved with { useObjectStreams: false } so the
+ * signature dictionary is readable in the raw bytes.
+ *
+ * @param {Buffer} pdfBuffer - Saved PDF containing the placeholder
+ * @param {Object} credentials - Result of loadSigningCredentials()
+ * @returns {Buffer} - Digitally signed PDF
+ */
+function signPdfBuffer(pdfBuffer, credentials) {
+    // Locate the /Contents hole
+    const contentsPlaceholder = Buffer.from(`<${'0'.repeat(SIGNATURE_LENGTH * 2)}>`);
+    const contentsStart = pdfBuffer.lastIndexOf(contentsPlaceholder);
+    if (contentsStart === -1) {
+        throw new Error('Signature placeholder not found in PDF');
+    }
+    const contentsEnd = contentsStart + contentsPlaceholder.length;
+
+    // Replace the /ByteRange placeholder with the real offsets, keeping its length
+    const byteRangePattern = `[ 0 /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} ]`;
+    const byteRangeStart = pdfBuffer.lastIndexOf(byteRangePattern);
+    if (byteRangeStart === -1) {
+        throw new Error('ByteRange placeholder not found in PDF');
+    }
+    const byteRange = [0, contentsStart, contentsEnd, pdfBuffer.length - contentsEnd];
+    const byteRangeValue = `[${byteRange.join(' ')}]`.padEnd(byteRangePattern.length, ' ');
+
+    const output = Buffer.from(pdfBuffer);
+    output.write(byteRangeValue, byteRangeStart, 'latin1');
+
+    // Everything except the /Contents hole is covered by the signature
+    const signedContent = Buffer.concat([
+        output.subarray(0, contentsStart),
+        output.subarray(contentsEnd)
+    ]);
+
+    const cms = createDetachedCms(signedContent, credentials);
+    if (cms.length > SIGNATURE_LENGTH) {
+        throw new Error(`Signature (${cms.length} bytes) exceeds reserved space (${SIGNATURE_LENGTH} bytes)`);
+    }
+
+    output.write(cms.toString('hex').padEnd(SIGNATURE_LENGTH * 2, '0'), contentsStart + 1, 'latin1');
+    return output;
+}
+
+/**
+ * Build a DER-encoded CMS SignedData (detached, SHA-256 with RSA) carrying
+ * the signed attributes PAdES-B-B requires: content-type, message-digest and
+ * ESS signing-certificate-v2. Signing time lives in the signature
+ * dictionary (/M), not in the CMS.
+ *
+ * @param {Buffer} content - Bytes covered by /ByteRange
+ * @param {Object} credentials - Result of loadSigningCredentials()
+ * @returns {Buffer} - DER-encoded ContentInfo
+ */
+function createDetachedCms(content, { privateKey, certificate, chain = [] }) {
+    const certificateDer = asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+    const contentDigest = crypto.createHash('sha256').update(content).digest();
+    const certificateDigest = crypto.createHash('sha256').update(Buffer.from(certificateDer, 'binary')).digest();
+
+    const sha256AlgorithmId = () => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        oid(OIDS.sha256),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]);
+
+    // Order matters: DER requires SET OF elements sorted by encoding
+    const signedAttributes = [
+        attribute(OIDS.contentType, oid(OIDS.data)),
+        attribute(OIDS.messageDigest, octetString(contentDigest)),
+        attribute(OIDS.signingCertificateV2,
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    // ESSCertIDv2 (hashAlgorithm defaults to SHA-256)
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                        octetString(certificateDigest)
+                    ])
+                ])
+            ]))
+    ];
+
+    // Signature is computed over the attributes encoded as a SET
+    const attributesSet = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttributes);
+    const md = forge.md.sha256.create();
+    md.update(asn1.toDer(attributesSet).getBytes());
+    const signature = privateKey.sign(md);
+
+    const signerInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+        // IssuerAndSerialNumber
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            forge.pki.distinguishedNameToAsn1(certificate.issuer),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+                forge.util.hexToBytes(certificate.serialNumber))
+        ]),
+        sha256AlgorithmId(),
+        // [0] IMPLICIT signedAttrs
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, signedAttributes),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            oid(OIDS.rsaEncryption),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+        ]),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, signature)
+    ]);
+
+    const signedData = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [sha256AlgorithmId()]),
+        // Detached: encapContentInfo has no eContent
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [oid(OIDS.data)]),
+        // [0] IMPLICIT certificates
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true,
+            [certificate, ...chain].map(cert => forge.pki.certificateToAsn1(cert))),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [signerInfo])
+    ]);
+
+    const contentInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        oid(OIDS.signedData),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData])
+    ]);
+
+    return Buffer.from(asn1.toDer(contentInfo).getBytes(), 'binary');
+}
+
+/**
+ * Verify the CMS signatures in a PDF
+ *
+ * Only /ByteRange entries of objects with /Type /Sig count, one per object,
+ * and only the last MAX_VERIFIED_SIGNATURES of them are checked: the file
+ * may come from anyone.
+ *
+ * @param {Buffer} pdfBuffer - PDF file
+ * @returns {Array<Object>} - One entry per signature, in file order:
+ *   { byteRange, revisionLength, coversWholeFile, digestMatches,
+ *     signatureValid, valid, signer: { subject, issuer, serialNumber }, error }
+ *   revisionLength is the size of the file revision the signature covers;
+ *   anything after it was appended later (incremental update).
+ */
+function verifyPdfSignatures(pdfBuffer) {
+    const source = pdfBuffer.toString('latin1');
+
+    return findSignatureByteRanges(source).slice(-MAX_VERIFIED_SIGNATURES).map(byteRange => {
+        const revisionLength = byteRange[2] + byteRange[3];
+        const result = {
+            byteRange,
+            revisionLength,
+            coversWholeFile: byteRange[0] === 0 && revisionLength === pdfBuffer.length,
+            digestMatches: false,
+            signatureValid: false,
+            valid: false,
+            signer: null
+        };
+
+        try {
+            if (byteRange[0] !== 0 || revisionLength > pdfBuffer.length || byteRange[2] <= byteRange[1]) {
+                throw new Error('ByteRange does not fit the file');
+            }
+            if (byteRange[2] - byteRange[1] > MAX_CONTENTS_LENGTH) {
+                throw new Error('Signature /Contents is too large');
+            }
+            const signedContent = Buffer.concat([
+                pdfBuffer.subarray(0, byteRange[1]),
+                pdfBuffer.subarray(byteRange[2], revisionLength)
+            ]);
+            // The hole between the ranges is "<hex>", zero-padded after the DER
+            const contentsHex = source.slice(byteRange[1] + 1, byteRange[2] - 1);
+            Object.assign(result, verifyDetachedCms(Buffer.from(contentsHex, 'hex'), signedContent));
+            result.valid = result.digestMatches && result.signatureValid;
+        } catch (error) {
+            result.error = error.message;
+        }
+        return result;
+    });
+}
+
+/**
+ * /ByteRange arrays of signature dictionaries, in file order
+ *
+ * A /ByteRange counts if the indirect object around it (between the
+ * surrounding `endobj` keywords) has /Type /Sig; each object is looked at
+ * once, so the scan stays linear however many entries a file holds.
+ *
+ * @param {string} source - PDF file as a latin1 string
+ * @returns {Array<Array<number>>} - [offset1, length1, offset2, length2] each
+ */
+function findSignatureByteRanges(source) {
+    const objectEnds = Array.from(source.matchAll(/\bendobj\b/g), match => match.index);
+    const seenObjects = new Set();
+    const byteRanges = [];
+
+    for (const match of source.matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)) {
+        // First endobj after the match ends its object (binary search)
+        let low = 0;
+        let high = objectEnds.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (objectEnds[middle] < match.index) low = middle + 1; else high = middle;
+        }
+        if (seenObjects.has(low)) continue;
+        seenObjects.add(low);
+
+        const object = source.slice(low > 0 ? objectEnds[low - 1] : 0, objectEnds[low] ?? source.length);
+        if (/\/Type\s*\/Sig\b/.test(object)) {
+            byteRanges.push(match.slice(1, 5).map(Number));
+        }
+    }
+    return byteRanges;
+}
+
+/**
+ * Check a DER-encoded CMS SignedData against the content it signs
+ *
+ * @param {Buffer} cmsDer - ContentInfo (trailing zero padding allowed)
+ * @param {Buffer} content - Detached content
+ * @returns {Object} - { digestMatches, signatureValid, signer }
+ */
+function verifyDetachedCms(cmsDer, content) {
+    const contentInfo = asn1.fromDer(cmsDer.toString('binary'), { parseAllBytes: false });
+    if (asn1.derToOid(contentInfo.value[0].value) !== OIDS.signedData) {
+        throw new Error('Signature is not a CMS SignedData');
+    }
+
+    const signedData = contentInfo.value[1].value[0];
+    const certificatesNode = signedData.value.find(node =>
+        node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+
+    const [, sid, digestAlgorithm] = signerInfo.value;
+    const signedAttributes = signerInfo.value.find(node =>
+        node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    const signature = signerInfo.value.find(node =>
+        node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.OCTETSTRING);
+    if (!signedAttributes || !signature) {
+        throw new Error('Signer info has no signed attributes');
+    }
+
+    const hashName = Object.keys(OIDS).find(name =>
+        OIDS[name] === asn1.derToOid(digestAlgorithm.value[0].value));
+    if (!['sha1', 'sha256', 'sha384', 'sha512'].includes(hashName)) {
+        throw new Error('Unsupported digest algorithm');
+    }
+
+    // 1. The message-digest attribute must match the content
+    const messageDigest = signedAttributes.value.find(attr =>
+        asn1.derToOid(attr.value[0].value) === OIDS.messageDigest);
+    if (!messageDigest) {
+        throw new Error('Signed attributes have no message digest');
+    }
+    const contentDigest = crypto.createHash(hashName).update(content).digest();
+    const digestMatches = contentDigest.equals(Buffer.from(messageDigest.value[1].value[0].value, 'binary'));
+
+    // 2. The signer's certificate must verify the signature over the attributes,
+    // re-encoded as a SET like when they were signed
+    const certificates = (certificatesNode?.value || []).map(node =>
+        new crypto.X509Certificate(Buffer.from(asn1.toDer(node).getBytes(), 'binary')));
+    const signerSerial = sid.value[1] ? stripLeadingZeros(forge.util.bytesToHex(sid.value[1].value)) : null;
+    const certificate = certificates.find(cert => stripLeadingZeros(cert.serialNumber) === signerSerial)
+        || certificates[0];
+    if (!certificate) {
+        throw new Error('Signer certificate not included');
+    }
+
+    const attributesSet = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttributes.value);
+    const signatureValid = crypto.verify(
+        hashName,
+        Buffer.from(asn1.toDer(attributesSet).getBytes(), 'binary'),
+        certificate.publicKey,
+        Buffer.from(signature.value, 'binary')
+    );
+
+    return {
+        digestMatches,
+        signatureValid,
+        signer: {
+            subject: certificate.subject,
+            issuer: certificate.issuer,
+            serialNumber: stripLeadingZeros(certificate.serialNumber)
+        }
+    };
+}
+
+function stripLeadingZeros(hex) {
+    return hex.toLowerCase().replace(/^0+(?=.)/, '');
+}
+
+function oid(value) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(value).getBytes());
+}
+
+function octetString(buffer) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, buffer.toString('binary'));
+}
+
+function attribute(type, value) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        oid(type),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+    ]);
+}
+
+module.exports = {
+    loadSigningCredentials,
+    addSignaturePlaceholder,
+    addSignatureField,
+    signPdfBuffer,
+    verifyPdfSignatures,
+    SIGNATURE_LENGTH,
+    MAX_VERIFIED_SIGNATURES
+};
@@ -6,44 +6,218 @@
  * - PDF: Origin at BOTTOM-LEFT, Y increases UPWARD
  * 
  * Solution: Store positions as percentages (0-1), then transform to PDF points
+ * 
+ * Scanned pages add two wrinkles: /Rotate turns the page for display, and the
+ * visible CropBox may not start at (0,0). Both are undone here.
  */
+const { rgb } = require('pdf-lib');
 
 /**
  * Transform normalized coordinates (0-1 percentages) to PDF coordinates (points)
  * 
+ * Percentages are relative to the page AS VIEWED in the browser, i.e. the
+ * visible CropBox after applying /Rotate. The result is the box in the
+ * page's own (unrotated) coordinate space, ready for pdf-lib drawing.
+ * 
  * @param {Object} position - Normalized position from frontend
  * @param {number} position.xPercent - X position as percentage (0-1)
  * @param {number} position.yPercent - Y position as percentage (0-1)
  * @param {number} position.widthPercent - Width as percentage (0-1)
  * @param {number} position.heightPercent - Height as percentage (0-1)
- * @param {number} pdfWidth - PDF page width in points
- * @param {number} pdfHeight - PDF page height in points
- * @returns {Object} - PDF coordinates in points
+ * @param {number} pdfWidth - Unrotated visible page width in points
+ * @param {number} pdfHeight - Unrotated visible page height in points
+ * @param {Object} [geometry] - Page rotation and visible box origin
+ * @param {number} [geometry.rotation=0] - Page /Rotate (0, 90, 180, 270)
+ * @param {number} [geometry.offsetX=0] - CropBox lower-left X in points
+ * @param {number} [geometry.offsetY=0] - CropBox lower-left Y in points
+ * @returns {Object} - PDF coordinates in points plus the page rotation
  */
-function transformToPdfCoordinates(position, pdfWidth, pdfHeight) {
-    // Step 1: Scale percentages to PDF dimensions
-    const pdfX = position.xPercent * pdfWidth;
-    const pdfBoxWidth = position.widthPercent * pdfWidth;
-    const pdfBoxHeight = position.heightPercent * pdfHeight;
+function transformToPdfCoordinates(position, pdfWidth, pdfHeight, { rotation = 0, offsetX = 0, offsetY = 0 } = {}) {
+    // Step 1: Scale percentages to the VIEWED page dimensions
+    // A page rotated by 90/270 is displayed with width and height swapped
+    const quarterTurn = rotation === 90 || rotation === 270;
+    const viewWidth = quarterTurn ? pdfHeight : pdfWidth;
+    const viewHeight = quarterTurn ? pdfWidth : pdfHeight;
 
-    // Step 2: CRITICAL - Flip Y-axis
+    const viewX = position.xPercent * viewWidth;
+    const viewY = position.yPercent * viewHeight;
+    const viewBoxWidth = position.widthPercent * viewWidth;
+    const viewBoxHeight = position.heightPercent * viewHeight;
+
+    // Step 2: CRITICAL - Map the viewed (top-left origin) box back onto the page
     // Browser: Y=0 at top, increases downward
-    // PDF: Y=0 at bottom, increases upward
+    // PDF: Y=0 at bottom, increases upward, before the viewer applies /Rotate
     // 
-    // Formula breakdown:
-    // - position.yPercent * pdfHeight = distance from TOP in PDF points
+    // Unrotated formula breakdown:
+    // - viewY = distance from TOP in PDF points
     // - We need distance from BOTTOM, so: pdfHeight - (distance from top)
     // - Subtract box height because PDF draws from bottom-left of box
-    const pdfY = pdfHeight - (position.yPercent * pdfHeight) - pdfBoxHeight;
+    //
+    // /Rotate turns the page clockwise for display, so each case undoes it
+    let x, y, width, height;
+    switch (rotation) {
+        case 90:
+            x = viewY;
+            y = viewX;
+            width = viewBoxHeight;
+            height = viewBoxWidth;
+            break;
+        case 180:
+            x = pdfWidth - viewX - viewBoxWidth;
+            y = viewY;
+            width = viewBoxWidth;
+            height = viewBoxHeight;
+            break;
+        case 270:
+            x = pdfWidth - viewY - viewBoxHeight;
+            y = pdfHeight - viewX - viewBoxWidth;
+            width = viewBoxHeight;
+            height = viewBoxWidth;
+            break;
+        default:
+            x = viewX;
+            y = pdfHeight - viewY - viewBoxHeight;
+            width = viewBoxWidth;
+            height = viewBoxHeight;
+    }
 
+    // Step 3: Shift by the CropBox origin (pages need not start at 0,0)
     return {
-        x: pdfX,
-        y: pdfY,
-        width: pdfBoxWidth,
-        height: pdfBoxHeight
+        x: x + offsetX,
+        y: y + offsetY,
+        width,
+        height,
+        rotation
     };
 }
 
+/**
+ * Inverse of transformToPdfCoordinates: PDF rectangle (points) back to
+ * normalized percentages of the page as viewed in the browser
+ * 
+ * Used when importing existing form widgets, whose /Rect is in the page's own
+ * (unrotated) coordinate space.
+ * 
+ * @param {Object} rect - { x, y, width, height } in page points
+ * @param {number} pdfWidth - Unrotated visible page width in points
+ * @param {number} pdfHeight - Unrotated visible page height in points
+ * @param {Object} [geometry] - Same as transformToPdfCoordinates()
+ * @returns {Object} - { xPercent, yPercent, widthPercent, heightPercent }, clamped to the page
+ */
+function transformToNormalized(rect, pdfWidth, pdfHeight, { rotation = 0, offsetX = 0, offsetY = 0 } = {}) {
+    // Step 1: Remove the CropBox origin
+    const x = rect.x - offsetX;
+    const y = rect.y - offsetY;
+    const { width, height } = rect;
+
+    // Step 2: Apply /Rotate and flip Y back to a top-left origin
+    let viewX, viewY, viewBoxWidth, viewBoxHeight;
+    switch (rotation) {
+        case 90:
+            viewX = y;
+            viewY = x;
+            viewBoxWidth = height;
+            viewBoxHeight = width;
+            break;
+        case 180:
+            viewX = pdfWidth - x - width;
+            viewY = y;
+            viewBoxWidth = width;
+            viewBoxHeight = height;
+            break;
+        case 270:
+            viewX = pdfHeight - y - height;
+            viewY = pdfWidth - x - width;
+            viewBoxWidth = height;
+            viewBoxHeight = width;
+            break;
+        default:
+            viewX = x;
+            viewY = pdfHeight - y - height;
+            viewBoxWidth = width;
+            viewBoxHeight = height;
+    }
+
+    // Step 3: Divide by the viewed page size and keep the box on the page
+    const quarterTurn = rotation === 90 || rotation === 270;
+    const viewWidth = quarterTurn ? pdfHeight : pdfWidth;
+    const viewHeight = quarterTurn ? pdfWidth : pdfHeight;
+    const clamp = value => Math.min(Math.max(value, 0), 1);
+
+    const xPercent = clamp(viewX / viewWidth);
+    const yPercent = clamp(viewY / viewHeight);
+    return {
+        xPercent,
+        yPercent,
+        widthPercent: clamp(Math.min(viewBoxWidth / viewWidth, 1 - xPercent)),
+        heightPercent: clamp(Math.min(viewBoxHeight / viewHeight, 1 - yPercent))
+    };
+}
+
+/**
+ * Size of a transformed box as the viewer sees it (upright)
+ * 
+ * @param {Object} coords - Result of transformToPdfCoordinates()
+ * @returns {Object} - { width, height } in points
+ */
+function getUprightSize(coords) {
+    const quarterTurn = coords.rotation === 90 || coords.rotation === 270;
+    return {
+        width: quarterTurn ? coords.height : coords.width,
+        height: quarterTurn ? coords.width : coords.height
+    };
+}
+
+/**
+ * Convert a point inside the upright box (origin at its visual bottom-left)
+ * to page coordinates. Draw with `rotate: degrees(coords.rotation)` anchored
+ * at this point and the content appears upright in the viewer.
+ * 
+ * @param {Object} coords - Result of transformToPdfCoordinates()
+ * @param {number} localX - Distance from the box's visual left edge
+ * @param {number} localY - Distance from the box's visual bottom edge
+ * @returns {Object} - { x, y } in page points
+ */
+function toPagePoint(coords, localX, localY) {
+    switch (coords.rotation) {
+        case 90:
+            return { x: coords.x + coords.width - localY, y: coords.y + localX };
+        case 180:
+            return { x: coords.x + coords.width - localX, y: coords.y + coords.height - localY };
+        case 270:
+            return { x: coords.x + localY, y: coords.y + coords.height - localX };
+        default:
+            return { x: coords.x + localX, y: coords.y + localY };
+    }
+}
+
+/**
+ * Read the geometry needed to map browser positions onto a pdf-lib page
+ * 
+ * The visible area is the CropBox clipped to the MediaBox (as PDF.js renders
+ * it), and /Rotate is normalized to 0, 90, 180 or 270.
+ * 
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {Object} - { rotation, cropBox, mediaBox }
+ */
+function getPageGeometry(page) {
+    const mediaBox = page.getMediaBox();
+    const rawCropBox = page.getCropBox();
+
+    const left = Math.max(mediaBox.x, rawCropBox.x);
+    const bottom = Math.max(mediaBox.y, rawCropBox.y);
+    const right = Math.min(mediaBox.x + mediaBox.width, rawCropBox.x + rawCropBox.width);
+    const top = Math.min(mediaBox.y + mediaBox.height, rawCropBox.y + rawCropBox.height);
+    const cropBox = right > left && top > bottom
+        ? { x: left, y: bottom, width: right - left, height: top - bottom }
+        : mediaBox;
+
+    const angle = page.getRotation().angle;
+    const rotation = (((Math.round(angle / 90) * 90) % 360) + 360) % 360;
+
+    return { rotation, cropBox, mediaBox };
+}
+
 /**
  * Fit an image inside a box while maintaining aspect ratio (object-fit: contain)
  * 
@@ -78,4 +252,45 @@ function containImageInBox(imgWidth, imgHeight, boxWidth, boxHeight) {
     return { width: fitWidth, height: fitHeight, offsetX, offsetY };
 }
 
-module.exports = { transformToPdfCoordinates, containImageInBox };
+/**
+ * Embed a base64 data URL image (PNG or JPEG) into a PDF
+ * 
+ * @param {PDFDocument} pdfDoc - Target document
+ * @param {string} base64Data - e.g. 'data:image/png;base64,...'
+ * @returns {Promise<PDFImage>} - Embedded image
+ */
+async function embedDataUrlImage(pdfDoc, base64Data) {
+    // Extract base64 content
+    const base64Content = base64Data.replace(/^data:image\/\w+;base64,/, '');
+    const imageBuffer = Buffer.from(base64Content, 'base64');
+
+    // Detect image type and embed
+    if (base64Data.includes('image/png')) {
+        return pdfDoc.embedPng(imageBuffer);
+    }
+    return pdfDoc.embedJpg(imageBuffer);
+}
+
+/**
+ * Convert '#rrggbb' to a pdf-lib color (black if malformed)
+ * 
+ * @param {string} hex - CSS hex color
+ * @returns {RGB} - pdf-lib color
+ */
+function parseHexColor(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!match) return rgb(0, 0, 0);
+    const [r, g, b] = match.slice(1).map(component => parseInt(component, 16) / 255);
+    return rgb(r, g, b);
+}
+
+module.exports = {
+    transformToPdfCoordinates,
+    transformToNormalized,
+    getUprightSize,
+    toPagePoint,
+    getPageGeometry,
+    containImageInBox,
+    embedDataUrlImage,
+    parseHexColor
+};
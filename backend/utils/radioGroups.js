@@ -0,0 +1,57 @@
+/**
+ * RADIO GROUPS
+ *
+ * Radio fields sharing a radioGroup within a document are the options of
+ * one question. Selecting an option stores true on it and false on the
+ * others, so every option of an answered group has a value and required
+ * checks pass; deselecting clears the whole group. The group's value is the
+ * selected option's optionValue (its label if unset).
+ */
+
+function optionValueOf(field) {
+    return field.optionValue || field.label;
+}
+
+/**
+ * Select or deselect a grouped radio option
+ *
+ * Sets the value of `field` and of the other options, without saving.
+ *
+ * @param {Object} field - Radio field with a radioGroup
+ * @param {boolean} selected - Select (true) or clear the group (false)
+ * @param {Array} options - Every radio field of the group, `field` included
+ * @returns {Array} - Other options whose value changed
+ */
+function selectRadioOption(field, selected, options) {
+    field.value = selected ? true : undefined;
+
+    const changed = [];
+    for (const option of options) {
+        if (String(option._id) === String(field._id)) continue;
+
+        const value = selected ? false : undefined;
+        if (option.value !== value) {
+            option.value = value;
+            changed.push(option);
+        }
+    }
+    return changed;
+}
+
+/**
+ * Selected value of every radio group
+ *
+ * @param {Array} fields - Fields of a document
+ * @returns {Object} - { [radioGroup]: optionValue, or null when unanswered }
+ */
+function getRadioGroupValues(fields) {
+    const values = {};
+    for (const field of fields) {
+        if (field.fieldType !== 'radio' || !field.radioGroup) continue;
+        if (!(field.radioGroup in values)) values[field.radioGroup] = null;
+        if (field.value === true) values[field.radioGroup] = optionValueOf(field);
+    }
+    return values;
+}
+
+module.exports = { optionValueOf, selectRadioOption, getRadioGroupValues };
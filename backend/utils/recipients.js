@@ -0,0 +1,79 @@
+/**
+ * RECIPIENTS AND SIGNING ORDER
+ *
+ * A recipient is complete once every required field assigned to them has a
+ * value (conditions applied, see fieldConditions.js). In sequential mode a
+ * recipient's turn comes when every recipient with a lower routingOrder is
+ * complete; recipients sharing an order fill in in parallel.
+ */
+const { resolveFieldStates } = require('./fieldConditions');
+
+// Editor color-coding, handed out in order of addition
+const RECIPIENT_COLORS = ['#7C3AED', '#2563EB', '#D97706', '#059669', '#DB2777', '#DC2626', '#0891B2', '#4B5563'];
+
+/**
+ * Color for the next recipient added to a document
+ *
+ * @param {Array} recipients - Existing Document.recipients
+ * @returns {string} - '#rrggbb'
+ */
+function nextRecipientColor(recipients) {
+    const used = new Set(recipients.map(r => r.color));
+    return RECIPIENT_COLORS.find(color => !used.has(color))
+        || RECIPIENT_COLORS[recipients.length % RECIPIENT_COLORS.length];
+}
+
+function hasValue(field) {
+    return field.value !== undefined && field.value !== null && field.value !== '';
+}
+
+/**
+ * Completion state of each recipient
+ *
+ * @param {Object} document - Document with recipients
+ * @param {Array} fields - All fields of the document
+ * @returns {Array} - [{ recipientId, name, email, role, routingOrder,
+ *   requiredFields, missingFields: [fieldId], complete }]
+ */
+function getRecipientProgress(document, fields) {
+    const states = resolveFieldStates(fields);
+    return document.recipients.map(recipient => {
+        const required = fields.filter(f =>
+            states.get(String(f._id)).required && f.recipientId && f.recipientId.equals(recipient._id)
+        );
+        const missing = required.filter(f => !hasValue(f));
+
+        return {
+            recipientId: recipient._id,
+            name: recipient.name,
+            email: recipient.email,
+            role: recipient.role,
+            routingOrder: recipient.routingOrder,
+            requiredFields: required.length,
+            missingFields: missing.map(f => f._id),
+            complete: missing.length === 0
+        };
+    });
+}
+
+/**
+ * Recipients that must complete before the given one may fill in
+ *
+ * Always empty for parallel documents.
+ *
+ * @param {Object} document - Document with recipients and signingOrder
+ * @param {Array} fields - All fields of the document
+ * @param {ObjectId} recipientId - Recipient about to fill in
+ * @returns {Array} - Incomplete earlier recipients (getRecipientProgress entries)
+ */
+function getBlockingRecipients(document, fields, recipientId) {
+    if (document.signingOrder !== 'sequential') return [];
+
+    const recipient = document.recipients.id(recipientId);
+    if (!recipient) return [];
+
+    return getRecipientProgress(document, fields)
+        .filter(p => p.routingOrder < recipient.routingOrder && !p.complete);
+}
+
+module.exports = { nextRecipientColor, getRecipientProgress, getBlockingRecipients };
@@ -0,0 +1,78 @@
+/**
+ * SIGNING LINKS
+ *
+ * Each signer gets a link with a random token: whoever holds it can fill in
+ * that recipient's fields until it expires. Tokens are only stored hashed,
+ * so a database leak does not leak working links. Issuing a new link for a
+ * recipient revokes their previous ones.
+ */
+const crypto = require('crypto');
+const SigningLink = require('../models/SigningLink');
+const { calculateHash } = require('./hashUtils');
+
+const DEFAULT_TTL_DAYS = Number(process.env.SIGNING_LINK_TTL_DAYS) || 7;
+const MAX_TTL_DAYS = 90;
+
+/**
+ * Issue a new link for a recipient
+ *
+ * @param {ObjectId} documentId - Document the recipient belongs to
+ * @param {ObjectId} recipientId - Document.recipients entry
+ * @param {number} expiresInDays - Lifetime (default SIGNING_LINK_TTL_DAYS or 7, 1 to 90)
+ * @returns {Promise<Object>} - { token, url, link }
+ */
+async function createSigningLink(documentId, recipientId, expiresInDays = DEFAULT_TTL_DAYS) {
+    const days = Math.min(Math.max(Number(expiresInDays) || DEFAULT_TTL_DAYS, 1), MAX_TTL_DAYS);
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await SigningLink.updateMany(
+        { documentId, recipientId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+
+    const link = await SigningLink.create({
+        documentId,
+        recipientId,
+        tokenHash: calculateHash(token),
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    return { token, url: getSigningUrl(token), link };
+}
+
+/**
+ * Resolve a token to its link
+ *
+ * @param {string} token - Token from the URL
+ * @returns {Promise<Object|null>} - The SigningLink, or null if unknown, revoked or expired
+ */
+async function findSigningLink(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const link = await SigningLink.findOne({ tokenHash: calculateHash(token) });
+    if (!link || link.revokedAt || link.expiresAt <= new Date()) return null;
+    return link;
+}
+
+/**
+ * Record the first time a link is opened
+ *
+ * @returns {Promise<boolean>} - True if this was the first open
+ */
+async function markOpened(link) {
+    const updated = await SigningLink.findOneAndUpdate(
+        { _id: link._id, firstOpenedAt: null },
+        { firstOpenedAt: new Date() }
+    );
+    return !!updated;
+}
+
+/**
+ * Signer view URL in the frontend
+ */
+function getSigningUrl(token) {
+    const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return `${base.replace(/\/$/, '')}/sign/${token}`;
+}
+
+module.exports = { createSigningLink, findSigningLink, markOpened };
@@ -0,0 +1,222 @@
+/**
+ * FILE STORAGE
+ *
+ * Uploaded, signed and form PDFs go through one storage driver, chosen with
+ * STORAGE_DRIVER:
+ *   local (default)  files below STORAGE_LOCAL_DIR (default backend/)
+ *   s3               an S3-compatible bucket: S3_BUCKET, S3_REGION,
+ *                    S3_ENDPOINT + S3_FORCE_PATH_STYLE=true for MinIO,
+ *                    S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY, S3_PREFIX
+ * With s3 several backend instances can share the files.
+ *
+ * Documents keep their files as stored paths such as '/uploads/<name>.pdf'
+ * (originalFileUrl, signedFileUrl, formFileUrl, Template.fileUrl); the path
+ * without its leading slash is the driver's key. Files are only served
+ * through owner or signing link routes, never statically.
+ *
+ * With encryption enabled, files are stored encrypted with their document's
+ * data key (see utils/encryption.js); the functions below take that key
+ * and encrypt or decrypt on the way. Without one, bytes pass through as is.
+ */
+const path = require('path');
+const { PassThrough } = require('stream');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createEnvelope, openEnvelope, encryptBuffer, decryptBuffer, createEncryptStream } = require('../encryption');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+const DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+function createStorage() {
+    switch (DRIVER) {
+        case 'local':
+            return createLocalStorage({
+                rootDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..')
+            });
+        case 's3':
+            if (!process.env.S3_BUCKET) {
+                throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET');
+            }
+            return createS3Storage({
+                bucket: process.env.S3_BUCKET,
+                prefix: process.env.S3_PREFIX,
+                region: process.env.S3_REGION || 'us-east-1',
+                endpoint: process.env.S3_ENDPOINT,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${DRIVER}`);
+    }
+}
+
+const storage = createStorage();
+
+function toKey(fileUrl) {
+    return fileUrl.replace(/^\/+/, '');
+}
+
+/**
+ * Stored path for a new file
+ *
+ * @param {string} folder - 'uploads' or 'signed'
+ * @param {string} fileName - Kept after a unique prefix
+ * @returns {string} - e.g. '/uploads/<uuid>-contract.pdf'
+ */
+function newFileUrl(folder, fileName) {
+    return `/${folder}/${uuidv4()}-${path.basename(fileName)}`;
+}
+
+/**
+ * Store a PDF under a new name
+ *
+ * @param {string} folder - 'uploads' or 'signed'
+ * @param {string} fileName - Name to keep, e.g. 'signed.pdf'
+ * @param {Buffer} buffer - File contents
+ * @param {Buffer|null} dataKey - Encrypts the stored file
+ * @returns {Promise<string>} - Stored path
+ */
+async function saveFile(folder, fileName, buffer, dataKey = null) {
+    const fileUrl = newFileUrl(folder, fileName);
+    await storage.put(toKey(fileUrl), encryptBuffer(buffer, dataKey), { contentType: 'application/pdf' });
+    return fileUrl;
+}
+
+/**
+ * Contents of a stored file
+ *
+ * @param {string} fileUrl - Stored path
+ * @param {Buffer|null} dataKey - Decrypts the file, if it is encrypted
+ * @returns {Promise<Buffer>}
+ */
+async function readFile(fileUrl, dataKey = null) {
+    return decryptBuffer(await storage.get(toKey(fileUrl)), dataKey);
+}
+
+/**
+ * Copy a stored file under a new name in the same folder
+ *
+ * @param {string} fileUrl - Stored path of the source
+ * @param {string} fileName - Name to keep
+ * @param {Buffer|null} fromDataKey - Data key the source is encrypted with
+ * @param {Buffer|null} toDataKey - Data key to encrypt the copy with
+ * @returns {Promise<string>} - Stored path of the copy
+ */
+async function copyFile(fileUrl, fileName, fromDataKey = null, toDataKey = null) {
+    const copyUrl = newFileUrl(toKey(fileUrl).split('/')[0], fileName);
+    if (!fromDataKey && !toDataKey) {
+        await storage.copy(toKey(fileUrl), toKey(copyUrl));
+    } else {
+        const buffer = await readFile(fileUrl, fromDataKey);
+        await storage.put(toKey(copyUrl), encryptBuffer(buffer, toDataKey), { contentType: 'application/pdf' });
+    }
+    return copyUrl;
+}
+
+async function removeFile(fileUrl) {
+    await storage.remove(toKey(fileUrl));
+}
+
+/**
+ * Stream a stored PDF as the response (404 if it is missing)
+ *
+ * With a data key the file is decrypted whole first: GCM only
+ * authenticates it at the end, and nothing unverified should go out.
+ *
+ * @param {Object} res - Express response
+ * @param {string} fileUrl - Stored path
+ * @param {Buffer|null} dataKey - Decrypts the file, if it is encrypted
+ * @param {Object} options - {
+ *   contentDisposition: Content-Disposition header, if any,
+ *   beforeSend: async function run once the file is found, before any byte
+ *     goes out (e.g. an audit entry); if it throws, nothing is sent
+ * }
+ */
+async function sendFile(res, fileUrl, dataKey = null, { contentDisposition, beforeSend } = {}) {
+    let buffer;
+    let stream;
+    try {
+        if (dataKey) {
+            buffer = await readFile(fileUrl, dataKey);
+        } else {
+            stream = await storage.createReadStream(toKey(fileUrl));
+        }
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        throw error;
+    }
+
+    if (beforeSend) {
+        try {
+            await beforeSend();
+        } catch (error) {
+            stream?.destroy();
+            throw error;
+        }
+    }
+
+    res.type('application/pdf');
+    if (contentDisposition) res.set('Content-Disposition', contentDisposition);
+
+    if (buffer) {
+        return res.send(buffer);
+    }
+    stream.on('error', (error) => {
+        console.error('Stream file error:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+}
+
+/**
+ * Multer storage engine streaming uploads straight into storage
+ *
+ * Each file is stored as it arrives, under newFileUrl(folder, originalname).
+ * req.file gets `fileUrl`, `size` and `hash` (SHA-256 hex); nothing is kept
+ * in memory, so routes read the file back from storage to parse it. With
+ * encryption enabled the file is stored encrypted under a new data key,
+ * whose envelope is `encryption` (for Document.encryption); size and hash
+ * are of the plaintext.
+ *
+ * @param {string} folder - 'uploads'
+ */
+function createUploadStorage(folder) {
+    return {
+        _handleFile(req, file, cb) {
+            const fileUrl = newFileUrl(folder, file.originalname);
+            const encryption = createEnvelope();
+            const dataKey = openEnvelope(encryption);
+            const hash = crypto.createHash('sha256');
+            let size = 0;
+            const body = dataKey ? createEncryptStream(dataKey) : new PassThrough();
+
+            file.stream.on('data', (chunk) => {
+                hash.update(chunk);
+                size += chunk.length;
+            });
+            file.stream.pipe(body);
+
+            storage.put(toKey(fileUrl), body, { contentType: file.mimetype })
+                .then(() => cb(null, { fileUrl, size, hash: hash.digest('hex'), encryption }))
+                .catch(cb);
+        },
+
+        _removeFile(req, file, cb) {
+            removeFile(file.fileUrl).then(() => cb(null), cb);
+        }
+    };
+}
+
+module.exports = {
+    storage,
+    saveFile,
+    readFile,
+    copyFile,
+    removeFile,
+    sendFile,
+    createUploadStorage
+};
@@ -0,0 +1,64 @@
+/**
+ * Local disk storage driver
+ *
+ * Keys are paths below STORAGE_LOCAL_DIR (default: backend/, so existing
+ * 'uploads/...' and 'signed/...' files keep working). Only usable by one
+ * backend instance, or several sharing a network volume.
+ */
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+function createLocalStorage({ rootDir }) {
+    const root = path.resolve(rootDir);
+
+    function resolve(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        async put(key, body) {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            if (Buffer.isBuffer(body)) {
+                await fs.promises.writeFile(filePath, body);
+            } else {
+                try {
+                    await pipeline(body, fs.createWriteStream(filePath));
+                } catch (error) {
+                    await fs.promises.rm(filePath, { force: true });
+                    throw error;
+                }
+            }
+        },
+
+        async get(key) {
+            return fs.promises.readFile(resolve(key));
+        },
+
+        async createReadStream(key) {
+            const filePath = resolve(key);
+            // Fail here, not on the first read, when the file is missing
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        async copy(fromKey, toKey) {
+            const target = resolve(toKey);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(resolve(fromKey), target);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,85 @@
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, ...)
+ *
+ * Keys are object keys in S3_BUCKET, below S3_PREFIX if set. Every backend
+ * instance sees the same files.
+ */
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+function createS3Storage({ bucket, prefix = '', region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        // Without explicit keys the default AWS credential chain applies
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const objectKey = (key) => `${prefix}${key}`;
+
+    // Same error for a missing object as the local driver
+    function notFound(error, key) {
+        if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
+            const missing = new Error(`No such file: ${key}`);
+            missing.code = 'ENOENT';
+            return missing;
+        }
+        return error;
+    }
+
+    async function getObject(key) {
+        try {
+            return await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        } catch (error) {
+            throw notFound(error, key);
+        }
+    }
+
+    return {
+        name: 's3',
+
+        async put(key, body, { contentType } = {}) {
+            const params = { Bucket: bucket, Key: objectKey(key), Body: body, ContentType: contentType };
+            if (Buffer.isBuffer(body)) {
+                await client.send(new PutObjectCommand(params));
+            } else {
+                // Streams of unknown length go up as a multipart upload
+                await new Upload({ client, params }).done();
+            }
+        },
+
+        async get(key) {
+            const object = await getObject(key);
+            return Buffer.from(await object.Body.transformToByteArray());
+        },
+
+        async createReadStream(key) {
+            return (await getObject(key)).Body;
+        },
+
+        async copy(fromKey, toKey) {
+            try {
+                await client.send(new CopyObjectCommand({
+                    Bucket: bucket,
+                    Key: objectKey(toKey),
+                    CopySource: `${bucket}/${objectKey(fromKey).split('/').map(encodeURIComponent).join('/')}`
+                }));
+            } catch (error) {
+                throw notFound(error, fromKey);
+            }
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        }
+    };
+}
+
+module.exports = { createS3Storage };
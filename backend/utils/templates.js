@@ -0,0 +1,174 @@
+/**
+ * DOCUMENT TEMPLATES
+ *
+ * A template keeps its own copy of a PDF plus the field layout of the
+ * document it was made from. Recipients become roles: each new document
+ * from the template names a person for every role, and fields assigned to
+ * a role are assigned to that person.
+ */
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const Document = require('../models/Document');
+const Field = require('../models/Field');
+const { copyFile, removeFile } = require('./storage');
+const { createEnvelope, openEnvelope, getDocumentKey } = require('./encryption');
+
+const FIELD_LAYOUT_KEYS = ['fieldType', 'label', 'radioGroup', 'optionValue', 'options', 'numberFormat', 'position', 'required', 'fontFamily', 'textStyle', 'validation', 'acroFieldName'];
+
+/**
+ * Build an unsaved template from a document, still pointing at the
+ * document's own PDF
+ *
+ * @param {Object} document - Source Document
+ * @param {Array} fields - Its fields (values are not copied)
+ * @param {Object} options - { name, ownerId }
+ * @returns {Object} - Unsaved Template
+ */
+function buildTemplate(document, fields, { name, ownerId }) {
+    const template = new Template({
+        ownerId,
+        name,
+        fileName: document.originalFileName,
+        fileUrl: document.originalFileUrl,
+        fileHash: document.originalHash,
+        // The document's own PDF is encrypted with the document's key
+        encryption: document.encryption?.wrappedKey
+            ? { keyId: document.encryption.keyId, wrappedKey: document.encryption.wrappedKey }
+            : undefined,
+        pdfMetadata: document.pdfMetadata.toObject(),
+        signingOrder: document.signingOrder,
+        fontFamily: document.fontFamily,
+        signatureInfo: document.signatureInfo?.toObject()
+    });
+
+    // Recipients become roles named after them; fields follow by position in the list
+    const roleIds = new Map();
+    for (const recipient of document.recipients) {
+        template.roles.push({
+            name: recipient.name,
+            role: recipient.role,
+            routingOrder: recipient.routingOrder,
+            color: recipient.color
+        });
+        roleIds.set(String(recipient._id), template.roles[template.roles.length - 1]._id);
+    }
+
+    // Conditions point at other fields by position in the list
+    const fieldIndexes = new Map(fields.map((field, index) => [String(field._id), index]));
+    template.fields = fields.map(field => ({
+        ...pick(field.toObject(), FIELD_LAYOUT_KEYS),
+        roleId: field.recipientId ? roleIds.get(String(field.recipientId)) : undefined,
+        condition: fieldIndexes.has(String(field.condition?.fieldId))
+            ? {
+                fieldIndex: fieldIndexes.get(String(field.condition.fieldId)),
+                operator: field.condition.operator,
+                value: field.condition.value,
+                action: field.condition.action
+            }
+            : undefined
+    }));
+
+    return template;
+}
+
+/**
+ * Save a document's PDF, fields and recipients as a template
+ *
+ * @param {Object} document - Source Document
+ * @param {Array} fields - Its fields (values are not copied)
+ * @param {Object} options - { name, ownerId }
+ * @returns {Promise<Object>} - The Template
+ */
+async function createTemplateFromDocument(document, fields, options) {
+    const template = buildTemplate(document, fields, options);
+    template.encryption = createEnvelope();
+    template.fileUrl = await copyFile(
+        document.originalFileUrl,
+        document.originalFileName,
+        await getDocumentKey(document),
+        openEnvelope(template.encryption)
+    );
+    try {
+        return await template.save();
+    } catch (error) {
+        await removeFile(template.fileUrl).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Roles a list of recipients does not cover
+ *
+ * @param {Object} template - Template
+ * @param {Array} recipients - [{ roleId, name, email }]
+ * @returns {Array} - Template roles without a name and email
+ */
+function findMissingRoles(template, recipients = []) {
+    return template.roles.filter(role => {
+        const recipient = recipients.find(r => String(r.roleId) === String(role._id));
+        return !recipient?.name || !recipient?.email;
+    });
+}
+
+/**
+ * Create a new document from a template
+ *
+ * @param {Object} template - Template
+ * @param {Object} options - { ownerId, recipients: [{ roleId, name, email }], values },
+ *   one recipient per role (see findMissingRoles); values prefill fields by
+ *   label, { [label]: value }
+ * @returns {Promise<Object>} - { document, fields }
+ */
+async function instantiateTemplate(template, { ownerId, recipients = [], values = {} }) {
+    const encryption = createEnvelope();
+    const document = new Document({
+        ownerId,
+        originalFileName: template.fileName,
+        originalFileUrl: await copyFile(template.fileUrl, template.fileName, openEnvelope(template.encryption), openEnvelope(encryption)),
+        originalHash: template.fileHash,
+        encryption,
+        pdfMetadata: template.pdfMetadata,
+        signingOrder: template.signingOrder,
+        fontFamily: template.fontFamily,
+        signatureInfo: template.signatureInfo,
+        status: template.fields.length > 0 ? 'pending_signature' : 'draft'
+    });
+
+    const recipientIds = new Map();
+    for (const role of template.roles) {
+        const { name, email } = recipients.find(r => String(r.roleId) === String(role._id));
+        document.recipients.push({ name, email, role: role.role, routingOrder: role.routingOrder, color: role.color });
+        recipientIds.set(String(role._id), document.recipients[document.recipients.length - 1]._id);
+    }
+
+    try {
+        await document.save();
+
+        // Ids up front, so conditions can point at the new fields
+        const fieldIds = template.fields.map(() => new mongoose.Types.ObjectId());
+        const fields = await Field.insertMany(template.fields.map((field, index) => ({
+            _id: fieldIds[index],
+            documentId: document._id,
+            ...pick(field.toObject(), FIELD_LAYOUT_KEYS),
+            condition: field.condition
+                ? { ...pick(field.condition, ['operator', 'value', 'action']), fieldId: fieldIds[field.condition.fieldIndex] }
+                : undefined,
+            recipientId: field.roleId ? recipientIds.get(String(field.roleId)) : undefined,
+            value: Object.hasOwn(values, field.label) ? values[field.label] : undefined
+        })));
+
+        return { document, fields };
+    } catch (error) {
+        // No half-made document: drop it, any fields inserted and its copy of the PDF
+        await Field.deleteMany({ documentId: document._id });
+        await Document.deleteOne({ _id: document._id });
+        await removeFile(document.originalFileUrl).catch(() => {});
+        throw error;
+    }
+}
+
+function pick(object, keys) {
+    return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+module.exports = { buildTemplate, createTemplateFromDocument, findMissingRoles, instantiateTemplate };
@@ -0,0 +1,243 @@
+/**
+ * OUTBOUND WEBHOOKS
+ *
+ * Every audit log entry is an event: each active Webhook of the document's
+ * owner listing its action gets a WebhookDelivery queued. The queue lives in
+ * MongoDB, so pending deliveries survive restarts. A worker sends due
+ * deliveries as a JSON POST with these headers:
+ *   X-Webhook-Id         delivery id (the same on every retry)
+ *   X-Webhook-Event      the audit action, or 'ping'
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  'sha256=' + hex HMAC-SHA256 of `${timestamp}.${body}`,
+ *                        keyed with the webhook's secret
+ * A 2xx response completes the delivery. Anything else is retried after
+ * WEBHOOK_RETRY_BASE_MS (default 30s), doubling each time, until
+ * WEBHOOK_MAX_ATTEMPTS (default 8) attempts have failed.
+ */
+const crypto = require('crypto');
+const Document = require('../models/Document');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery becomes due again if its sender dies mid-request
+const CLAIM_LEASE_MS = REQUEST_TIMEOUT_MS * 3;
+
+function generateWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signature header value for a request body
+ *
+ * @param {string} secret - Webhook.secret
+ * @param {number} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - 'sha256=<hex>'
+ */
+function signWebhookBody(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Wait before the next attempt, after `attempts` failed ones
+ */
+function getRetryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * JSON body describing an audit log entry
+ */
+function buildEventPayload(entry, document) {
+    return JSON.parse(JSON.stringify({
+        event: entry.action,
+        createdAt: entry.performedBy?.timestamp || new Date(),
+        document: {
+            id: document._id,
+            fileName: document.originalFileName,
+            status: document.status
+        },
+        auditLog: {
+            id: entry._id,
+            sequence: entry.sequence,
+            entryHash: entry.entryHash,
+            performedBy: {
+                userId: entry.performedBy?.userId,
+                email: entry.performedBy?.email
+            },
+            details: entry.details
+        }
+    }));
+}
+
+/**
+ * Queue deliveries of an audit log entry to the owner's subscribed webhooks
+ *
+ * @param {Object} entry - Saved AuditLog entry
+ * @returns {Promise<Array>} - Queued WebhookDelivery records
+ */
+async function enqueueAuditEvent(entry) {
+    const document = await Document.findById(entry.documentId);
+    if (!document?.ownerId) return [];
+
+    const webhooks = await Webhook.find({ ownerId: document.ownerId, active: true, events: entry.action });
+    if (webhooks.length === 0) return [];
+
+    const payload = buildEventPayload(entry, document);
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+        webhookId: webhook._id,
+        event: entry.action,
+        documentId: document._id,
+        auditLogId: entry._id,
+        payload
+    })));
+
+    processDueDeliveries();
+    return deliveries;
+}
+
+/**
+ * Queue a 'ping' to check a webhook's endpoint and secret
+ */
+async function enqueuePing(webhook) {
+    const delivery = await WebhookDelivery.create({
+        webhookId: webhook._id,
+        event: 'ping',
+        payload: { event: 'ping', createdAt: new Date(), webhook: { id: webhook._id, events: webhook.events } }
+    });
+
+    processDueDeliveries();
+    return delivery;
+}
+
+/**
+ * Queue a past delivery again, as a new delivery with the same payload
+ */
+async function redeliver(delivery) {
+    const copy = await WebhookDelivery.create({
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        documentId: delivery.documentId,
+        auditLogId: delivery.auditLogId,
+        redeliveryOf: delivery._id,
+        payload: delivery.payload
+    });
+
+    processDueDeliveries();
+    return copy;
+}
+
+/**
+ * Send a delivery once and record the attempt
+ *
+ * @param {Object} delivery - Claimed WebhookDelivery
+ * @returns {Promise<Object>} - The delivery, rescheduled or completed
+ */
+async function attemptDelivery(delivery) {
+    const webhook = await Webhook.findById(delivery.webhookId);
+    const attempt = { at: new Date() };
+
+    if (!webhook) {
+        attempt.error = 'Webhook was deleted';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'SignatureEngine-Webhooks',
+                    'X-Webhook-Id': String(delivery._id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signWebhookBody(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            await response.body?.cancel();
+
+            attempt.responseStatus = response.status;
+            if (!response.ok) attempt.error = `Responded with HTTP ${response.status}`;
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError'
+                ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+                : error.cause?.message || error.message;
+        }
+    }
+    attempt.durationMs = Date.now() - attempt.at.getTime();
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+        delivery.status = 'succeeded';
+        delivery.completedAt = new Date();
+    } else if (!webhook || delivery.attempts.length >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.completedAt = new Date();
+    } else {
+        delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts.length));
+    }
+
+    await delivery.save();
+    return delivery;
+}
+
+// One sending loop per process; the claim keeps processes from sharing a delivery
+let processing = false;
+
+/**
+ * Send every delivery that is due, oldest first
+ */
+async function processDueDeliveries() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        for (;;) {
+            const now = Date.now();
+            const delivery = await WebhookDelivery.findOneAndUpdate(
+                { status: 'pending', nextAttemptAt: { $lte: new Date(now) } },
+                { nextAttemptAt: new Date(now + CLAIM_LEASE_MS) },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!delivery) break;
+
+            await attemptDelivery(delivery);
+        }
+    } catch (error) {
+        console.error('Webhook delivery error:', error);
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Poll the queue for due deliveries (retries, and any left by a restart)
+ *
+ * @returns {Object} - The interval timer
+ */
+function startWebhookWorker() {
+    const timer = setInterval(processDueDeliveries, POLL_INTERVAL_MS);
+    timer.unref();
+    processDueDeliveries();
+    return timer;
+}
+
+module.exports = {
+    generateWebhookSecret,
+    signWebhookBody,
+    getRetryDelay,
+    enqueueAuditEvent,
+    enqueuePing,
+    redeliver,
+    attemptDelivery,
+    processDueDeliveries,
+    startWebhookWorker
+};
@@ -1,7 +1,26 @@
+import { useState } from 'react'
 import DocumentEditor from './components/DocumentEditor'
+import VerifyDocument from './components/VerifyDocument'
+import SignerView from './components/SignerView'
+import Login from './components/Login'
+import { getCurrentUser } from './services/api'
 
 function App() {
-  return <DocumentEditor />
+  const [user, setUser] = useState(getCurrentUser)
+
+  // Public verification page, reachable without opening the editor
+  if (window.location.pathname === '/verify') {
+    return <VerifyDocument />
+  }
+  // Recipient signing links: /sign/<token>
+  const signLink = window.location.pathname.match(/^\/sign\/([\w-]+)$/)
+  if (signLink) {
+    return <SignerView token={signLink[1]} />
+  }
+  if (!user) {
+    return <Login onLogin={setUser} />
+  }
+  return <DocumentEditor user={user} />
 }
 
 export default App
@@ -4,6 +4,8 @@ import { HTML5Backend } from 'react-dnd-html5-backend';
 import PDFViewer from '../PDFViewer';
 import FieldToolbar from '../FieldToolbar';
 import SignatureCanvas from '../SignatureCanvas';
+import RecipientsModal from '../RecipientsModal';
+import TemplatePicker from '../TemplatePicker';
 import {
     uploadDocument,
     createField,
@@ -11,11 +13,24 @@ import {
     deleteField,
     setFieldValue,
     signPdf,
-    getFileUrl
+    addRecipient,
+    updateRecipient,
+    removeRecipient,
+    createSigningLink,
+    sendDocument,
+    remindRecipient,
+    getEmailHistory,
+    setSigningOrder,
+    createTemplate,
+    getDocumentFileUrl,
+    getDownloadUrl,
+    logout
 } from '../../services/api';
+import { getGroupOptions } from '../../utils/radioGroups';
+import { isAutoField } from '../../utils/autoFields';
 import './DocumentEditor.css';
 
-function DocumentEditor() {
+function DocumentEditor({ user }) {
     const [document, setDocument] = useState(null);
     const [fields, setFields] = useState([]);
     const [pdfUrl, setPdfUrl] = useState(null);
@@ -24,6 +39,11 @@ function DocumentEditor() {
     const [successMessage, setSuccessMessage] = useState('');
     const [selectedField, setSelectedField] = useState(null);
     const [dragOver, setDragOver] = useState(false);
+    const [recipients, setRecipients] = useState([]);
+    const [activeRecipientId, setActiveRecipientId] = useState(null);
+    const [showRecipients, setShowRecipients] = useState(false);
+    const [emails, setEmails] = useState([]);
+    const [showTemplates, setShowTemplates] = useState(false);
 
     const fileInputRef = useRef(null);
 
@@ -33,8 +53,10 @@ function DocumentEditor() {
         try {
             const result = await uploadDocument(file);
             setDocument(result.document);
-            setFields([]);
-            setPdfUrl(getFileUrl(result.document.fileUrl));
+            setFields(result.fields || []);
+            setRecipients([]);
+            setActiveRecipientId(null);
+            setPdfUrl(await getDocumentFileUrl(result.document.id, 'original'));
             setView('editor');
             showSuccess('PDF uploaded successfully!');
         } catch (error) {
@@ -45,6 +67,38 @@ function DocumentEditor() {
         }
     };
 
+    // result: { document, fields } from createDocumentFromTemplate
+    const handleTemplateCreate = async (result) => {
+        setShowTemplates(false);
+        setLoading(true);
+        try {
+            setDocument(result.document);
+            setFields(result.fields);
+            setRecipients(result.document.recipients);
+            setActiveRecipientId(result.document.recipients[0]?._id || null);
+            setPdfUrl(await getDocumentFileUrl(result.document.id, 'original'));
+            setView('editor');
+            showSuccess('Document created from template!');
+        } catch (error) {
+            console.error('Open document error:', error);
+            alert('Failed to open document');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSaveTemplate = async () => {
+        const name = prompt('Template name', document.fileName);
+        if (!name) return;
+        try {
+            await createTemplate(document.id, name);
+            showSuccess('Template saved!');
+        } catch (error) {
+            console.error('Save template error:', error);
+            alert(error.response?.data?.error || 'Failed to save template');
+        }
+    };
+
     const handleFileChange = (e) => {
         const file = e.target.files?.[0];
         if (file) handleUpload(file);
@@ -63,8 +117,17 @@ function DocumentEditor() {
 
     const handleFieldAdd = useCallback(async (fieldData) => {
         if (!document) return;
+
+        // Dropdowns are created with their choices
+        let options;
+        if (fieldData.fieldType === 'dropdown') {
+            const input = window.prompt('Dropdown options, separated by commas');
+            options = (input || '').split(',').map(option => option.trim()).filter(Boolean);
+            if (options.length === 0) return;
+        }
+
         try {
-            const result = await createField({ documentId: document.id, ...fieldData });
+            const result = await createField({ documentId: document.id, ...fieldData, options });
             setFields(prev => [...prev, result.field]);
         } catch (error) {
             console.error('Add field error:', error);
@@ -86,32 +149,160 @@ function DocumentEditor() {
     }, []);
 
     const handleFieldClick = useCallback((field) => {
+        // Auto-filled fields get their text when the document is signed
+        if (isAutoField(field)) return;
         setSelectedField(field);
     }, []);
 
-    const handleFieldValueSave = useCallback(async (value) => {
-        if (!selectedField) return;
+    // target: the chosen option when answering a radio group;
+    // options: { applyToAll } for initials
+    const handleFieldValueSave = useCallback(async (value, target = selectedField, options) => {
+        if (!target) return;
         try {
-            await setFieldValue(selectedField._id || selectedField.id, value);
-            setFields(prev => prev.map(f =>
-                (f._id === selectedField._id || f.id === selectedField.id) ? { ...f, value } : f
-            ));
+            const result = await setFieldValue(target._id || target.id, value, undefined, options);
+            // Other radio group options and reused initials change along with it
+            const updates = new Map(result.updatedFields.map(f => [f._id, f.value]));
+            setFields(prev => prev.map(f => {
+                if (f._id === target._id || f.id === target.id) return { ...f, value: result.field.value };
+                return updates.has(f._id) ? { ...f, value: updates.get(f._id) } : f;
+            }));
             setSelectedField(null);
             showSuccess('Field saved!');
-        } catch (error) { console.error(error); }
+        } catch (error) {
+            console.error(error);
+            // e.g. sequential signing: an earlier recipient has not finished
+            if (error.response?.status === 409) alert(error.response.data.error);
+        }
     }, [selectedField]);
 
+    const handleRecipientAdd = async (recipient) => {
+        try {
+            const result = await addRecipient(document.id, recipient);
+            setRecipients(prev => [...prev, result.recipient]);
+            // New signers become the target of dropped fields
+            if (result.recipient.role === 'signer') setActiveRecipientId(result.recipient._id);
+            return true;
+        } catch (error) {
+            console.error('Add recipient error:', error);
+            alert(error.response?.data?.error || 'Failed to add recipient');
+            return false;
+        }
+    };
+
+    const handleRecipientUpdate = async (recipientId, updates) => {
+        setRecipients(prev => prev.map(r => r._id === recipientId ? { ...r, ...updates } : r));
+        try { await updateRecipient(document.id, recipientId, updates); } catch (error) { console.error(error); }
+    };
+
+    const handleRecipientRemove = async (recipientId) => {
+        try {
+            await removeRecipient(document.id, recipientId);
+            setRecipients(prev => prev.filter(r => r._id !== recipientId));
+            // Their fields are unassigned on the server
+            setFields(prev => prev.map(f => f.recipientId === recipientId ? { ...f, recipientId: undefined } : f));
+            if (activeRecipientId === recipientId) setActiveRecipientId(null);
+        } catch (error) { console.error(error); }
+    };
+
+    // Each call issues a new link and revokes the recipient's previous one
+    const handleCreateLink = async (recipientId) => {
+        try {
+            const { url } = await createSigningLink(document.id, recipientId);
+            try {
+                await navigator.clipboard.writeText(url);
+                showSuccess('Signing link copied!');
+            } catch {
+                window.prompt('Signing link', url);
+            }
+        } catch (error) {
+            console.error('Create signing link error:', error);
+            alert(error.response?.data?.error || 'Failed to create signing link');
+        }
+    };
+
+    const handleOpenRecipients = () => {
+        setShowRecipients(true);
+        getEmailHistory(document.id)
+            .then(result => setEmails(result.emails))
+            .catch(error => console.error('Email history error:', error));
+    };
+
+    // Signers who were emailed get a fresh notifiedAt
+    const markNotified = (sent) => {
+        const now = new Date().toISOString();
+        setRecipients(prev => prev.map(r =>
+            sent.some(e => e.status === 'sent' && e.recipientId === r._id) ? { ...r, notifiedAt: now } : r
+        ));
+    };
+
+    const handleRemind = async (recipientId) => {
+        try {
+            const { email } = await remindRecipient(document.id, recipientId);
+            if (email.status === 'sent') {
+                markNotified([email]);
+                showSuccess(`Reminder sent to ${email.to}`);
+            } else {
+                alert(`Could not email ${email.to}: ${email.error}`);
+            }
+        } catch (error) {
+            console.error('Remind error:', error);
+            alert(error.response?.data?.error || 'Failed to send reminder');
+        }
+    };
+
+    // Emails the signers a signing link (the next ones follow as earlier ones finish)
+    const handleSend = async () => {
+        if (!document) return;
+        if (!recipients.some(r => r.role === 'signer')) {
+            alert('Add a signer to send the document to');
+            setShowRecipients(true);
+            return;
+        }
+        const message = window.prompt('Message to the signers (optional)', '');
+        if (message === null) return;
+
+        setLoading(true);
+        try {
+            const result = await sendDocument(document.id, message || undefined);
+            setDocument(prev => ({ ...prev, status: result.status, sentAt: new Date().toISOString() }));
+            markNotified(result.emails);
+            const failed = result.emails.filter(e => e.status !== 'sent');
+            if (failed.length > 0) {
+                alert(`Could not email:\n${failed.map(e => `• ${e.to}: ${e.error}`).join('\n')}`);
+            } else {
+                showSuccess(`Sent to ${result.emails.map(e => e.to).join(', ')}`);
+            }
+        } catch (error) {
+            console.error('Send error:', error);
+            alert(error.response?.data?.error || 'Failed to send document');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSigningOrderChange = async (signingOrder) => {
+        setDocument(prev => ({ ...prev, signingOrder }));
+        try { await setSigningOrder(document.id, signingOrder); } catch (error) { console.error(error); }
+    };
+
     const handleSign = async () => {
         if (!document) return;
         setLoading(true);
         try {
             const result = await signPdf(document.id);
             setDocument(prev => ({ ...prev, signedFileUrl: result.signedPdfUrl }));
-            showSuccess('Document signed successfully!');
-            window.open(getFileUrl(result.signedPdfUrl), '_blank');
+            showSuccess(document.sentAt ? 'Signed! The PDF is emailed to everyone.' : 'Document signed successfully!');
+            window.location.assign(await getDownloadUrl(document.id, 'signed'));
         } catch (error) {
             console.error('Sign error:', error);
-            alert('Failed to sign document');
+            const { pending, invalidFields } = error.response?.data || {};
+            if (pending) {
+                alert(`Waiting for ${pending.map(r => r.name).join(', ')} to complete their fields`);
+            } else if (invalidFields) {
+                alert(`Fix these fields first:\n${invalidFields.map(f => `• ${f.label}: ${f.errors.join(', ')}`).join('\n')}`);
+            } else {
+                alert(error.response?.data?.error || 'Failed to sign document');
+            }
         } finally {
             setLoading(false);
         }
@@ -135,9 +326,16 @@ function DocumentEditor() {
                     </div>
                     <div className="header-right">
                         <span className="counter-badge">2/6</span>
+                        <a className="icon-btn" href="/verify" title="Verify a document">✓</a>
                         <button className="icon-btn">文</button>
                         <button className="icon-btn">?</button>
-                        <div className="user-avatar">R</div>
+                        <button
+                            className="user-avatar"
+                            onClick={logout}
+                            title={`${user?.email} (log out)`}
+                        >
+                            {(user?.name || user?.email || '?')[0].toUpperCase()}
+                        </button>
                     </div>
                 </header>
 
@@ -163,6 +361,15 @@ function DocumentEditor() {
                                 <p>Send PDF for Signature</p>
                             </div>
                         </div>
+                        <div className="type-card horizontal" onClick={() => setShowTemplates(true)}>
+                            <div className="card-icon purple">
+                                <span className="template-icon">📄</span>
+                            </div>
+                            <div className="card-content">
+                                <h3>Template</h3>
+                                <p>Start from a Saved Template</p>
+                            </div>
+                        </div>
                     </div>
                 </main>
 
@@ -173,6 +380,12 @@ function DocumentEditor() {
                     onChange={handleFileChange}
                     hidden
                 />
+                {showTemplates && (
+                    <TemplatePicker
+                        onCreate={handleTemplateCreate}
+                        onClose={() => setShowTemplates(false)}
+                    />
+                )}
                 {loading && <div className="loading-overlay"><div className="spinner"></div></div>}
             </div>
         );
@@ -187,8 +400,16 @@ function DocumentEditor() {
                     <button className="close-btn" onClick={() => setView('home')}>✕</button>
                     <span className="doc-name">{document?.fileName || 'Untitled'}</span>
                     <div className="header-actions">
-                        <button className="action-btn">👤+</button>
-                        <button className="send-btn" onClick={handleSign} disabled={loading}>
+                        <button className="action-btn" onClick={handleOpenRecipients} title="Recipients">
+                            👤+
+                        </button>
+                        <button className="action-btn" onClick={handleSaveTemplate} title="Save as template">
+                            📄
+                        </button>
+                        <button className="action-btn" onClick={handleSign} disabled={loading} title="Sign and download">
+                            ✍️
+                        </button>
+                        <button className="send-btn" onClick={handleSend} disabled={loading}>
                             Send
                         </button>
                         <button className="action-btn">?</button>
@@ -209,6 +430,7 @@ function DocumentEditor() {
                     <PDFViewer
                         pdfUrl={pdfUrl}
                         fields={fields}
+                        recipients={recipients}
                         onFieldAdd={handleFieldAdd}
                         onFieldUpdate={handleFieldUpdate}
                         onFieldDelete={handleFieldDelete}
@@ -222,16 +444,36 @@ function DocumentEditor() {
 
                 {/* Bottom Field Toolbar */}
                 <div className="bottom-toolbar">
-                    <FieldToolbar />
+                    <FieldToolbar
+                        recipients={recipients}
+                        activeRecipientId={activeRecipientId}
+                        onChangeRecipient={setActiveRecipientId}
+                    />
                 </div>
 
                 {selectedField && (
                     <SignatureCanvas
                         field={selectedField}
+                        groupOptions={getGroupOptions(fields, selectedField)}
                         onSave={handleFieldValueSave}
                         onClose={() => setSelectedField(null)}
                     />
                 )}
+                {showRecipients && (
+                    <RecipientsModal
+                        recipients={recipients}
+                        signingOrder={document?.signingOrder}
+                        sent={!!document?.sentAt}
+                        emails={emails}
+                        onAdd={handleRecipientAdd}
+                        onUpdate={handleRecipientUpdate}
+                        onRemove={handleRecipientRemove}
+                        onCreateLink={handleCreateLink}
+                        onRemind={handleRemind}
+                        onSigningOrderChange={handleSigningOrderChange}
+                        onClose={() => setShowRecipients(false)}
+                    />
+                )}
                 {loading && <div className="loading-overlay"><div className="spinner"></div></div>}
                 {successMessage && <div className="toast">{successMessage}</div>}
             </div>
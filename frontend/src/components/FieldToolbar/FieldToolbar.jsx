@@ -1,9 +1,26 @@
+import { useState } from 'react';
 import { useDrag } from 'react-dnd';
 import './FieldToolbar.css';
 
+// fieldType: what the dropped field is created as (a Field.fieldType)
 const fieldTypes = [
-    { type: 'signature', label: 'Signature', iconType: 'signature' },
-    { type: 'upload', label: 'Upload\nSignature', iconType: 'upload' },
+    { fieldType: 'signature', label: 'Signature', iconType: 'signature' },
+    { fieldType: 'initials', label: 'Initials', iconType: 'initials' },
+    { fieldType: 'image', label: 'Upload\nSignature', iconType: 'upload' },
+    { fieldType: 'stamp', label: 'Company\nStamp', iconType: 'stamp' },
+    { fieldType: 'name', label: 'Name', iconType: 'name' },
+    { fieldType: 'email', label: 'Email', iconType: 'email' },
+    { fieldType: 'number', label: 'Number', iconType: 'hash' },
+    { fieldType: 'dropdown', label: 'Dropdown', iconType: 'dropdown' },
+];
+
+// Filled in automatically when the document is signed
+const autoFieldTypes = [
+    { fieldType: 'signer_name', label: 'Signer\nName', iconType: 'name' },
+    { fieldType: 'signer_email', label: 'Signer\nEmail', iconType: 'email' },
+    { fieldType: 'date_signed', label: 'Date\nSigned', iconType: 'date' },
+    { fieldType: 'document_id', label: 'Document\nID', iconType: 'hash' },
+    { fieldType: 'page_number', label: 'Page\nNumber', iconType: 'page' },
 ];
 
 // SVG Icons matching BoloForms style
@@ -22,26 +39,98 @@ const UploadIcon = () => (
     </svg>
 );
 
+const NameIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <circle cx="12" cy="8" r="4" />
+        <path d="M4 21v-1a6 6 0 0 1 6-6h4a6 6 0 0 1 6 6v1" />
+    </svg>
+);
+
+const EmailIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <rect x="3" y="5" width="18" height="14" rx="2" />
+        <polyline points="3 7 12 13 21 7" />
+    </svg>
+);
+
+const DateIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <rect x="3" y="4" width="18" height="18" rx="2" />
+        <line x1="16" y1="2" x2="16" y2="6" />
+        <line x1="8" y1="2" x2="8" y2="6" />
+        <line x1="3" y1="10" x2="21" y2="10" />
+    </svg>
+);
+
+const HashIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <line x1="4" y1="9" x2="20" y2="9" />
+        <line x1="4" y1="15" x2="20" y2="15" />
+        <line x1="10" y1="3" x2="8" y2="21" />
+        <line x1="16" y1="3" x2="14" y2="21" />
+    </svg>
+);
+
+const PageIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+        <polyline points="14 2 14 8 20 8" />
+    </svg>
+);
+
+const InitialsIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M4 18V6l5 12V6" />
+        <path d="M14 6h5M16.5 6v12" />
+        <path d="M3 21h18" />
+    </svg>
+);
+
+const StampIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M9 3h6v5l-1 5h-4L9 8z" />
+        <rect x="4" y="13" width="16" height="5" rx="1" />
+        <line x1="4" y1="21" x2="20" y2="21" />
+    </svg>
+);
+
+const DropdownIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <rect x="3" y="6" width="18" height="12" rx="2" />
+        <polyline points="14 11 16.5 13.5 19 11" />
+    </svg>
+);
+
 const icons = {
     signature: SignatureIcon,
     upload: UploadIcon,
+    initials: InitialsIcon,
+    stamp: StampIcon,
+    dropdown: DropdownIcon,
+    name: NameIcon,
+    email: EmailIcon,
+    date: DateIcon,
+    hash: HashIcon,
+    page: PageIcon,
 };
 
-function DraggableField({ type, label, iconType }) {
+// Dropped onto PDFViewer; recipientId assigns the new field
+function DraggableField({ fieldType, label, iconType, recipientId, auto = false }) {
     const [{ isDragging }, drag] = useDrag(() => ({
-        type: 'field',
-        item: { type, label: label.replace('\n', ' ') },
+        type: 'FIELD',
+        item: { fieldType, label: label.replace('\n', ' '), recipientId },
         collect: (monitor) => ({
             isDragging: !!monitor.isDragging(),
         }),
-    }));
+    }), [fieldType, label, recipientId]);
 
     const IconComponent = icons[iconType];
 
     return (
         <div
             ref={drag}
-            className={`field-box ${isDragging ? 'dragging' : ''}`}
+            className={`field-box ${auto ? 'auto' : ''} ${isDragging ? 'dragging' : ''}`}
+            title={auto ? 'Filled in automatically at signing' : undefined}
         >
             <div className="field-icon">
                 <IconComponent />
@@ -51,23 +140,79 @@ function DraggableField({ type, label, iconType }) {
     );
 }
 
-export default function FieldToolbar() {
+/**
+ * FieldToolbar Component
+ * Fields dragged from here are assigned to the active recipient and take
+ * their color. Without signers, fields are unassigned (anyone fills them in).
+ */
+export default function FieldToolbar({ recipients = [], activeRecipientId, onChangeRecipient }) {
+    const [menuOpen, setMenuOpen] = useState(false);
+
+    const signers = recipients.filter(r => r.role === 'signer');
+    const activeRecipient = signers.find(r => r._id === activeRecipientId);
+
     return (
-        <div className="field-toolbar">
+        <div
+            className="field-toolbar"
+            style={activeRecipient ? { '--recipient-color': activeRecipient.color } : undefined}
+        >
             <div className="toolbar-header">
-                <span className="toolbar-title">Fillable fields for</span>
-                <button className="change-role-btn">
-                    Change Role
-                    <span className="role-icon">⚙</span>
-                </button>
+                <span className="toolbar-title">
+                    Fillable fields for
+                    {activeRecipient && (
+                        <span className="toolbar-recipient">
+                            <span className="recipient-dot" />
+                            {activeRecipient.name}
+                        </span>
+                    )}
+                </span>
+                <div className="role-menu-wrapper">
+                    <button
+                        className="change-role-btn"
+                        onClick={() => setMenuOpen(open => !open)}
+                        disabled={signers.length === 0}
+                        title={signers.length === 0 ? 'Add recipients first' : undefined}
+                    >
+                        Change Role
+                        <span className="role-icon">⚙</span>
+                    </button>
+                    {menuOpen && (
+                        <ul className="role-menu">
+                            {signers.map((recipient) => (
+                                <li
+                                    key={recipient._id}
+                                    className={recipient._id === activeRecipientId ? 'active' : ''}
+                                    onClick={() => {
+                                        onChangeRecipient?.(recipient._id);
+                                        setMenuOpen(false);
+                                    }}
+                                >
+                                    <span className="recipient-dot" style={{ background: recipient.color }} />
+                                    {recipient.name}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
             </div>
             <div className="field-boxes">
                 {fieldTypes.map((field) => (
                     <DraggableField
-                        key={field.type}
-                        type={field.type}
+                        key={field.fieldType}
+                        fieldType={field.fieldType}
+                        label={field.label}
+                        iconType={field.iconType}
+                        recipientId={activeRecipient?._id}
+                    />
+                ))}
+                {autoFieldTypes.map((field) => (
+                    <DraggableField
+                        key={field.fieldType}
+                        fieldType={field.fieldType}
                         label={field.label}
                         iconType={field.iconType}
+                        recipientId={activeRecipient?._id}
+                        auto
                     />
                 ))}
             </div>
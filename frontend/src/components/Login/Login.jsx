@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { login, register } from '../../services/api';
+import './Login.css';
+
+/**
+ * Login Component
+ * Password login and account creation; the session token is kept by
+ * services/api.js
+ */
+function Login({ onLogin }) {
+    const [mode, setMode] = useState('login');
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const isRegister = mode === 'register';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            const user = isRegister
+                ? await register(email, password, name)
+                : await login(email, password);
+            onLogin(user);
+        } catch (err) {
+            console.error('Login error:', err);
+            setError(err.response?.data?.error || 'Failed to log in');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="bolosign login-view">
+            <header className="header">
+                <div className="header-left">
+                    <span className="nav-home">Home</span>
+                </div>
+                <div className="header-right">
+                    <a className="icon-btn" href="/verify" title="Verify a document">✓</a>
+                </div>
+            </header>
+
+            <main className="login-main">
+                <h1>{isRegister ? 'Create an Account' : 'Log In'}</h1>
+                <p className="home-subtitle">
+                    {isRegister ? 'Your documents are only visible to you.' : 'Log in to prepare and send documents.'}
+                </p>
+
+                <form className="login-form" onSubmit={handleSubmit}>
+                    {isRegister && (
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="Name"
+                            autoComplete="name"
+                        />
+                    )}
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="Email"
+                        autoComplete="email"
+                        required
+                    />
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        autoComplete={isRegister ? 'new-password' : 'current-password'}
+                        minLength={isRegister ? 8 : undefined}
+                        required
+                    />
+                    {error && <div className="login-error">{error}</div>}
+                    <button type="submit" className="send-btn" disabled={loading}>
+                        {isRegister ? 'Create Account' : 'Log In'}
+                    </button>
+                </form>
+
+                <button
+                    className="login-switch"
+                    onClick={() => { setMode(isRegister ? 'login' : 'register'); setError(''); }}
+                >
+                    {isRegister ? 'Already have an account? Log in' : 'No account yet? Create one'}
+                </button>
+            </main>
+        </div>
+    );
+}
+
+export default Login;
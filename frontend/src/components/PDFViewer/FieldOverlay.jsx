@@ -1,5 +1,8 @@
 import { useState, useRef, useEffect } from 'react';
 import { normalizedToBrowser, browserToNormalized } from '../../utils/CoordinateTransformer';
+import { layoutTextBox, resolveTextStyle, measureText, cssFontFamily } from '../../utils/textLayout';
+import { isAutoField, getAutoFieldPreview } from '../../utils/autoFields';
+import { formatNumber } from '../../utils/numberFormat';
 import './FieldOverlay.css';
 
 /**
@@ -7,11 +10,20 @@ import './FieldOverlay.css';
  * 
  * Renders a draggable/resizable field on top of the PDF page.
  * Uses normalized coordinates (0-1) internally but displays in browser pixels.
+ * Text values are laid out in PDF points (same rules as the backend) and
+ * scaled by `scale` (pixels per point) so the preview matches the output.
+ * Fields assigned to a recipient take the recipient's color.
+ * Fields hidden by their condition are only rendered (dimmed) while editing.
+ * Auto-filled fields show a preview of the text drawn at signing.
  */
 function FieldOverlay({
     field,
+    recipient,
     containerDimensions,
+    scale = 0,
+    pageCount,
     editable = true,
+    hidden = false,
     onUpdate,
     onDelete,
     onClick
@@ -132,32 +144,87 @@ function FieldOverlay({
         };
     }, [isDragging, isResizing, dragStart, containerDimensions, browserCoords, field.position, onUpdate]);
 
+    // Render text exactly where the signed PDF will draw it
+    const renderText = (text) => {
+        if (!scale) return <span>{text}</span>;
+
+        const style = resolveTextStyle(field.textStyle);
+        const box = { width: browserCoords.width / scale, height: browserCoords.height / scale };
+        const layout = layoutTextBox(text, style, box,
+            (str, size) => measureText(str, field.fontFamily, size));
+
+        return (
+            <div
+                className="field-text"
+                style={{
+                    fontFamily: cssFontFamily(field.fontFamily),
+                    fontSize: layout.fontSize * scale,
+                    lineHeight: `${layout.lineHeight * scale}px`,
+                    letterSpacing: style.letterSpacing * scale,
+                    color: style.color
+                }}
+            >
+                {layout.lines.map((line, i) => (
+                    <span key={i} style={{ left: line.x * scale, top: line.top * scale }}>
+                        {line.text}
+                    </span>
+                ))}
+            </div>
+        );
+    };
+
+    const filled = !!field.value || field.value === 0;
+
     // Render field content based on type and value
     const renderContent = () => {
-        if (field.value) {
-            if (field.fieldType === 'signature' || field.fieldType === 'image') {
-                return <img src={field.value} alt="Signature" />;
+        if (isAutoField(field)) {
+            return <div className="auto-preview">{renderText(getAutoFieldPreview(field, recipient, pageCount))}</div>;
+        }
+
+        if (filled) {
+            if (['signature', 'initials', 'image', 'stamp'].includes(field.fieldType)) {
+                return <img src={field.value} alt={field.fieldType} />;
+            }
+            if (field.fieldType === 'checkbox') {
+                return '✓';
             }
-            if (field.fieldType === 'checkbox' || field.fieldType === 'radio') {
-                return field.value ? '✓' : '';
+            if (field.fieldType === 'radio') {
+                return '●';
             }
-            return <span>{field.value}</span>;
+            if (field.fieldType === 'date') {
+                // Same formatting as the backend
+                return renderText(new Date(field.value).toLocaleDateString());
+            }
+            if (field.fieldType === 'number') {
+                return renderText(formatNumber(field.value, field.numberFormat));
+            }
+            return renderText(field.value);
         }
 
+        // Grouped radio options name their answer so the group reads as one question
+        if (field.fieldType === 'radio' && field.radioGroup) {
+            return <span className="field-label">{field.optionValue || field.label || field.radioGroup}</span>;
+        }
         return <span className="field-label">{field.fieldType}</span>;
     };
 
     return (
         <div
             ref={overlayRef}
-            className={`field-overlay ${field.fieldType} ${field.value ? 'filled' : ''}`}
+            className={`field-overlay ${field.fieldType} ${filled ? 'filled' : ''} ${recipient ? 'assigned' : ''} ${hidden ? 'conditional-hidden' : ''}`}
             style={{
                 left: browserCoords.x,
                 top: browserCoords.y,
                 width: browserCoords.width,
                 height: browserCoords.height,
-                cursor: editable ? 'move' : 'pointer'
+                cursor: editable ? 'move' : 'pointer',
+                ...(recipient && { '--recipient-color': recipient.color })
             }}
+            title={[
+                recipient && `${recipient.name} (${recipient.email})`,
+                field.radioGroup && `Option of "${field.radioGroup}"`,
+                hidden && 'Hidden until its condition is met'
+            ].filter(Boolean).join(' - ') || undefined}
             onMouseDown={handleMouseDown}
             onClick={() => onClick?.()}
         >
@@ -3,6 +3,7 @@ import { Document, Page, pdfjs } from 'react-pdf';
 import { useDrop } from 'react-dnd';
 import FieldOverlay from './FieldOverlay';
 import { browserToNormalized, DEFAULT_FIELD_SIZES } from '../../utils/CoordinateTransformer';
+import { resolveFieldStates } from '../../utils/fieldConditions';
 import 'react-pdf/dist/Page/AnnotationLayer.css';
 import 'react-pdf/dist/Page/TextLayer.css';
 import './PDFViewer.css';
@@ -13,6 +14,8 @@ pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/b
 function PDFViewer({
     pdfUrl,
     fields = [],
+    relatedFields = [], // Fields not shown that conditions of `fields` look at
+    recipients = [],
     onFieldAdd,
     onFieldUpdate,
     onFieldDelete,
@@ -24,6 +27,7 @@ function PDFViewer({
     const [numPages, setNumPages] = useState(null);
     const [pageNumber, setPageNumber] = useState(currentPage);
     const [containerDimensions, setContainerDimensions] = useState({ width: 0, height: 0 });
+    const [pageSize, setPageSize] = useState(null); // Page size in PDF points, as displayed
     const pageRef = useRef(null);
     const containerRef = useRef(null);
 
@@ -85,6 +89,7 @@ function PDFViewer({
             if (onFieldAdd) {
                 onFieldAdd({
                     fieldType: item.fieldType,
+                    recipientId: item.recipientId,
                     position: {
                         pageNumber,
                         ...normalized
@@ -101,7 +106,8 @@ function PDFViewer({
         setNumPages(numPages);
     };
 
-    const onPageLoadSuccess = useCallback(() => {
+    const onPageLoadSuccess = useCallback((page) => {
+        setPageSize({ width: page.originalWidth, height: page.originalHeight });
         if (pageRef.current) {
             const rect = pageRef.current.getBoundingClientRect();
             setContainerDimensions({ width: rect.width, height: rect.height });
@@ -120,8 +126,17 @@ function PDFViewer({
         onPageChange?.(newPage);
     };
 
+    // Pixels per PDF point, so text previews use the same sizes as the output
+    const scale = pageSize ? containerDimensions.width / pageSize.width : 0;
+
+    // Conditions: hidden fields stay visible (dimmed) only while editing
+    const fieldStates = resolveFieldStates([...fields, ...relatedFields]);
+    const stateOf = (field) => fieldStates.get(String(field._id)) || { visible: true, required: !!field.required };
+
     // Filter fields for current page
-    const currentPageFields = fields.filter(f => f.position?.pageNumber === pageNumber);
+    const currentPageFields = fields.filter(f =>
+        f.position?.pageNumber === pageNumber && (editable || stateOf(f).visible)
+    );
 
     return (
         <div className="pdf-viewer-container" ref={containerRef}>
@@ -168,11 +183,15 @@ function PDFViewer({
                         <FieldOverlay
                             key={field._id || field.id}
                             field={field}
+                            recipient={recipients.find(r => r._id === field.recipientId)}
                             containerDimensions={containerDimensions}
+                            scale={scale}
+                            pageCount={numPages}
                             editable={editable}
+                            hidden={!stateOf(field).visible}
                             onUpdate={(updates) => onFieldUpdate?.(field._id || field.id, updates)}
                             onDelete={() => onFieldDelete?.(field._id || field.id)}
-                            onClick={() => onFieldClick?.(field)}
+                            onClick={() => onFieldClick?.({ ...field, required: stateOf(field).required })}
                         />
                     ))}
                 </div>
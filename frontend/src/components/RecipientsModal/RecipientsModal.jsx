@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import './RecipientsModal.css';
+
+/**
+ * RecipientsModal Component
+ * Add/remove the document's recipients, issue their signing links and
+ * choose the signing order. Once the document is sent, signers can be
+ * reminded by email and the sending history is listed.
+ * Sequential documents are filled in by routing order; recipients sharing
+ * an order fill in at the same time.
+ */
+function RecipientsModal({
+    recipients = [],
+    signingOrder = 'parallel',
+    sent = false,
+    emails = [],
+    onAdd,
+    onUpdate,
+    onRemove,
+    onCreateLink,
+    onRemind,
+    onSigningOrderChange,
+    onClose
+}) {
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('signer');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim() || !email.trim()) return;
+
+        const added = await onAdd({ name: name.trim(), email: email.trim(), role });
+        if (added) {
+            setName('');
+            setEmail('');
+            setRole('signer');
+        }
+    };
+
+    const sequential = signingOrder === 'sequential';
+
+    return (
+        <div className="signature-modal-overlay" onClick={onClose}>
+            <div className="signature-modal recipients-modal" onClick={e => e.stopPropagation()}>
+                <h3>👤 Recipients</h3>
+
+                <div className="signing-order">
+                    <label>
+                        <input
+                            type="radio"
+                            checked={!sequential}
+                            onChange={() => onSigningOrderChange('parallel')}
+                        />
+                        Everyone at once
+                    </label>
+                    <label>
+                        <input
+                            type="radio"
+                            checked={sequential}
+                            onChange={() => onSigningOrderChange('sequential')}
+                        />
+                        In order
+                    </label>
+                </div>
+
+                <ul className="recipient-list">
+                    {recipients.length === 0 && (
+                        <li className="recipient-empty">No recipients yet: anyone can fill in every field.</li>
+                    )}
+                    {recipients.map((recipient) => (
+                        <li key={recipient._id} className="recipient-row">
+                            {sequential && (
+                                <input
+                                    className="recipient-order"
+                                    type="number"
+                                    min="1"
+                                    value={recipient.routingOrder}
+                                    title="Routing order"
+                                    onChange={(e) => {
+                                        const routingOrder = Number(e.target.value);
+                                        if (routingOrder >= 1) onUpdate(recipient._id, { routingOrder });
+                                    }}
+                                />
+                            )}
+                            <span className="recipient-color" style={{ background: recipient.color }} />
+                            <div className="recipient-info">
+                                <span className="recipient-name">{recipient.name}</span>
+                                <span className="recipient-email">{recipient.email}</span>
+                            </div>
+                            <span className="recipient-role">{recipient.role}</span>
+                            {recipient.role === 'signer' && (
+                                <button
+                                    className="recipient-link"
+                                    title="Copy a new signing link"
+                                    onClick={() => onCreateLink(recipient._id)}
+                                >
+                                    🔗
+                                </button>
+                            )}
+                            {sent && recipient.role === 'signer' && (
+                                <button
+                                    className="recipient-link"
+                                    title={recipient.notifiedAt
+                                        ? `Email a reminder (last emailed ${new Date(recipient.notifiedAt).toLocaleString()})`
+                                        : 'Email a reminder'}
+                                    onClick={() => onRemind(recipient._id)}
+                                >
+                                    🔔
+                                </button>
+                            )}
+                            <button
+                                className="recipient-remove"
+                                title="Remove recipient"
+                                onClick={() => onRemove(recipient._id)}
+                            >
+                                ×
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+
+                <form className="recipient-form" onSubmit={handleSubmit}>
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Name"
+                    />
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="Email"
+                    />
+                    <select value={role} onChange={(e) => setRole(e.target.value)}>
+                        <option value="signer">Signer</option>
+                        <option value="cc">Receives a copy</option>
+                    </select>
+                    <button type="submit" className="btn-save">Add</button>
+                </form>
+
+                {emails.length > 0 && (
+                    <div className="email-history">
+                        <h4>Emails</h4>
+                        <ul>
+                            {emails.map((email) => (
+                                <li key={email.id} className={email.status} title={email.error}>
+                                    <span className="email-subject">{email.subject}</span>
+                                    <span className="email-meta">
+                                        {email.to} · {new Date(email.sentAt).toLocaleString()}
+                                        {email.status === 'failed' && ' · failed'}
+                                        {email.status === 'skipped' && ' · not sent'}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="signature-actions">
+                    <button className="btn-cancel" onClick={onClose}>
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default RecipientsModal;
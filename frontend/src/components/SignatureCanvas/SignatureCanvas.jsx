@@ -1,16 +1,72 @@
 import { useRef, useState } from 'react';
 import SignaturePad from 'react-signature-canvas';
+import { validateFieldValue } from '../../utils/fieldValidation';
 import './SignatureCanvas.css';
 
+const DRAWING_TITLES = { signature: 'Signature', initials: 'Initials' };
+
+const UPLOAD_TITLES = { image: '🖼️ Upload Signature', stamp: '🏢 Upload Company Stamp' };
+
+const TEXT_INPUTS = {
+    text: { title: '📝 Enter Text', placeholder: 'Enter your text...' },
+    name: { title: '👤 Enter Your Name', placeholder: 'Full name', autoComplete: 'name' },
+    email: { title: '✉️ Enter Your Email', placeholder: 'name@example.com', autoComplete: 'email' }
+};
+
+// Number inputs give text; an empty input stays empty
+const toNumber = (text) => text === '' ? '' : Number(text);
+
 /**
  * SignatureCanvas Component
- * Modal for drawing signatures or entering text values
+ * Modal for drawing signatures or entering text values; values are checked
+ * against the field's validation rules before they are saved.
+ * A grouped radio option shows its whole group (`groupOptions`) as one
+ * question and saves the chosen option: onSave(value, targetField).
+ * Initials can be reused on the signer's other initials fields:
+ * onSave(value, field, { applyToAll }).
  */
-function SignatureCanvas({ field, onSave, onClose }) {
+function SignatureCanvas({ field, groupOptions = [], onSave, onClose }) {
     const sigCanvas = useRef(null);
     const [textValue, setTextValue] = useState('');
     const [dateValue, setDateValue] = useState(new Date().toISOString().split('T')[0]);
     const [checkValue, setCheckValue] = useState(false);
+    const [numberValue, setNumberValue] = useState('');
+    const [choiceValue, setChoiceValue] = useState('');
+    const [uploadValue, setUploadValue] = useState('');
+    const [applyToAll, setApplyToAll] = useState(true);
+    // Grouped radio: id of the chosen option ('' = none), the clicked one by default
+    const [choiceId, setChoiceId] = useState(
+        (groupOptions.find(option => option.value === true) || field)?._id || ''
+    );
+    const [errors, setErrors] = useState([]);
+
+    const rules = field?.validation || {};
+
+    const findErrors = (value) => {
+        if (field?.required && (value === '' || value === undefined || value === null)) {
+            return ['This field is required'];
+        }
+        return validateFieldValue(field, value);
+    };
+
+    // Once errors are shown, re-check as the value changes
+    const handleChange = (setValue, toValue = (text) => text) => (e) => {
+        setValue(e.target.value);
+        if (errors.length > 0) setErrors(findErrors(toValue(e.target.value)));
+    };
+
+    // Uploaded images are kept as data URLs, like drawn signatures
+    const handleUpload = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setUploadValue(reader.result);
+            setErrors(findErrors(reader.result));
+        };
+        reader.readAsDataURL(file);
+    };
 
     const handleClear = () => {
         if (sigCanvas.current) {
@@ -21,9 +77,20 @@ function SignatureCanvas({ field, onSave, onClose }) {
     const handleSave = () => {
         let value;
 
+        if (groupOptions.length > 0) {
+            const chosen = groupOptions.find(option => option._id === choiceId);
+            if (!chosen && field.required) {
+                setErrors(['Please choose an option']);
+                return;
+            }
+            // Deselecting any option clears the whole group
+            onSave(!!chosen, chosen || field);
+            return;
+        }
+
         switch (field?.fieldType) {
             case 'signature':
-            case 'image':
+            case 'initials':
                 if (sigCanvas.current) {
                     if (sigCanvas.current.isEmpty()) {
                         alert('Please draw a signature');
@@ -35,9 +102,24 @@ function SignatureCanvas({ field, onSave, onClose }) {
                 break;
 
             case 'text':
+            case 'name':
+            case 'email':
                 value = textValue;
                 break;
 
+            case 'number':
+                value = toNumber(numberValue);
+                break;
+
+            case 'dropdown':
+                value = choiceValue;
+                break;
+
+            case 'image':
+            case 'stamp':
+                value = uploadValue;
+                break;
+
             case 'date':
                 value = dateValue;
                 break;
@@ -51,27 +133,89 @@ function SignatureCanvas({ field, onSave, onClose }) {
                 value = textValue;
         }
 
+        const valueErrors = findErrors(value);
+        setErrors(valueErrors);
+        if (valueErrors.length > 0) return;
+
+        if (field.fieldType === 'initials') {
+            onSave(value, field, { applyToAll });
+            return;
+        }
         onSave(value);
     };
 
+    const errorList = errors.length > 0 && (
+        <ul className="field-errors">
+            {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+    );
+
+    const renderRadioGroup = () => (
+        <div className="text-input-modal">
+            <h3>⭕ {field.radioGroup}</h3>
+            <div className="radio-options">
+                {groupOptions.map(option => (
+                    <label key={option._id}>
+                        <input
+                            type="radio"
+                            name="radio-group"
+                            checked={choiceId === option._id}
+                            onChange={() => setChoiceId(option._id)}
+                        />
+                        <span>{option.optionValue || option.label || 'Option'}</span>
+                    </label>
+                ))}
+                <label className="radio-clear">
+                    <input
+                        type="radio"
+                        name="radio-group"
+                        checked={choiceId === ''}
+                        onChange={() => setChoiceId('')}
+                    />
+                    <span>No answer</span>
+                </label>
+            </div>
+            {errorList}
+            <div className="signature-actions">
+                <button className="btn-cancel" onClick={onClose}>
+                    Cancel
+                </button>
+                <button className="btn-save" onClick={handleSave}>
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+
     const renderInput = () => {
         switch (field?.fieldType) {
             case 'signature':
-            case 'image':
+            case 'initials':
                 return (
                     <>
-                        <h3>✍️ Draw Your {field.fieldType === 'signature' ? 'Signature' : 'Drawing'}</h3>
+                        <h3>✍️ Draw Your {DRAWING_TITLES[field.fieldType]}</h3>
                         <div className="signature-canvas-container">
                             <SignaturePad
                                 ref={sigCanvas}
                                 canvasProps={{
-                                    width: 550,
-                                    height: 200,
+                                    width: field.fieldType === 'initials' ? 300 : 550,
+                                    height: field.fieldType === 'initials' ? 150 : 200,
                                     className: 'signature-canvas'
                                 }}
                                 backgroundColor="white"
                             />
                         </div>
+                        {field.fieldType === 'initials' && (
+                            <label className="apply-to-all">
+                                <input
+                                    type="checkbox"
+                                    checked={applyToAll}
+                                    onChange={(e) => setApplyToAll(e.target.checked)}
+                                />
+                                Also use for my other initials fields
+                            </label>
+                        )}
+                        {errorList}
                         <div className="signature-actions">
                             <button className="btn-clear" onClick={handleClear}>
                                 Clear
@@ -87,16 +231,106 @@ function SignatureCanvas({ field, onSave, onClose }) {
                 );
 
             case 'text':
+            case 'name':
+            case 'email':
                 return (
                     <div className="text-input-modal">
-                        <h3>📝 Enter Text</h3>
+                        <h3>{TEXT_INPUTS[field.fieldType].title}</h3>
                         <input
-                            type="text"
+                            type={field.fieldType === 'email' || rules.format === 'email' ? 'email' : 'text'}
+                            inputMode={rules.format === 'numeric' ? 'decimal' : undefined}
+                            autoComplete={TEXT_INPUTS[field.fieldType].autoComplete}
+                            className={errors.length > 0 ? 'invalid' : ''}
                             value={textValue}
-                            onChange={(e) => setTextValue(e.target.value)}
-                            placeholder="Enter your text..."
+                            onChange={handleChange(setTextValue)}
+                            maxLength={rules.maxLength ?? undefined}
+                            placeholder={TEXT_INPUTS[field.fieldType].placeholder}
+                            autoFocus
+                        />
+                        {errorList}
+                        <div className="signature-actions">
+                            <button className="btn-cancel" onClick={onClose}>
+                                Cancel
+                            </button>
+                            <button className="btn-save" onClick={handleSave}>
+                                Save
+                            </button>
+                        </div>
+                    </div>
+                );
+
+            case 'number': {
+                const decimals = field.numberFormat?.decimals;
+                return (
+                    <div className="text-input-modal">
+                        <h3>🔢 Enter a Number</h3>
+                        <input
+                            type="number"
+                            className={errors.length > 0 ? 'invalid' : ''}
+                            value={numberValue}
+                            onChange={handleChange(setNumberValue, toNumber)}
+                            min={rules.min ?? undefined}
+                            max={rules.max ?? undefined}
+                            step={decimals != null ? 10 ** -decimals : 'any'}
+                            placeholder="0"
+                            autoFocus
+                        />
+                        {errorList}
+                        <div className="signature-actions">
+                            <button className="btn-cancel" onClick={onClose}>
+                                Cancel
+                            </button>
+                            <button className="btn-save" onClick={handleSave}>
+                                Save
+                            </button>
+                        </div>
+                    </div>
+                );
+            }
+
+            case 'dropdown':
+                return (
+                    <div className="text-input-modal">
+                        <h3>📋 Choose an Option</h3>
+                        <select
+                            className={errors.length > 0 ? 'invalid' : ''}
+                            value={choiceValue}
+                            onChange={handleChange(setChoiceValue)}
                             autoFocus
+                        >
+                            <option value="">Select...</option>
+                            {(field.options || []).map(option => (
+                                <option key={option} value={option}>{option}</option>
+                            ))}
+                        </select>
+                        {errorList}
+                        <div className="signature-actions">
+                            <button className="btn-cancel" onClick={onClose}>
+                                Cancel
+                            </button>
+                            <button className="btn-save" onClick={handleSave}>
+                                Save
+                            </button>
+                        </div>
+                    </div>
+                );
+
+            case 'image':
+            case 'stamp':
+                return (
+                    <div className="text-input-modal">
+                        <h3>{UPLOAD_TITLES[field.fieldType]}</h3>
+                        <input
+                            type="file"
+                            accept={(rules.imageTypes?.length ? rules.imageTypes : ['image/png', 'image/jpeg']).join(',')}
+                            onChange={handleUpload}
                         />
+                        {uploadValue && (
+                            <div className="upload-preview">
+                                <img src={uploadValue} alt="Upload preview" />
+                            </div>
+                        )}
+                        {errorList}
                         <div className="signature-actions">
                             <button className="btn-cancel" onClick={onClose}>
                                 Cancel
@@ -114,9 +348,13 @@ function SignatureCanvas({ field, onSave, onClose }) {
                         <h3>📅 Select Date</h3>
                         <input
                             type="date"
+                            className={errors.length > 0 ? 'invalid' : ''}
                             value={dateValue}
-                            onChange={(e) => setDateValue(e.target.value)}
+                            onChange={handleChange(setDateValue)}
+                            min={rules.minDate}
+                            max={rules.maxDate}
                         />
+                        {errorList}
                         <div className="signature-actions">
                             <button className="btn-cancel" onClick={onClose}>
                                 Cancel
@@ -128,8 +366,10 @@ function SignatureCanvas({ field, onSave, onClose }) {
                     </div>
                 );
 
-            case 'checkbox':
             case 'radio':
+                if (groupOptions.length > 0) return renderRadioGroup();
+            // falls through
+            case 'checkbox':
                 return (
                     <div className="text-input-modal">
                         <h3>{field.fieldType === 'checkbox' ? '☑️ Checkbox' : '⭕ Radio Option'}</h3>
@@ -142,6 +382,7 @@ function SignatureCanvas({ field, onSave, onClose }) {
                             />
                             <span style={{ fontSize: 16 }}>Mark as checked</span>
                         </label>
+                        {errorList}
                         <div className="signature-actions">
                             <button className="btn-cancel" onClick={onClose}>
                                 Cancel
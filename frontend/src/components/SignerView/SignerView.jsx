@@ -0,0 +1,168 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import PDFViewer from '../PDFViewer';
+import SignatureCanvas from '../SignatureCanvas';
+import { openSigningLink, setFieldValue, getSigningFileUrl, declineSigning } from '../../services/api';
+import { resolveFieldStates } from '../../utils/fieldConditions';
+import { getGroupOptions } from '../../utils/radioGroups';
+import { isAutoField } from '../../utils/autoFields';
+import './SignerView.css';
+
+const hasValue = (field) => field.value !== undefined && field.value !== null && field.value !== '';
+
+/**
+ * SignerView Component
+ * Opened from a recipient's signing link (/sign/:token). Read-only PDF with
+ * only that recipient's fields; clicking one opens SignatureCanvas.
+ * Declining stops signing for everyone and tells the sender.
+ */
+function SignerView({ token }) {
+    const [session, setSession] = useState(null);
+    const [pdfUrl, setPdfUrl] = useState(null);
+    const [fields, setFields] = useState([]);
+    const [error, setError] = useState('');
+    const [selectedField, setSelectedField] = useState(null);
+    const [successMessage, setSuccessMessage] = useState('');
+    const [declined, setDeclined] = useState(false);
+
+    useEffect(() => {
+        Promise.all([openSigningLink(token), getSigningFileUrl(token)])
+            .then(([result, fileUrl]) => {
+                setSession(result);
+                setFields(result.fields);
+                setPdfUrl(fileUrl);
+            })
+            .catch((err) => {
+                console.error('Open signing link error:', err);
+                setError(err.response?.data?.error || 'Failed to open signing link');
+            });
+    }, [token]);
+
+    const waiting = session?.waitingFor.length > 0;
+
+    const handleFieldClick = useCallback((field) => {
+        // Fields drawn into an incremental signing round are final; auto-filled ones are never typed in
+        if (waiting || isAutoField(field) || (field.signedRevision !== undefined && field.signedRevision !== null)) return;
+        setSelectedField(field);
+    }, [waiting]);
+
+    // target: the chosen option when answering a radio group;
+    // options: { applyToAll } for initials
+    const handleFieldValueSave = useCallback(async (value, target = selectedField, options) => {
+        if (!target) return;
+        try {
+            const result = await setFieldValue(target._id, value, token, options);
+            // Other radio group options and reused initials change along with it
+            const updates = new Map([[target._id, result.field.value],
+                ...result.updatedFields.map(f => [f._id, f.value])]);
+            setFields(prev => prev.map(f => updates.has(f._id) ? { ...f, value: updates.get(f._id) } : f));
+            setSelectedField(null);
+            setSuccessMessage('Field saved!');
+            setTimeout(() => setSuccessMessage(''), 3000);
+        } catch (err) {
+            console.error(err);
+            alert(err.response?.data?.error || 'Failed to save field');
+        }
+    }, [selectedField, token]);
+
+    const handleDecline = async () => {
+        const reason = window.prompt('Decline to sign? Signing stops for everyone. Reason (optional):', '');
+        if (reason === null) return;
+        try {
+            await declineSigning(token, reason || undefined);
+            setDeclined(true);
+        } catch (err) {
+            console.error('Decline error:', err);
+            alert(err.response?.data?.error || 'Failed to decline');
+        }
+    };
+
+    if (declined) {
+        return (
+            <div className="bolosign signer-view">
+                <main className="signer-message">
+                    <h1>You declined to sign</h1>
+                    <p className="home-subtitle">The sender has been told. You can close this page.</p>
+                </main>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="bolosign signer-view">
+                <main className="signer-message">
+                    <h1>Signing link unavailable</h1>
+                    <p className="home-subtitle">{error}. Ask the sender for a new link.</p>
+                </main>
+            </div>
+        );
+    }
+
+    if (!session) {
+        return <div className="loading-overlay"><div className="spinner"></div></div>;
+    }
+
+    // Conditions decide which fields are shown and required
+    const fieldStates = resolveFieldStates([...fields, ...session.relatedFields]);
+    const required = fields.filter(f => fieldStates.get(f._id).required);
+    const completed = required.filter(hasValue).length;
+    const progress = required.length > 0 ? completed / required.length : 1;
+
+    return (
+        <DndProvider backend={HTML5Backend}>
+            <div className="bolosign editor-view signer-view">
+                <header className="editor-header">
+                    <span className="doc-name">{session.document.fileName}</span>
+                    <div className="header-actions">
+                        <span className="signer-name" style={{ '--recipient-color': session.recipient.color }}>
+                            {session.recipient.name}
+                        </span>
+                        <button className="decline-btn" onClick={handleDecline}>
+                            Decline
+                        </button>
+                    </div>
+                </header>
+
+                <div
+                    className="progress-bar"
+                    style={{
+                        background: `linear-gradient(90deg, #7C3AED 0%, #A78BFA ${progress * 100}%, #E5E7EB ${progress * 100}%)`
+                    }}
+                ></div>
+
+                <div className={`signer-banner ${waiting ? 'waiting' : ''}`}>
+                    {waiting
+                        ? `Waiting for ${session.waitingFor.map(r => r.name).join(', ')} to sign first.`
+                        : completed === required.length
+                            ? 'All your fields are complete. You can close this page.'
+                            : `Click a highlighted field to fill it in (${completed} of ${required.length} required done).`}
+                </div>
+
+                <main className="pdf-container">
+                    <PDFViewer
+                        pdfUrl={pdfUrl}
+                        fields={fields}
+                        relatedFields={session.relatedFields}
+                        recipients={[{ _id: session.recipient.id, ...session.recipient }]}
+                        onFieldClick={handleFieldClick}
+                        editable={false}
+                    />
+                </main>
+
+                {selectedField && (
+                    <SignatureCanvas
+                        field={selectedField}
+                        groupOptions={getGroupOptions(fields, selectedField)}
+                        onSave={handleFieldValueSave}
+                        onClose={() => setSelectedField(null)}
+                    />
+                )}
+                {successMessage && <div className="toast">{successMessage}</div>}
+            </div>
+        </DndProvider>
+    );
+}
+
+export default SignerView;
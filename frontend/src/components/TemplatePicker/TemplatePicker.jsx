@@ -0,0 +1,134 @@
+import { useEffect, useState } from 'react';
+import { getTemplates, deleteTemplate, createDocumentFromTemplate } from '../../services/api';
+import './TemplatePicker.css';
+
+/**
+ * TemplatePicker Component
+ * Lists the user's templates; picking one asks for a name and email per
+ * role and creates a new document from it.
+ */
+function TemplatePicker({ onCreate, onClose }) {
+    const [templates, setTemplates] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [people, setPeople] = useState({});
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        getTemplates()
+            .then(result => setTemplates(result.templates))
+            .catch((err) => {
+                console.error('Load templates error:', err);
+                setError('Failed to load templates');
+                setTemplates([]);
+            });
+    }, []);
+
+    const handleSelect = (template) => {
+        setSelected(template);
+        setPeople(Object.fromEntries(template.roles.map(role => [role._id, { name: '', email: '' }])));
+        setError('');
+    };
+
+    const handleDelete = async (templateId) => {
+        if (!confirm('Delete this template? Documents created from it are kept.')) return;
+        try {
+            await deleteTemplate(templateId);
+            setTemplates(prev => prev.filter(t => t.id !== templateId));
+        } catch (err) {
+            console.error('Delete template error:', err);
+            alert('Failed to delete template');
+        }
+    };
+
+    const setPerson = (roleId, key, value) => {
+        setPeople(prev => ({ ...prev, [roleId]: { ...prev[roleId], [key]: value } }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const recipients = Object.entries(people).map(([roleId, person]) => ({ roleId, ...person }));
+            const result = await createDocumentFromTemplate(selected.id, recipients);
+            onCreate(result);
+        } catch (err) {
+            console.error('Create document from template error:', err);
+            setError(err.response?.data?.error || 'Failed to create document');
+        }
+    };
+
+    return (
+        <div className="signature-modal-overlay" onClick={onClose}>
+            <div className="signature-modal recipients-modal template-picker" onClick={e => e.stopPropagation()}>
+                <h3>📄 {selected ? selected.name : 'Templates'}</h3>
+
+                {!selected && (
+                    <ul className="recipient-list">
+                        {templates === null && <li className="recipient-empty">Loading…</li>}
+                        {templates?.length === 0 && (
+                            <li className="recipient-empty">No templates yet: open a document and click “Save as template”.</li>
+                        )}
+                        {templates?.map((template) => (
+                            <li key={template.id} className="recipient-row template-row" onClick={() => handleSelect(template)}>
+                                <div className="recipient-info">
+                                    <span className="recipient-name">{template.name}</span>
+                                    <span className="recipient-email">
+                                        {template.pageCount} pages · {template.fieldCount} fields · {template.roles.length} roles
+                                    </span>
+                                </div>
+                                <button
+                                    className="recipient-remove"
+                                    title="Delete template"
+                                    onClick={(e) => { e.stopPropagation(); handleDelete(template.id); }}
+                                >
+                                    ×
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {selected && (
+                    <form id="template-form" className="template-roles" onSubmit={handleSubmit}>
+                        {selected.roles.length === 0 && (
+                            <p className="recipient-empty">This template has no roles.</p>
+                        )}
+                        {selected.roles.map((role) => (
+                            <div key={role._id} className="recipient-form">
+                                <span className="recipient-color" style={{ background: role.color }} title={role.name} />
+                                <input
+                                    type="text"
+                                    value={people[role._id]?.name || ''}
+                                    onChange={(e) => setPerson(role._id, 'name', e.target.value)}
+                                    placeholder={`${role.name} name`}
+                                    required
+                                />
+                                <input
+                                    type="email"
+                                    value={people[role._id]?.email || ''}
+                                    onChange={(e) => setPerson(role._id, 'email', e.target.value)}
+                                    placeholder={`${role.name} email`}
+                                    required
+                                />
+                            </div>
+                        ))}
+                    </form>
+                )}
+
+                {error && <p className="template-error">{error}</p>}
+
+                <div className="signature-actions">
+                    <button className="btn-cancel" onClick={selected ? () => setSelected(null) : onClose}>
+                        {selected ? 'Back' : 'Cancel'}
+                    </button>
+                    {selected && (
+                        <button type="submit" form="template-form" className="btn-save">
+                            Create Document
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default TemplatePicker;
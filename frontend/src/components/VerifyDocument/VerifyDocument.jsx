@@ -0,0 +1,188 @@
+import { useRef, useState } from 'react';
+import { verifyDocument } from '../../services/api';
+import './VerifyDocument.css';
+
+const STATUS_TEXT = {
+    original: { tone: 'ok', title: 'Original document', detail: 'This file matches a document exactly as it was uploaded.' },
+    signed: { tone: 'ok', title: 'Signed document', detail: 'This file matches a signed document byte for byte.' },
+    known_version: { tone: 'ok', title: 'Recorded version', detail: 'This file matches an earlier recorded version of a document.' },
+    modified_after_signing: { tone: 'warn', title: 'Modified after signing', detail: 'The signed content is intact, but changes were appended to the file afterwards.' },
+    unknown: { tone: 'bad', title: 'Not recognized', detail: 'No document on record matches this file. It may have been altered.' }
+};
+
+/**
+ * VerifyDocument Component
+ * Public, read-only page: drop a PDF to check it against the recorded
+ * hashes, audit trail and embedded digital signatures
+ */
+function VerifyDocument() {
+    const [result, setResult] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [dragOver, setDragOver] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const handleVerify = async (file) => {
+        if (!file) return;
+        setLoading(true);
+        setError('');
+        setResult(null);
+        setFileName(file.name);
+        try {
+            setResult(await verifyDocument(file));
+        } catch (err) {
+            console.error('Verify error:', err);
+            setError(err.response?.data?.error || 'Failed to verify document');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragOver(false);
+        const file = e.dataTransfer.files?.[0];
+        if (file && file.type === 'application/pdf') handleVerify(file);
+    };
+
+    const status = result && STATUS_TEXT[result.status];
+
+    return (
+        <div className="bolosign verify-view">
+            <header className="header">
+                <div className="header-left">
+                    <a className="nav-home" href="/">Home</a>
+                    <span className="nav-arrow">›</span>
+                    <span className="nav-create">Verify</span>
+                </div>
+            </header>
+
+            <main className="verify-main">
+                <h1>Verify a Document</h1>
+                <p className="home-subtitle">
+                    Drop a PDF to check whether it matches a recorded original or signed document.
+                    The file is checked in memory and not stored.
+                </p>
+
+                <div
+                    className={`verify-dropzone ${dragOver ? 'drag-over' : ''}`}
+                    onClick={() => fileInputRef.current?.click()}
+                    onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+                    onDragLeave={() => setDragOver(false)}
+                    onDrop={handleDrop}
+                >
+                    <span className="pdf-text">PDF</span>
+                    <p>{loading ? `Checking ${fileName}…` : 'Drop a PDF here or click to choose one'}</p>
+                </div>
+
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".pdf"
+                    onChange={(e) => handleVerify(e.target.files?.[0])}
+                    hidden
+                />
+
+                {error && <div className="verify-status bad"><h2>{error}</h2></div>}
+
+                {status && (
+                    <section className="verify-result">
+                        <div className={`verify-status ${status.tone}`}>
+                            <h2>{status.title}</h2>
+                            <p>{status.detail}</p>
+                        </div>
+
+                        <dl className="verify-details">
+                            <dt>File</dt>
+                            <dd>{fileName}</dd>
+                            <dt>SHA-256</dt>
+                            <dd className="mono">{result.hash}</dd>
+                            {result.document && (
+                                <>
+                                    <dt>Document</dt>
+                                    <dd>{result.document.fileName} ({result.document.pageCount} pages)</dd>
+                                    <dt>Document ID</dt>
+                                    <dd className="mono">{result.document.id}</dd>
+                                    <dt>Original SHA-256</dt>
+                                    <dd className="mono">{result.document.originalHash}</dd>
+                                    {result.document.signedHash && (
+                                        <>
+                                            <dt>Signed SHA-256</dt>
+                                            <dd className="mono">{result.document.signedHash}</dd>
+                                        </>
+                                    )}
+                                </>
+                            )}
+                        </dl>
+
+                        {result.integrity && (
+                            <>
+                                <h3>Signed content</h3>
+                                <ul className="verify-checks">
+                                    <Check label="File matches the recorded signed hash" value={result.integrity.signedHashMatches} />
+                                    <Check label="Digital signatures are valid" value={result.integrity.signaturesValid} />
+                                    <Check label="Signer certificate matches the signing record" value={result.integrity.signerMatchesRecord} />
+                                    <Check label="No changes appended after signing" value={!result.integrity.modifiedAfterSigning} />
+                                </ul>
+                            </>
+                        )}
+
+                        {result.signatures.length > 0 && (
+                            <>
+                                <h3>Digital signatures</h3>
+                                <ul className="verify-checks">
+                                    {result.signatures.map((signature, i) => (
+                                        <Check
+                                            key={i}
+                                            label={signature.signer
+                                                ? `${signature.signer.subject} (issued by ${signature.signer.issuer})`
+                                                : signature.error}
+                                            value={signature.valid}
+                                        />
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+
+                        {result.auditTrail && (
+                            <>
+                                <h3>Audit trail</h3>
+                                <table className="verify-audit">
+                                    <thead>
+                                        <tr><th>Time</th><th>Event</th><th>Hash after</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.auditTrail.map((event, i) => (
+                                            <tr key={i} className={event.hashAfter === result.hash ? 'matched' : ''}>
+                                                <td>{new Date(event.timestamp).toLocaleString()}</td>
+                                                <td>{event.action.replace(/_/g, ' ')}</td>
+                                                <td className="mono">{event.hashAfter ? `${event.hashAfter.slice(0, 16)}…` : '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </>
+                        )}
+                    </section>
+                )}
+            </main>
+
+            {loading && <div className="loading-overlay"><div className="spinner"></div></div>}
+        </div>
+    );
+}
+
+function Check({ label, value }) {
+    // null: the check does not apply (e.g. no digital signature)
+    const state = value === null ? 'na' : value ? 'ok' : 'bad';
+    const icon = { ok: '✓', bad: '✕', na: '–' }[state];
+    return (
+        <li className={`verify-check ${state}`}>
+            <span className="verify-check-icon">{icon}</span>
+            {label}
+        </li>
+    );
+}
+
+export default VerifyDocument;
@@ -9,6 +9,59 @@ const api = axios.create({
     }
 });
 
+// Session token from login/register, sent with every request
+const AUTH_TOKEN_KEY = 'authToken';
+const AUTH_USER_KEY = 'authUser';
+
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+});
+
+// Expired session: back to the login screen
+// (signing link requests fail with 401 for a bad link, not a bad session)
+api.interceptors.response.use(undefined, (error) => {
+    const { config } = error;
+    const signingLink = config.url.startsWith('/sign/') || config.headers['X-Signing-Token'];
+    if (error.response?.status === 401 && config.headers.Authorization && !signingLink) {
+        logout();
+    }
+    return Promise.reject(error);
+});
+
+// Auth APIs
+const startSession = ({ token, user }) => {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(user));
+    return user;
+};
+
+export const login = async (email, password) => {
+    const response = await api.post('/auth/login', { email, password });
+    return startSession(response.data);
+};
+
+export const register = async (email, password, name) => {
+    const response = await api.post('/auth/register', { email, password, name });
+    return startSession(response.data);
+};
+
+export const logout = () => {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(AUTH_USER_KEY);
+    window.location.reload();
+};
+
+export const getCurrentUser = () => {
+    if (!localStorage.getItem(AUTH_TOKEN_KEY)) return null;
+    try {
+        return JSON.parse(localStorage.getItem(AUTH_USER_KEY));
+    } catch {
+        return null;
+    }
+};
+
 // Document APIs
 export const uploadDocument = async (file) => {
     const formData = new FormData();
@@ -25,11 +78,74 @@ export const getDocument = async (documentId) => {
     return response.data;
 };
 
+export const updateSignatureInfo = async (documentId, signatureInfo) => {
+    const response = await api.put(`/documents/${documentId}/signature-info`, signatureInfo);
+    return response.data;
+};
+
+export const setSigningOrder = async (documentId, signingOrder) => {
+    const response = await api.put(`/documents/${documentId}/signing-order`, { signingOrder });
+    return response.data;
+};
+
 export const getAuditTrail = async (documentId) => {
     const response = await api.get(`/documents/${documentId}/audit`);
     return response.data;
 };
 
+// Recipient APIs
+export const getRecipients = async (documentId) => {
+    const response = await api.get(`/documents/${documentId}/recipients`);
+    return response.data;
+};
+
+export const addRecipient = async (documentId, recipient) => {
+    const response = await api.post(`/documents/${documentId}/recipients`, recipient);
+    return response.data;
+};
+
+export const updateRecipient = async (documentId, recipientId, updates) => {
+    const response = await api.put(`/documents/${documentId}/recipients/${recipientId}`, updates);
+    return response.data;
+};
+
+export const removeRecipient = async (documentId, recipientId) => {
+    const response = await api.delete(`/documents/${documentId}/recipients/${recipientId}`);
+    return response.data;
+};
+
+export const createSigningLink = async (documentId, recipientId, expiresInDays) => {
+    const response = await api.post(`/documents/${documentId}/recipients/${recipientId}/link`, { expiresInDays });
+    return response.data;
+};
+
+// Email notifications: signing requests, reminders and their history
+export const sendDocument = async (documentId, message) => {
+    const response = await api.post(`/documents/${documentId}/send`, { message });
+    return response.data;
+};
+
+export const remindRecipient = async (documentId, recipientId, message) => {
+    const response = await api.post(`/documents/${documentId}/recipients/${recipientId}/remind`, { message });
+    return response.data;
+};
+
+export const getEmailHistory = async (documentId) => {
+    const response = await api.get(`/documents/${documentId}/emails`);
+    return response.data;
+};
+
+// Signer view (public, the token is the credential)
+export const openSigningLink = async (token) => {
+    const response = await api.get(`/sign/${token}`);
+    return response.data;
+};
+
+export const declineSigning = async (token, reason) => {
+    const response = await api.post(`/sign/${token}/decline`, { reason });
+    return response.data;
+};
+
 // Field APIs
 export const createField = async (fieldData) => {
     const response = await api.post('/fields', fieldData);
@@ -46,21 +162,80 @@ export const deleteField = async (fieldId) => {
     return response.data;
 };
 
-export const setFieldValue = async (fieldId, value) => {
-    const response = await api.post(`/fields/${fieldId}/value`, { value });
+// signingToken: set from a signer view, scoped to that recipient's fields;
+// options: extra body, e.g. { applyToAll } for initials
+export const setFieldValue = async (fieldId, value, signingToken, options) => {
+    const response = await api.post(`/fields/${fieldId}/value`, { value, ...options }, {
+        headers: signingToken ? { 'X-Signing-Token': signingToken } : {}
+    });
+    return response.data;
+};
+
+// Template APIs
+export const createTemplate = async (documentId, name) => {
+    const response = await api.post('/templates', { documentId, name });
+    return response.data;
+};
+
+export const getTemplates = async () => {
+    const response = await api.get('/templates');
+    return response.data;
+};
+
+export const deleteTemplate = async (templateId) => {
+    const response = await api.delete(`/templates/${templateId}`);
+    return response.data;
+};
+
+// recipients: [{ roleId, name, email }], one per template role
+export const createDocumentFromTemplate = async (templateId, recipients) => {
+    const response = await api.post(`/templates/${templateId}/documents`, { recipients });
     return response.data;
 };
 
 // Sign PDF
-export const signPdf = async (documentId) => {
-    const response = await api.post('/sign-pdf', { documentId });
+export const signPdf = async (documentId, options = {}) => {
+    const response = await api.post('/sign-pdf', { documentId, ...options });
+    return response.data;
+};
+
+// Export as a fillable AcroForm PDF
+export const prepareForm = async (documentId, options = {}) => {
+    const response = await api.post('/prepare-form', { documentId, ...options });
+    return response.data;
+};
+
+// Verify a PDF against recorded hashes and embedded signatures
+export const verifyDocument = async (file) => {
+    const formData = new FormData();
+    formData.append('pdf', file);
+
+    const response = await api.post('/verify', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+    });
     return response.data;
 };
 
-// Helper to get full URL for static files
-export const getFileUrl = (path) => {
-    const baseUrl = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
-    return `${baseUrl}${path}`;
+// PDFs need credentials, so they are fetched as blobs and shown via object URLs
+// version: 'original' | 'signed' | 'form'
+export const getDocumentFileUrl = async (documentId, version) => {
+    const response = await api.get(`/documents/${documentId}/file/${version}`, {
+        params: { disposition: 'inline' }, // A preview, shown in the browser
+        responseType: 'blob'
+    });
+    return URL.createObjectURL(response.data);
+};
+
+// Signed, time-limited URL that downloads a PDF without credentials
+// (saved under the uploaded file's name, recorded in the audit log)
+export const getDownloadUrl = async (documentId, version, expiresIn) => {
+    const response = await api.post(`/documents/${documentId}/file/${version}/url`, { expiresIn });
+    return new URL(response.data.url, new URL(API_BASE_URL, window.location.origin)).href;
+};
+
+export const getSigningFileUrl = async (token) => {
+    const response = await api.get(`/sign/${token}/file`, { responseType: 'blob' });
+    return URL.createObjectURL(response.data);
 };
 
 export default api;
@@ -82,5 +82,16 @@ export const DEFAULT_FIELD_SIZES = {
     date: { widthPercent: 0.15, heightPercent: 0.04 },
     checkbox: { widthPercent: 0.03, heightPercent: 0.03 },
     radio: { widthPercent: 0.03, heightPercent: 0.03 },
-    image: { widthPercent: 0.2, heightPercent: 0.15 }
+    image: { widthPercent: 0.2, heightPercent: 0.15 },
+    initials: { widthPercent: 0.08, heightPercent: 0.05 },
+    stamp: { widthPercent: 0.15, heightPercent: 0.12 },
+    name: { widthPercent: 0.2, heightPercent: 0.04 },
+    email: { widthPercent: 0.25, heightPercent: 0.04 },
+    number: { widthPercent: 0.12, heightPercent: 0.04 },
+    dropdown: { widthPercent: 0.2, heightPercent: 0.04 },
+    signer_name: { widthPercent: 0.2, heightPercent: 0.04 },
+    signer_email: { widthPercent: 0.25, heightPercent: 0.04 },
+    date_signed: { widthPercent: 0.15, heightPercent: 0.04 },
+    document_id: { widthPercent: 0.25, heightPercent: 0.03 },
+    page_number: { widthPercent: 0.12, heightPercent: 0.03 }
 };
@@ -0,0 +1,38 @@
+/**
+ * AUTO-FILLED FIELDS
+ *
+ * Mirror of AUTO_FIELD_TYPES in backend/utils/autoFields.js - keep the two
+ * in sync. The backend fills these in when the document is signed; the
+ * browser only shows a preview of what will be drawn.
+ */
+
+export const AUTO_FIELD_TYPES = ['signer_name', 'signer_email', 'date_signed', 'document_id', 'page_number'];
+
+export function isAutoField(field) {
+    return AUTO_FIELD_TYPES.includes(field?.fieldType);
+}
+
+/**
+ * Preview text for an auto field before signing
+ *
+ * @param {Object} field - Auto field
+ * @param {Object} [recipient] - The field's recipient, if assigned
+ * @param {number} [pageCount] - Pages of the document, once loaded
+ * @returns {string}
+ */
+export function getAutoFieldPreview(field, recipient, pageCount) {
+    switch (field.fieldType) {
+        case 'signer_name':
+            return recipient?.name || 'Signer Name';
+        case 'signer_email':
+            return recipient?.email || 'signer@email.com';
+        case 'date_signed':
+            return 'Date Signed';
+        case 'document_id':
+            return 'Document ID';
+        case 'page_number':
+            return `Page ${field.position.pageNumber} of ${pageCount || 'N'}`;
+        default:
+            return '';
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * CONDITIONAL FIELDS
+ *
+ * Mirror of backend/utils/fieldConditions.js - keep the two in sync so
+ * fields hide, show and become required in the browser exactly as the
+ * backend decides when values are set and the document is signed.
+ */
+
+import { isAutoField } from './autoFields';
+
+/**
+ * Whether a condition holds for the controlling field's value
+ *
+ * @param {Object} condition - Field.condition
+ * @param {*} value - Controlling field's value (undefined when hidden)
+ * @returns {boolean}
+ */
+export function conditionHolds(condition, value) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    switch (condition.operator) {
+        case 'checked': return value === true;
+        case 'unchecked': return value !== true;
+        case 'equals': return text === (condition.value || '').trim();
+        case 'not_equals': return text !== (condition.value || '').trim();
+        default: return true;
+    }
+}
+
+/**
+ * Visibility and effective required flag of every field
+ *
+ * @param {Array} fields - All fields of a document
+ * @returns {Map<string, Object>} - Field id -> { visible, required }
+ */
+export function resolveFieldStates(fields) {
+    const byId = new Map(fields.map(field => [String(field._id), field]));
+    const states = new Map();
+    const resolving = new Set();
+
+    const resolve = (field) => {
+        const id = String(field._id);
+        if (states.has(id)) return states.get(id);
+
+        const condition = field.condition;
+        const controller = condition?.fieldId && byId.get(String(condition.fieldId));
+        const requirable = !!field.required && !isAutoField(field);
+
+        // No condition, a deleted controller or a cycle: the field is unconditional
+        if (!controller || resolving.has(id)) {
+            const state = { visible: true, required: requirable };
+            if (!controller) states.set(id, state);
+            return state;
+        }
+
+        resolving.add(id);
+        const controllerVisible = resolve(controller).visible;
+        resolving.delete(id);
+
+        const holds = conditionHolds(condition, controllerVisible ? controller.value : undefined);
+        const state = condition.action === 'require'
+            ? { visible: true, required: holds && !isAutoField(field) }
+            : { visible: holds, required: holds && requirable };
+
+        states.set(id, state);
+        return state;
+    };
+
+    fields.forEach(resolve);
+    return states;
+}
@@ -0,0 +1,116 @@
+/**
+ * FIELD VALUE VALIDATION
+ *
+ * Mirror of validateFieldValue in backend/utils/fieldValidation.js - keep
+ * the two in sync so SignatureCanvas shows the errors the value route
+ * would return, before the value is sent.
+ */
+
+import { isAutoField } from './autoFields';
+
+const DEFAULT_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+const DEFAULT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATA_URL_PATTERN = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/]*={0,2})$/;
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Check a value against a field's type and rules
+ *
+ * Empty values pass: whether they are allowed is up to Field.required
+ * (see validateFields).
+ *
+ * @param {Object} field - Field (fieldType, validation)
+ * @param {*} value - Value to check
+ * @returns {Array<string>} - Error messages, empty if valid
+ */
+export function validateFieldValue(field, value) {
+    if (!hasValue(value)) return [];
+    if (isAutoField(field)) return ['Filled in automatically when the document is signed'];
+
+    const rules = field.validation || {};
+    const errors = [];
+
+    switch (field.fieldType) {
+        case 'text':
+        case 'name':
+        case 'email': {
+            if (typeof value !== 'string') return ['Must be text'];
+
+            if (rules.minLength != null && value.length < rules.minLength) {
+                errors.push(`Must be at least ${rules.minLength} characters`);
+            }
+            if (rules.maxLength != null && value.length > rules.maxLength) {
+                errors.push(`Must be at most ${rules.maxLength} characters`);
+            }
+            if ((rules.format === 'email' || field.fieldType === 'email') && !EMAIL_PATTERN.test(value)) {
+                errors.push('Must be an email address');
+            }
+            if (rules.format === 'numeric') {
+                if (!NUMERIC_PATTERN.test(value)) {
+                    errors.push('Must be a number');
+                } else {
+                    if (rules.min != null && Number(value) < rules.min) errors.push(`Must be at least ${rules.min}`);
+                    if (rules.max != null && Number(value) > rules.max) errors.push(`Must be at most ${rules.max}`);
+                }
+            }
+            if (rules.pattern && !new RegExp(`^(?:${rules.pattern})$`).test(value)) {
+                errors.push(rules.patternMessage || 'Does not match the expected format');
+            }
+            break;
+        }
+
+        case 'date': {
+            if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+                return ['Must be a date (YYYY-MM-DD)'];
+            }
+            if (rules.minDate && value < rules.minDate) errors.push(`Must be on or after ${rules.minDate}`);
+            if (rules.maxDate && value > rules.maxDate) errors.push(`Must be on or before ${rules.maxDate}`);
+            break;
+        }
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return ['Must be a number'];
+            if (rules.min != null && value < rules.min) errors.push(`Must be at least ${rules.min}`);
+            if (rules.max != null && value > rules.max) errors.push(`Must be at most ${rules.max}`);
+            break;
+
+        case 'dropdown':
+            if (!(field.options || []).includes(value)) errors.push('Must be one of the listed options');
+            break;
+
+        case 'checkbox':
+        case 'radio':
+            if (typeof value !== 'boolean') errors.push('Must be checked or unchecked');
+            break;
+
+        case 'signature':
+        case 'initials':
+        case 'image':
+        case 'stamp': {
+            const match = typeof value === 'string' && DATA_URL_PATTERN.exec(value);
+            if (!match) return ['Must be a base64 image data URL'];
+
+            const [, mimeType, base64] = match;
+            const imageTypes = rules.imageTypes?.length ? rules.imageTypes : DEFAULT_IMAGE_TYPES;
+            if (!imageTypes.includes(mimeType)) {
+                errors.push(`Image must be ${imageTypes.map(t => t.replace('image/', '').toUpperCase()).join(' or ')}`);
+            }
+
+            const bytes = Math.floor(base64.length * 3 / 4) - (base64.match(/=*$/)[0].length);
+            const maxBytes = rules.maxImageBytes || DEFAULT_MAX_IMAGE_BYTES;
+            if (bytes > maxBytes) {
+                errors.push(`Image must be at most ${maxBytes < 1024 ? `${maxBytes} bytes` : `${Math.round(maxBytes / 1024)} KB`}`);
+            }
+            break;
+        }
+    }
+
+    return errors;
+}
@@ -0,0 +1,26 @@
+/**
+ * NUMBER FORMATTING
+ *
+ * Mirror of backend/utils/numberFormat.js - keep the two in sync so the
+ * FieldOverlay preview shows a number field exactly as the signed PDF does.
+ */
+
+/**
+ * Format a number field's value
+ *
+ * @param {number} value - Field value
+ * @param {Object} [format] - Field.numberFormat
+ * @returns {string}
+ */
+export function formatNumber(value, format) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return String(value);
+
+    const { decimals, thousands, prefix, suffix } = format || {};
+    const text = number.toLocaleString('en-US', {
+        useGrouping: thousands !== false,
+        minimumFractionDigits: decimals ?? 0,
+        maximumFractionDigits: decimals ?? 10
+    });
+    return `${prefix || ''}${text}${suffix || ''}`;
+}
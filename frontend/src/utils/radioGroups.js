@@ -0,0 +1,18 @@
+/**
+ * RADIO GROUPS
+ *
+ * Radio fields sharing a radioGroup are the options of one question
+ * (see backend/utils/radioGroups.js): the server keeps one option selected.
+ */
+
+/**
+ * Every option of a field's radio group, or [] when it is not grouped
+ *
+ * @param {Array} fields - Fields of the document
+ * @param {Object} field - Any field
+ * @returns {Array}
+ */
+export function getGroupOptions(fields, field) {
+    if (field?.fieldType !== 'radio' || !field.radioGroup) return [];
+    return fields.filter(f => f.fieldType === 'radio' && f.radioGroup === field.radioGroup);
+}
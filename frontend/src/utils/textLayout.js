@@ -0,0 +1,199 @@
+/**
+ * TEXT BOX LAYOUT
+ * 
+ * Mirror of backend/utils/textLayout.js - keep the two in sync so the
+ * FieldOverlay preview wraps, sizes and aligns text exactly like the
+ * flattened PDF. Works in PDF points; multiply by the page scale to get pixels.
+ */
+
+export const DEFAULT_TEXT_STYLE = {
+    fontSize: null,          // points; null = auto-fit
+    multiline: false,
+    align: 'left',           // left | center | right
+    verticalAlign: 'middle', // top | middle | bottom
+    color: '#000000',
+    letterSpacing: 0,        // extra points after each character
+    comb: 0                  // > 0: one character per equal-width cell
+};
+
+const PADDING = 2;
+const LINE_HEIGHT = 1.2;
+const MIN_FONT_SIZE = 4;
+const MAX_AUTO_FONT_SIZE = 36;
+const FONT_SIZE_STEP = 0.5;
+
+/**
+ * Merge a field's stored style over the defaults
+ * @param {Object} [style] - Field.textStyle
+ * @returns {Object} - Complete style
+ */
+export function resolveTextStyle(style) {
+    const resolved = { ...DEFAULT_TEXT_STYLE };
+    for (const [key, value] of Object.entries(style || {})) {
+        if (value !== undefined && value !== null && key in DEFAULT_TEXT_STYLE) {
+            resolved[key] = value;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Lay out text inside a box
+ *
+ * @param {string} text - Value to draw
+ * @param {Object} style - Field.textStyle (merged with defaults)
+ * @param {Object} box - { width, height } in points, as viewed (upright)
+ * @param {Function} measure - (text, fontSize) => advance width in points
+ * @returns {Object} - { fontSize, lineHeight, lines: [{ text, x, top }] }
+ *   where x/top are the line's left edge and top edge inside the box
+ */
+export function layoutTextBox(text, style, box, measure) {
+    const s = resolveTextStyle(style);
+    const value = String(text ?? '');
+
+    if (s.comb > 0) {
+        return layoutComb(value, s, box, measure);
+    }
+
+    const availableWidth = Math.max(box.width - PADDING * 2, 0);
+    const availableHeight = Math.max(box.height - PADDING * 2, 0);
+    const measureSpaced = (str, size) => measure(str, size) + s.letterSpacing * Array.from(str).length;
+
+    const wrap = (size) => s.multiline
+        ? wrapText(value, availableWidth, str => measureSpaced(str, size))
+        : [value.replace(/[\r\n]+/g, ' ')];
+
+    let fontSize = s.fontSize;
+    let lines;
+    if (fontSize) {
+        lines = wrap(fontSize);
+    } else {
+        // Auto-fit: largest size whose lines fit both width and height
+        const fits = (candidate, size) =>
+            candidate.length * size * LINE_HEIGHT <= availableHeight &&
+            candidate.every(line => measureSpaced(line, size) <= availableWidth);
+
+        fontSize = Math.max(Math.min(MAX_AUTO_FONT_SIZE, availableHeight / LINE_HEIGHT), MIN_FONT_SIZE);
+        lines = wrap(fontSize);
+        while (fontSize > MIN_FONT_SIZE && !fits(lines, fontSize)) {
+            fontSize = Math.max(fontSize - FONT_SIZE_STEP, MIN_FONT_SIZE);
+            lines = wrap(fontSize);
+        }
+    }
+
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const blockTop = alignOffset(s.verticalAlign, box.height, lines.length * lineHeight);
+
+    return {
+        fontSize,
+        lineHeight,
+        lines: lines.map((line, i) => ({
+            text: line,
+            x: alignOffset(s.align, box.width, measureSpaced(line, fontSize)),
+            top: blockTop + i * lineHeight
+        }))
+    };
+}
+
+/**
+ * Comb fields: each character centered in its own equal-width cell
+ */
+function layoutComb(value, s, box, measure) {
+    const cellWidth = box.width / s.comb;
+    const fontSize = s.fontSize || Math.max(Math.min(box.height * 0.7, cellWidth * 0.9, MAX_AUTO_FONT_SIZE), MIN_FONT_SIZE);
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const top = alignOffset(s.verticalAlign, box.height, lineHeight);
+
+    return {
+        fontSize,
+        lineHeight,
+        lines: Array.from(value.replace(/[\r\n]+/g, '')).slice(0, s.comb).map((char, i) => ({
+            text: char,
+            x: i * cellWidth + (cellWidth - measure(char, fontSize)) / 2,
+            top
+        }))
+    };
+}
+
+function alignOffset(align, available, used) {
+    switch (align) {
+        case 'center':
+        case 'middle':
+            return (available - used) / 2;
+        case 'right':
+        case 'bottom':
+            return available - used - PADDING;
+        default:
+            return PADDING;
+    }
+}
+
+/**
+ * Greedy word wrap; words longer than a line are broken by character
+ */
+function wrapText(text, maxWidth, measure) {
+    const lines = [];
+
+    for (const paragraph of text.split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measure(candidate) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+
+            // Break a word that cannot fit on a line by itself
+            line = '';
+            for (const char of word) {
+                if (line && measure(line + char) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        }
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+// CSS stand-ins for the backend fonts (utils/fontRegistry.js)
+const CSS_FONT_FAMILIES = {
+    Helvetica: 'Helvetica, Arial, sans-serif',
+    'Times-Roman': '"Times New Roman", Times, serif',
+    Courier: '"Courier New", Courier, monospace',
+    DejaVuSans: '"DejaVu Sans", Verdana, sans-serif',
+    DejaVuSerif: '"DejaVu Serif", Georgia, serif',
+    DejaVuSansMono: '"DejaVu Sans Mono", Menlo, monospace',
+    NotoSansSC: '"Noto Sans SC", "PingFang SC", "Microsoft YaHei", sans-serif',
+    NotoSansKR: '"Noto Sans KR", "Apple SD Gothic Neo", "Malgun Gothic", sans-serif'
+};
+
+/**
+ * CSS font-family for a backend font name
+ * @param {string} [fontFamily] - Field.fontFamily
+ * @returns {string}
+ */
+export function cssFontFamily(fontFamily) {
+    return CSS_FONT_FAMILIES[fontFamily] || CSS_FONT_FAMILIES.Helvetica;
+}
+
+let measureContext = null;
+
+/**
+ * Measure text width with the browser's font metrics
+ * @param {string} text - Text to measure
+ * @param {string} [fontFamily] - Field.fontFamily
+ * @param {number} size - Font size (result uses the same unit)
+ * @returns {number} - Advance width
+ */
+export function measureText(text, fontFamily, size) {
+    if (!measureContext) {
+        measureContext = document.createElement('canvas').getContext('2d');
+    }
+    measureContext.font = `${size}px ${cssFontFamily(fontFamily)}`;
+    return measureContext.measureText(text).width;
+}